@@ -0,0 +1,205 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { ServiceError, ValidationError, invalidField } from './errors.js';
+
+// API keys, CORS origins and rate limits from a local config file:
+//
+//   {
+//     "keys": [
+//       { "name": "till", "key": "...", "scopes": ["print"], "rateLimit": { "requests": 20, "window": 60 } },
+//       { "name": "office", "key": "...", "scopes": ["admin"], "rateLimit": false }
+//     ],
+//     "cors": { "origins": ["http://localhost:5173"] },
+//     "rateLimit": { "requests": 60, "window": 60 }
+//   }
+//
+// Without the file every request is allowed, as before keys existed.
+
+// Each scope includes the ones before it
+export const SCOPES = ['read', 'print', 'admin'];
+
+// Prints per key, per window of seconds. Every copy counts, so one request
+// can use up several.
+export const DEFAULT_RATE_LIMIT = { requests: 60, window: 60 };
+
+const digest = (key) => crypto.createHash('sha256').update(String(key)).digest();
+
+export function hasScope(scopes, scope) {
+  return scopes.some(granted => SCOPES.indexOf(granted) >= SCOPES.indexOf(scope));
+}
+
+// `path` is where the rate limit is: rateLimit or keys[i].rateLimit
+function validateRateLimit(rateLimit, path) {
+  if (rateLimit === undefined || rateLimit === false) {
+    return;
+  }
+  const { requests, window } = rateLimit || {};
+  if (!(Number.isInteger(requests) && requests > 0) || !(Number.isInteger(window) && window > 0)) {
+    throw invalidField('auth config', path, 'needs whole numbers of requests and window seconds, or false');
+  }
+}
+
+// Throws an "Invalid auth config" error for a config that can't be used
+export function validateAuthConfig(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.keys)) {
+    throw invalidField('auth config', 'keys', 'must be an array');
+  }
+
+  const names = new Set();
+  config.keys.forEach((entry, i) => {
+    const where = `keys[${i}]`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw invalidField('auth config', `${where}.name`, 'is required');
+    }
+    if (names.has(entry.name)) {
+      throw invalidField('auth config', `${where}.name`, `is not unique (${entry.name})`);
+    }
+    names.add(entry.name);
+    if (typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw invalidField('auth config', `${where}.key`, 'must be at least 16 characters');
+    }
+    if (!Array.isArray(entry.scopes) || entry.scopes.length === 0 || !entry.scopes.every(scope => SCOPES.includes(scope))) {
+      throw invalidField('auth config', `${where}.scopes`, `must list one or more of ${SCOPES.join(', ')}`);
+    }
+    validateRateLimit(entry.rateLimit, `${where}.rateLimit`);
+  });
+
+  if (config.cors !== undefined) {
+    const origins = config.cors && config.cors.origins;
+    if (!Array.isArray(origins) || !origins.every(origin => typeof origin === 'string')) {
+      throw invalidField('auth config', 'cors.origins', 'must be an array of origins');
+    }
+  }
+  validateRateLimit(config.rateLimit, 'rateLimit');
+}
+
+// Read the config file. Returns null when there isn't one.
+export async function loadAuthConfig(file) {
+  let data;
+  try {
+    data = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(data);
+  } catch (error) {
+    throw new ValidationError(`Invalid auth config: ${file} is not valid JSON (${error.message})`, [
+      { path: '', message: `not valid JSON (${error.message})` }
+    ]);
+  }
+  validateAuthConfig(config);
+  return config;
+}
+
+// Counts prints per client in fixed windows. A request costing more than
+// is left isn't counted, so refused requests don't use up the window.
+export class RateLimiter {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  hit(id, { requests, window }, cost = 1) {
+    const now = Date.now();
+    let entry = this.windows.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + window * 1000 };
+      this.windows.set(id, entry);
+    }
+    const allowed = entry.count + cost <= requests;
+    if (allowed) {
+      entry.count += cost;
+    }
+    return {
+      allowed,
+      remaining: Math.max(0, requests - entry.count),
+      resetAt: entry.resetAt
+    };
+  }
+}
+
+export class Auth {
+  constructor(config) {
+    this.enabled = Boolean(config);
+    this.keys = ((config && config.keys) || []).map(entry => ({ ...entry, digest: digest(entry.key) }));
+    this.origins = (config && config.cors && config.cors.origins) || null;
+    this.rateLimit = config && config.rateLimit !== undefined ? config.rateLimit : DEFAULT_RATE_LIMIT;
+    this.limiter = new RateLimiter();
+  }
+
+  // Options for the cors middleware: the allow-list if there is one,
+  // otherwise every origin
+  corsOptions() {
+    return this.origins ? { origin: this.origins } : {};
+  }
+
+  // The key entry for a key sent by a client, or null
+  find(key) {
+    if (!key) {
+      return null;
+    }
+    const sent = digest(key);
+    return this.keys.find(entry => crypto.timingSafeEqual(entry.digest, sent)) || null;
+  }
+
+  // Middleware that only lets requests through with a key that has `scope`.
+  // Keys are sent in the X-API-Key header or as a bearer token. Routes used
+  // from EventSource, which can't set headers, may also take ?apiKey=.
+  require(scope, { allowQuery = false } = {}) {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        return next();
+      }
+
+      const authorization = req.get('Authorization') || '';
+      const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+      const key = req.get('X-API-Key') || bearer || (allowQuery ? req.query.apiKey : null);
+      const client = this.find(key);
+      if (!client) {
+        return next(new ServiceError('UNAUTHORIZED', 'A valid API key is required'));
+      }
+      if (!hasScope(client.scopes, scope)) {
+        return next(new ServiceError('FORBIDDEN', `API key ${client.name} does not have the ${scope} scope`));
+      }
+
+      req.client = client;
+      next();
+    };
+  }
+
+  // Middleware applying the client's rate limit, charging each request
+  // `cost(req)` prints. Goes after require() and the body's validation.
+  limit(cost = () => 1) {
+    return (req, res, next) => {
+      if (!req.client) {
+        return next();
+      }
+      const rateLimit = req.client.rateLimit !== undefined ? req.client.rateLimit : this.rateLimit;
+      if (!rateLimit) {
+        return next();
+      }
+
+      const prints = cost(req);
+      const { allowed, remaining, resetAt } = this.limiter.hit(req.client.name, rateLimit, prints);
+      const reset = Math.ceil((resetAt - Date.now()) / 1000);
+      res.set({
+        'RateLimit-Limit': String(rateLimit.requests),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(reset)
+      });
+      if (prints > rateLimit.requests) {
+        return next(new ServiceError('RATE_LIMITED', `The request makes ${prints} prints, more than the rate limit of ${rateLimit.requests} per ${rateLimit.window} seconds`));
+      }
+      if (!allowed) {
+        res.set('Retry-After', String(reset));
+        return next(new ServiceError('RATE_LIMITED', `Rate limit exceeded: ${rateLimit.requests} prints per ${rateLimit.window} seconds`));
+      }
+      next();
+    };
+  }
+}
@@ -0,0 +1,155 @@
+import { invalidField } from './errors.js';
+import { GS } from './escpos.js';
+
+// ESC/POS barcode (GS k) and QR code (GS ( k) commands
+
+// Function B symbology IDs for GS k m n d1...dn
+export const BARCODE_TYPES = {
+  UPCA: 65,
+  EAN13: 67,
+  CODE39: 69,
+  ITF: 70,
+  CODE128: 73
+};
+
+// Human readable interpretation (HRI) position, GS H n
+export const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+export const QR_ERROR_CORRECTION = { L: 48, M: 49, Q: 50, H: 51 };
+
+// Byte mode capacity of the largest QR version at error correction level L
+const QR_MAX_BYTES = 2953;
+
+// Accepts names like "code128", "UPC-A" or "ean_13"
+export function normalizeBarcodeType(type) {
+  return String(type || '').toUpperCase().replace(/[-_ ]/g, '');
+}
+
+// Standard GTIN check digit used by EAN-13 and UPC-A
+export function gtinCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+function validateGtin(data, length, name) {
+  if (!/^\d+$/.test(data) || (data.length !== length - 1 && data.length !== length)) {
+    throw invalidField('barcode', 'data', `must be ${length - 1} digits for ${name}, or ${length} with the check digit`);
+  }
+  if (data.length === length) {
+    const expected = gtinCheckDigit(data.slice(0, -1));
+    if (Number(data[data.length - 1]) !== expected) {
+      throw invalidField('barcode', 'data', `has the wrong ${name} check digit (should be ${expected})`);
+    }
+  }
+}
+
+// Throws an "Invalid barcode" error when the data can't be encoded in the
+// given symbology, otherwise returns the normalized type
+export function validateBarcode(type, data, { height, width, hri } = {}) {
+  const symbology = normalizeBarcodeType(type);
+  if (!BARCODE_TYPES[symbology]) {
+    throw invalidField('barcode', 'type', 'must be one of CODE39, CODE128, EAN13, UPC-A, ITF');
+  }
+  if (typeof data !== 'string' || data.length === 0) {
+    throw invalidField('barcode', 'data', 'must be a non-empty string');
+  }
+
+  switch (symbology) {
+    case 'EAN13':
+      validateGtin(data, 13, 'EAN13');
+      break;
+    case 'UPCA':
+      validateGtin(data, 12, 'UPC-A');
+      break;
+    case 'CODE39':
+      if (!/^[0-9A-Z $%+\-./]+$/.test(data)) {
+        throw invalidField('barcode', 'data', 'can only use 0-9, A-Z, space and $ % + - . / in CODE39');
+      }
+      break;
+    case 'ITF':
+      if (!/^\d+$/.test(data) || data.length % 2 !== 0) {
+        throw invalidField('barcode', 'data', 'must be an even number of digits for ITF');
+      }
+      break;
+    case 'CODE128':
+      if (!/^[\x20-\x7E]+$/.test(data)) {
+        throw invalidField('barcode', 'data', 'can only use printable ASCII characters in CODE128');
+      }
+      break;
+  }
+
+  if (data.length > 253) {
+    throw invalidField('barcode', 'data', 'is too long');
+  }
+  if (height !== undefined && !(Number.isInteger(height) && height >= 1 && height <= 255)) {
+    throw invalidField('barcode', 'height', 'must be between 1 and 255 dots');
+  }
+  if (width !== undefined && !(Number.isInteger(width) && width >= 2 && width <= 6)) {
+    throw invalidField('barcode', 'width', 'must be between 2 and 6');
+  }
+  if (hri !== undefined && HRI_POSITIONS[hri] === undefined) {
+    throw invalidField('barcode', 'hri', `must be one of ${Object.keys(HRI_POSITIONS).join(', ')}`);
+  }
+
+  return symbology;
+}
+
+export function buildBarcode(type, data, { height = 80, width = 2, hri = 'below' } = {}) {
+  const symbology = validateBarcode(type, data, { height, width, hri });
+
+  // CODE128 needs a code set selector; code set B covers printable ASCII
+  let payload = Buffer.from(data, 'ascii');
+  if (symbology === 'CODE128') {
+    payload = Buffer.concat([Buffer.from('{B', 'ascii'), Buffer.from(data.replace(/\{/g, '{{'), 'ascii')]);
+  }
+  if (payload.length > 255) {
+    throw invalidField('barcode', 'data', 'is too long');
+  }
+
+  return Buffer.concat([
+    Buffer.from([GS, 0x68, height]), // GS h - bar height
+    Buffer.from([GS, 0x77, width]), // GS w - module width
+    Buffer.from([GS, 0x48, HRI_POSITIONS[hri]]), // GS H - HRI position
+    Buffer.from([GS, 0x6B, BARCODE_TYPES[symbology], payload.length]),
+    payload,
+    Buffer.from([0x0A])
+  ]);
+}
+
+export function validateQrCode(data, { size, errorCorrection } = {}) {
+  if (typeof data !== 'string' || data.length === 0) {
+    throw invalidField('QR code', 'data', 'must be a non-empty string');
+  }
+  if (Buffer.byteLength(data, 'utf8') > QR_MAX_BYTES) {
+    throw invalidField('QR code', 'data', `must be at most ${QR_MAX_BYTES} bytes`);
+  }
+  if (size !== undefined && !(Number.isInteger(size) && size >= 1 && size <= 16)) {
+    throw invalidField('QR code', 'size', 'must be between 1 and 16');
+  }
+  if (errorCorrection !== undefined && !QR_ERROR_CORRECTION[errorCorrection]) {
+    throw invalidField('QR code', 'errorCorrection', 'must be one of L, M, Q, H');
+  }
+}
+
+// GS ( k function 165 (model), 167 (size), 169 (error correction),
+// 180 (store data) and 181 (print)
+export function buildQrCode(data, { size = 6, errorCorrection = 'M' } = {}) {
+  validateQrCode(data, { size, errorCorrection });
+
+  const payload = Buffer.from(data, 'utf8');
+  const storeLength = payload.length + 3;
+
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // Model 2
+    Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, size]),
+    Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, QR_ERROR_CORRECTION[errorCorrection]]),
+    Buffer.from([GS, 0x28, 0x6B, storeLength & 0xFF, (storeLength >> 8) & 0xFF, 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x51, 0x30]),
+    Buffer.from([0x0A])
+  ]);
+}
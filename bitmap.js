@@ -0,0 +1,243 @@
+import sharp from 'sharp';
+import { Jimp, loadFont, measureText } from 'jimp';
+import { SANS_12_BLACK, SANS_16_BLACK } from 'jimp/fonts';
+import { validateDocument, layoutRow, textLines, wrapSpans, DEFAULT_LINE_WIDTH } from './document.js';
+import { loadGreyscale, dither, DEFAULT_DITHER, DEFAULT_THRESHOLD } from './raster.js';
+import { ValidationError } from './errors.js';
+
+// Renders documents to 1-bit bitmaps for printers that have no text mode of
+// their own. Text is drawn with a bitmap font in cells of the same size as
+// the printer fonts, so rows line up the same way they do on ESC/POS
+// printers.
+
+// Font A is 24 dots tall and font B 17
+export const FONTS = {
+  A: { file: SANS_16_BLACK, lineHeight: 24 },
+  B: { file: SANS_12_BLACK, lineHeight: 17 }
+};
+
+const loadedFonts = new Map();
+
+export function getFont(name) {
+  if (!loadedFonts.has(name)) {
+    const promise = loadFont(FONTS[name].file);
+    // Let a failed load be retried on the next document
+    promise.catch(() => loadedFonts.delete(name));
+    loadedFonts.set(name, promise);
+  }
+  return loadedFonts.get(name);
+}
+
+// The font only covers Latin-1: drop accents from anything else, or print '?'
+export function fontSafe(text, font) {
+  let safe = '';
+  for (const char of text) {
+    if (font.chars[char]) {
+      safe += char;
+      continue;
+    }
+    const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    safe += [...stripped].every(c => font.chars[c]) ? stripped : '?';
+  }
+  return safe;
+}
+
+// A strip of the page, one byte per pixel where 1 is a black dot
+export function createStrip(width, height) {
+  return { width, height, bits: new Uint8Array(width * height) };
+}
+
+// Draw pieces of text into a strip. Each piece is placed in a box of
+// `width` dots starting at `x` and aligned inside it. Width and height
+// multipliers scale the text the way GS ! does, and `invert` prints it
+// white on black the way GS B does.
+function drawText(strip, pieces, { font, lineHeight, scaleX = 1, scaleY = 1, bold = false, underline = false, invert = false }) {
+  const width = Math.ceil(strip.width / scaleX);
+  const image = new Jimp({ width, height: lineHeight, color: 0xFFFFFFFF });
+  const top = Math.max(0, Math.floor((lineHeight - font.common.lineHeight) / 2));
+
+  for (const piece of pieces) {
+    const text = fontSafe(piece.text, font);
+    if (!text.trim()) {
+      continue;
+    }
+    const textWidth = Math.min(measureText(font, text), piece.width);
+    let x = piece.x;
+    if (piece.align === 'right') {
+      x += piece.width - textWidth;
+    } else if (piece.align === 'center') {
+      x += Math.floor((piece.width - textWidth) / 2);
+    }
+
+    image.print({ font, x, y: top, text });
+    if (bold) {
+      image.print({ font, x: x + 1, y: top, text });
+    }
+    if (underline) {
+      const y = Math.min(lineHeight - 1, top + font.common.base + 2);
+      image.scan(x, y, textWidth + (bold ? 1 : 0), 1, function (px, py, idx) {
+        this.bitmap.data.fill(0, idx, idx + 3);
+      });
+    }
+    if (invert) {
+      image.scan(x, 0, Math.min(width - x, textWidth + (bold ? 1 : 0)), lineHeight, function (px, py, idx) {
+        this.bitmap.data.fill(255 - this.bitmap.data[idx], idx, idx + 3);
+      });
+    }
+  }
+
+  // Scale up with nearest neighbour so large text stays sharp
+  for (let y = 0; y < strip.height; y++) {
+    const sy = Math.floor(y / scaleY);
+    for (let x = 0; x < strip.width; x++) {
+      const sx = Math.floor(x / scaleX);
+      if (sx < width && image.bitmap.data[(sy * width + sx) * 4] < 128) {
+        strip.bits[y * strip.width + x] = 1;
+      }
+    }
+  }
+  return strip;
+}
+
+// Copy a strip into a larger one at x, y
+function blit(target, source, left, top) {
+  for (let y = 0; y < source.height && top + y < target.height; y++) {
+    const width = Math.max(0, Math.min(source.width, target.width - left));
+    target.bits.set(source.bits.subarray(y * source.width, y * source.width + width), (top + y) * target.width + left);
+  }
+}
+
+// A text block with inline styles, one strip per line. Each piece is drawn
+// in the cells it takes up on a text printer, and pieces of different
+// sizes share a baseline.
+function drawSpans(block, { font, lineHeight, dotWidth, lineWidth, charWidth }) {
+  return wrapSpans(block.spans, lineWidth).map(line => {
+    const height = lineHeight * Math.max(1, ...line.map(piece => piece.style.height));
+    const width = Math.round(line.reduce((sum, piece) => sum + piece.text.length * piece.style.width, 0) * charWidth);
+    const strip = createStrip(dotWidth, height);
+    let x = block.align === 'right' ? dotWidth - width : block.align === 'center' ? Math.floor((dotWidth - width) / 2) : 0;
+    for (const { text, style } of line) {
+      const pieceWidth = Math.round(text.length * style.width * charWidth);
+      const piece = drawText(createStrip(pieceWidth, lineHeight * style.height), [{
+        text,
+        x: 0,
+        width: Math.floor(pieceWidth / style.width)
+      }], { font, lineHeight, scaleX: style.width, scaleY: style.height, bold: style.bold, underline: style.underline, invert: style.invert });
+      blit(strip, piece, Math.max(0, x), height - piece.height);
+      x += pieceWidth;
+    }
+    return strip;
+  });
+}
+
+async function renderBlock(block, where, { dotWidth, lineWidth, fontName }) {
+  const font = await getFont(fontName);
+  const { lineHeight } = FONTS[fontName];
+  const charWidth = dotWidth / lineWidth;
+
+  switch (block.type) {
+    case 'text': {
+      if (block.spans) {
+        return drawSpans(block, { font, lineHeight, dotWidth, lineWidth, charWidth });
+      }
+      const scaleX = block.width || block.size || 1;
+      const scaleY = block.height || block.size || 1;
+      return textLines(block, Math.floor(lineWidth / scaleX)).map(line => drawText(
+        createStrip(dotWidth, lineHeight * scaleY),
+        [{ text: line, x: 0, width: Math.floor(dotWidth / scaleX), align: block.align }],
+        { font, lineHeight, scaleX, scaleY, bold: block.bold, underline: block.underline, invert: block.invert }
+      ));
+    }
+    case 'row': {
+      const { cells, height } = layoutRow(block.columns, lineWidth, block.overflow);
+      const strips = [];
+      for (let i = 0; i < height; i++) {
+        let column = 0;
+        const pieces = cells.map(cell => {
+          const piece = {
+            text: cell.lines[i] || '',
+            x: Math.round(column * charWidth),
+            width: Math.round(cell.width * charWidth),
+            align: cell.align
+          };
+          column += cell.width;
+          return piece;
+        });
+        strips.push(drawText(createStrip(dotWidth, lineHeight), pieces, { font, lineHeight, bold: block.bold }));
+      }
+      return strips;
+    }
+    case 'separator': {
+      // Repeat the character across the same share of the line that it
+      // covers on a text printer
+      const char = fontSafe(block.char || '-', font);
+      const width = Math.min(dotWidth, Math.round((block.length || lineWidth) * charWidth));
+      const text = char.repeat(Math.max(1, Math.floor(width / Math.max(1, measureText(font, char)))));
+      return [drawText(createStrip(dotWidth, lineHeight), [{
+        text,
+        x: 0,
+        width: dotWidth,
+        align: block.align
+      }], { font, lineHeight })];
+    }
+    case 'feed':
+      return [createStrip(dotWidth, lineHeight * (block.lines === undefined ? 1 : block.lines))];
+    case 'cut':
+      // Nothing to cut with; the printer feeds the paper out at the end
+      return [];
+    case 'image': {
+      const { pixels, width, height } = await loadGreyscale(block.image, dotWidth);
+      const bits = dither(pixels, width, height, block.dither || DEFAULT_DITHER, block.threshold === undefined ? DEFAULT_THRESHOLD : block.threshold);
+      const strip = createStrip(dotWidth, height);
+      const align = block.align || 'center';
+      const left = align === 'left' ? 0 : align === 'right' ? dotWidth - width : Math.floor((dotWidth - width) / 2);
+      for (let y = 0; y < height; y++) {
+        strip.bits.set(bits.subarray(y * width, (y + 1) * width), y * dotWidth + left);
+      }
+      return [strip];
+    }
+    default:
+      throw new ValidationError(`Invalid document: ${where}: ${block.type} blocks can't be printed as a bitmap`, [
+        { path: `${where}.type`, message: `${block.type} blocks can't be printed as a bitmap` }
+      ]);
+  }
+}
+
+// Render a whole document to a bitmap `dotWidth` dots wide. Returns
+// { width, height, bits } with one byte per pixel, 1 for black.
+export async function renderDocumentBitmap(document, { dotWidth, lineWidth, font = 'A' } = {}) {
+  validateDocument(document);
+
+  const options = {
+    dotWidth,
+    lineWidth: document.lineWidth || lineWidth || DEFAULT_LINE_WIDTH,
+    fontName: FONTS[font] ? font : 'A'
+  };
+
+  const strips = [];
+  for (const [i, block] of document.blocks.entries()) {
+    strips.push(...await renderBlock(block, `blocks[${i}]`, options));
+  }
+
+  const height = strips.reduce((sum, strip) => sum + strip.height, 0);
+  const bits = new Uint8Array(dotWidth * height);
+  let offset = 0;
+  for (const strip of strips) {
+    bits.set(strip.bits, offset);
+    offset += strip.bits.length;
+  }
+  return { width: dotWidth, height, bits };
+}
+
+// Encode a bitmap as a black and white PNG
+export function bitmapToPng({ width, height, bits }) {
+  // sharp can't encode an empty image, so a blank page is one row tall
+  const rows = Math.max(1, height);
+  const pixels = Buffer.alloc(width * rows, 0xFF);
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i]) {
+      pixels[i] = 0x00;
+    }
+  }
+  return sharp(pixels, { raw: { width, height: rows, channels: 1 } }).png().toBuffer();
+}
@@ -0,0 +1,285 @@
+import { ValidationError, invalidField } from './errors.js';
+
+// Driver for "cat printer" style BLE thermal printers (GB01, GB02, GB03,
+// GT01, MX05, MX06, ...). They don't understand ESC/POS: everything is sent
+// as frames of
+//
+//   0x51 0x78 <command> 0x00 <length lo> <length hi> <data...> <crc8> 0xFF
+//
+// and the page is printed as a series of 1-bit bitmap lines.
+
+export const CAT_SERVICE = 'ae30';
+export const CAT_CHARACTERISTIC = 'ae01';
+
+export const DRIVERS = ['escpos', 'cat'];
+
+// Advertised names of the printers that speak this protocol
+export const CAT_NAME_PATTERN = /^(GB0[1-4]|GT0[1-2]|YT01|MX0\d|MXW0\d)/i;
+
+export const COMMANDS = {
+  RETRACT: 0xA0,
+  FEED: 0xA1,
+  BITMAP_LINE: 0xA2,
+  GET_STATUS: 0xA3,
+  QUALITY: 0xA4,
+  LATTICE: 0xA6,
+  FLOW_CONTROL: 0xAE,
+  ENERGY: 0xAF,
+  SPEED: 0xBD,
+  DRAW_MODE: 0xBE
+};
+
+export const DEFAULT_ENERGY = 12000;
+export const DEFAULT_SPEED = 32;
+// Dot rows to feed after a job so the print clears the tear bar
+export const DEFAULT_FEED = 80;
+
+// Sent before and after a print job
+const LATTICE_START = [0xAA, 0x55, 0x17, 0x38, 0x44, 0x5F, 0x5F, 0x5F, 0x44, 0x38, 0x2C];
+const LATTICE_END = [0xAA, 0x55, 0x17, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x17];
+
+// Status flags in the first byte of a GET_STATUS response
+const STATUS_PAPER_OUT = 0x01;
+const STATUS_COVER_OPEN = 0x02;
+const STATUS_OVERHEATED = 0x04;
+const STATUS_LOW_BATTERY = 0x08;
+
+// Services are advertised either as short or full 128-bit UUIDs
+export const normalizeUuid = (uuid) => {
+  const value = uuid.replace(/-/g, '').toLowerCase();
+  const short = value.match(/^0000([0-9a-f]{4})00001000800000805f9b34fb$/);
+  return short ? short[1] : value;
+};
+
+// Pick the driver for a device from its advertised name and services
+export function detectDriver({ name, services } = {}) {
+  if (name && CAT_NAME_PATTERN.test(name)) {
+    return 'cat';
+  }
+  if ((services || []).some(uuid => normalizeUuid(uuid) === CAT_SERVICE)) {
+    return 'cat';
+  }
+  return 'escpos';
+}
+
+// Throws an "Invalid driver" error for settings that can't be used
+export function validateDriverSettings({ driver, energy, speed } = {}) {
+  if (driver !== undefined && !DRIVERS.includes(driver)) {
+    throw new ValidationError(`Invalid driver: must be one of ${DRIVERS.join(', ')}`, [
+      { path: 'driver', message: `must be one of ${DRIVERS.join(', ')}` }
+    ]);
+  }
+  if (energy !== undefined && !(Number.isInteger(energy) && energy >= 0 && energy <= 0xFFFF)) {
+    throw invalidField('driver', 'energy', 'must be a number between 0 and 65535');
+  }
+  if (speed !== undefined && !(Number.isInteger(speed) && speed >= 1 && speed <= 255)) {
+    throw invalidField('driver', 'speed', 'must be a number between 1 and 255');
+  }
+}
+
+// CRC-8 with polynomial 0x07, over the data bytes only
+export function crc8(data) {
+  let crc = 0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  return crc;
+}
+
+export function frame(command, data = []) {
+  return Buffer.from([
+    0x51, 0x78, command, 0x00,
+    data.length & 0xFF, (data.length >> 8) & 0xFF,
+    ...data,
+    crc8(data), 0xFF
+  ]);
+}
+
+const uint16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+export const feedPaper = (rows) => frame(COMMANDS.FEED, uint16(rows));
+export const retractPaper = (rows) => frame(COMMANDS.RETRACT, uint16(rows));
+export const setEnergy = (energy) => frame(COMMANDS.ENERGY, uint16(energy));
+export const setSpeed = (speed) => frame(COMMANDS.SPEED, [speed]);
+// 0 prints images, 1 prints text with sharper edges
+export const setDrawMode = (mode) => frame(COMMANDS.DRAW_MODE, [mode]);
+export const setQuality = (quality = 0x33) => frame(COMMANDS.QUALITY, [quality]);
+export const getStatus = () => frame(COMMANDS.GET_STATUS, [0x00]);
+export const latticeStart = () => frame(COMMANDS.LATTICE, LATTICE_START);
+export const latticeEnd = () => frame(COMMANDS.LATTICE, LATTICE_END);
+
+// One row of a bitmap as a BITMAP_LINE frame. Unlike ESC/POS raster data the
+// leftmost dot is the least significant bit of each byte.
+export function bitmapLine(bits, offset, width) {
+  const line = new Array(Math.ceil(width / 8)).fill(0);
+  for (let x = 0; x < width; x++) {
+    if (bits[offset + x]) {
+      line[x >> 3] |= 1 << (x & 7);
+    }
+  }
+  return frame(COMMANDS.BITMAP_LINE, line);
+}
+
+// Turn a bitmap ({ width, height, bits } with one byte per dot) into the
+// frames for a complete print job. Blank rows are fed instead of sent.
+export function buildPrintJob({ width, height, bits }, { energy = DEFAULT_ENERGY, speed = DEFAULT_SPEED, feed = DEFAULT_FEED, drawMode = 1 } = {}) {
+  const frames = [
+    setQuality(),
+    latticeStart(),
+    setEnergy(energy),
+    setDrawMode(drawMode),
+    setSpeed(speed)
+  ];
+
+  let blank = 0;
+  for (let y = 0; y < height; y++) {
+    const offset = y * width;
+    if (!bits.subarray(offset, offset + width).some(Boolean)) {
+      blank++;
+      continue;
+    }
+    if (blank) {
+      frames.push(feedPaper(blank));
+      blank = 0;
+    }
+    frames.push(bitmapLine(bits, offset, width));
+  }
+
+  frames.push(feedPaper(blank + feed));
+  frames.push(latticeEnd());
+  return frames;
+}
+
+// Split notification data into { command, data } frames, ignoring anything
+// that doesn't parse
+export function parseFrames(buffer) {
+  const frames = [];
+  let i = 0;
+  while (i + 8 <= buffer.length) {
+    if (buffer[i] !== 0x51 || buffer[i + 1] !== 0x78) {
+      i++;
+      continue;
+    }
+    const length = buffer[i + 4] | (buffer[i + 5] << 8);
+    const end = i + 6 + length;
+    if (end + 2 > buffer.length) {
+      break;
+    }
+    const data = buffer.subarray(i + 6, end);
+    if (buffer[end] === crc8(data) && buffer[end + 1] === 0xFF) {
+      frames.push({ command: buffer[i + 2], data });
+    }
+    i = end + 2;
+  }
+  return frames;
+}
+
+// Status in the same shape as the ESC/POS status, so getBlockingReason works
+// for both kinds of printer
+export function parseCatStatus(byte) {
+  return {
+    supported: true,
+    online: true,
+    paperOut: Boolean(byte & STATUS_PAPER_OUT),
+    paperNearEnd: null,
+    coverOpen: Boolean(byte & STATUS_COVER_OPEN),
+    overheated: Boolean(byte & STATUS_OVERHEATED),
+    lowBattery: Boolean(byte & STATUS_LOW_BATTERY),
+    cutterError: null,
+    unrecoverableError: null,
+    autoRecoverableError: null,
+    drawerOpen: null,
+    raw: [`0x${byte.toString(16).padStart(2, '0')}`]
+  };
+}
+
+// Reads notifications from a cat printer: answers to status queries and
+// flow control. The printer asks us to pause while its buffer is full and
+// to carry on once it has caught up.
+export class CatStatusReader {
+  constructor(write, timeout = 500, flowTimeout = 10000) {
+    this.write = write;
+    this.timeout = timeout;
+    this.flowTimeout = flowTimeout;
+    this.waiting = null;
+    this.lock = Promise.resolve();
+    this.paused = false;
+    this.resumeWaiters = [];
+  }
+
+  feed(data) {
+    for (const { command, data: payload } of parseFrames(Buffer.from(data))) {
+      if (command === COMMANDS.FLOW_CONTROL) {
+        this.paused = payload[0] !== 0x00;
+        if (!this.paused) {
+          this.resumeWaiters.splice(0).forEach(resolve => resolve());
+        }
+      } else if (command === COMMANDS.GET_STATUS && this.waiting && payload.length > 0) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve(payload[0]);
+      }
+    }
+  }
+
+  // Resolves once the printer is ready for more data. Gives up waiting after
+  // flowTimeout in case the resume notification got lost.
+  whenReady() {
+    if (!this.paused) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.paused = false;
+        resolve();
+      }, this.flowTimeout);
+      this.resumeWaiters.push(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  // Send GET_STATUS and resolve with the parsed status. Reads run one at a
+  // time, like StatusReader queries, because a response doesn't say which
+  // request it answers.
+  readStatus() {
+    const run = async () => {
+      let timer;
+      let waiter;
+      const response = new Promise(resolve => {
+        waiter = (byte) => {
+          clearTimeout(timer);
+          resolve(byte);
+        };
+        timer = setTimeout(() => {
+          if (this.waiting === waiter) {
+            this.waiting = null;
+          }
+          resolve(null);
+        }, this.timeout);
+        this.waiting = waiter;
+      });
+
+      try {
+        await this.write(getStatus());
+      } catch (error) {
+        clearTimeout(timer);
+        if (this.waiting === waiter) {
+          this.waiting = null;
+        }
+        throw error;
+      }
+
+      const byte = await response;
+      return byte === null ? { supported: false } : parseCatStatus(byte);
+    };
+
+    const result = this.lock.then(run);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+}
@@ -0,0 +1,268 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { configSchema, toValidationError } from './schemas.js';
+import { ValidationError } from './errors.js';
+
+// Service settings, in layers: the defaults below, then the config file
+// (config.json, config.yaml or config.yml, or the file named by CONFIG_FILE),
+// then environment variables. The result is validated at startup, and an
+// invalid config stops the service from starting.
+//
+// Settings changed through PUT /config are written back to the config file.
+// File paths are read once at startup and can't be changed that way. API
+// keys stay in auth.json, so nothing here is secret.
+
+export const DEFAULT_CONFIG = {
+  server: {
+    port: 3000,
+    host: '0.0.0.0'
+  },
+  // The ESC/POS printer looked for on scans and connects
+  printer: {
+    name: 'YHK-7887',
+    serviceUuid: '49535343fe7d4ae58fa99fafd205e455',
+    characteristicUuid: '49535343-8841-43f4-a8d4-ecbe34729bb3'
+  },
+  bluetooth: {
+    adapter: 'hci0',
+    scanTimeout: 15000,
+    chunkSize: 20, // BLE packet size when the MTU isn't known
+    writeRate: 8192, // Pacing of BLE writes, in bytes per second
+    writeBurst: 2048 // Bytes sent before pacing starts, about a printer's receive buffer
+  },
+  status: {
+    timeout: 500, // How long to wait for a DLE EOT response in ms
+    pollInterval: 10000 // Status polling of idle printers while events are streamed
+  },
+  reconnect: {
+    baseDelay: 1000, // First reconnect attempt after 1s, doubling each time
+    maxDelay: 60000,
+    maxAttempts: 10 // Then the printer is reported offline
+  },
+  events: {
+    progressInterval: 250, // At most one job.progress event per job every 250ms
+    heartbeat: 15000 // Keeps idle event streams from being closed by proxies
+  },
+  // The job history behind GET /history (see history.js)
+  history: {
+    file: 'history.jsonl',
+    retentionDays: 90,
+    maxEntries: 10000,
+    maxPayloadBytes: 1024 * 1024 // Larger jobs are recorded without their payload and can't be reprinted
+  },
+  // Receipt amounts, unless a receipt names its own currency and locale
+  receipt: {
+    currency: 'ZAR',
+    locale: 'en-ZA'
+  },
+  savedPrinterFile: 'saved_printer.json'
+};
+
+// Environment variables and the setting each one overrides
+export const ENVIRONMENT = {
+  PORT: 'server.port',
+  HOST: 'server.host',
+  PRINTER_NAME: 'printer.name',
+  PRINTER_SERVICE_UUID: 'printer.serviceUuid',
+  PRINTER_CHARACTERISTIC_UUID: 'printer.characteristicUuid',
+  BLE_ADAPTER: 'bluetooth.adapter',
+  SCAN_TIMEOUT: 'bluetooth.scanTimeout',
+  BLE_CHUNK_SIZE: 'bluetooth.chunkSize',
+  BLE_WRITE_RATE: 'bluetooth.writeRate',
+  BLE_WRITE_BURST: 'bluetooth.writeBurst',
+  STATUS_TIMEOUT: 'status.timeout',
+  STATUS_POLL_INTERVAL: 'status.pollInterval',
+  RECONNECT_BASE_DELAY: 'reconnect.baseDelay',
+  RECONNECT_MAX_DELAY: 'reconnect.maxDelay',
+  RECONNECT_MAX_ATTEMPTS: 'reconnect.maxAttempts',
+  PROGRESS_INTERVAL: 'events.progressInterval',
+  EVENTS_HEARTBEAT: 'events.heartbeat',
+  HISTORY_FILE: 'history.file',
+  HISTORY_RETENTION_DAYS: 'history.retentionDays',
+  HISTORY_MAX_ENTRIES: 'history.maxEntries',
+  HISTORY_MAX_PAYLOAD_BYTES: 'history.maxPayloadBytes',
+  RECEIPT_CURRENCY: 'receipt.currency',
+  RECEIPT_LOCALE: 'receipt.locale',
+  SAVED_PRINTER_FILE: 'savedPrinterFile'
+};
+
+// Looked for in this order when CONFIG_FILE isn't set
+export const CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+// When a setting changed at runtime takes effect: `restart` after the
+// service restarts, `connect` on the printer's next connect, `now` from the
+// next time it's used. Settings not listed apply now.
+const APPLIES = {
+  server: 'restart',
+  printer: 'connect',
+  'bluetooth.scanTimeout': 'connect',
+  'bluetooth.chunkSize': 'connect',
+  'bluetooth.writeRate': 'connect',
+  'bluetooth.writeBurst': 'connect',
+  'status.timeout': 'connect'
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function merge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] = isObject(value) && isObject(result[key]) ? merge(result[key], value) : value;
+  }
+  return result;
+}
+
+// Dotted paths of every setting in `values`, e.g. 'bluetooth.chunkSize'
+function settingPaths(values, prefix = '') {
+  return Object.entries(values).flatMap(([key, value]) => (isObject(value)
+    ? settingPaths(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]));
+}
+
+const getSetting = (values, setting) => setting.split('.').reduce((value, key) => (isObject(value) ? value[key] : undefined), values);
+
+function setSetting(values, setting, value) {
+  const keys = setting.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => (object[key] = isObject(object[key]) ? object[key] : {}), values);
+  parent[last] = value;
+}
+
+export const appliesTo = (setting) => APPLIES[setting] || APPLIES[setting.split('.')[0]] || 'now';
+
+// Validate the merged layers. Throws an "Invalid config" error naming the
+// first setting that failed.
+function resolve(layers) {
+  const result = configSchema.safeParse(layers.reduce(merge, {}));
+  if (!result.success) {
+    throw toValidationError(result.error, 'config');
+  }
+  return result.data;
+}
+
+const formatOf = (file) => (/\.ya?ml$/i.test(file) ? 'yaml' : 'json');
+
+export class Config {
+  // `fileValues` are the settings in the config file, `document` the parsed
+  // YAML document so its comments survive updates, and `env` the
+  // environment to read overrides from
+  constructor({ file, fileValues = {}, document = null, env = {} }) {
+    this.file = file;
+    this.format = formatOf(file);
+    this.fileValues = fileValues;
+    this.document = document;
+    this.envValues = {};
+    this.envNames = {};
+    for (const [name, setting] of Object.entries(ENVIRONMENT)) {
+      if (env[name] !== undefined && env[name] !== '') {
+        setSetting(this.envValues, setting, env[name]);
+        this.envNames[setting] = name;
+      }
+    }
+    this.values = resolve([DEFAULT_CONFIG, this.fileValues, this.envValues]);
+  }
+
+  // Where each setting's value comes from: default, file or env
+  sources() {
+    return Object.fromEntries(settingPaths(this.values).map(setting => [
+      setting,
+      this.envNames[setting] ? 'env' : getSetting(this.fileValues, setting) !== undefined ? 'file' : 'default'
+    ]));
+  }
+
+  describe() {
+    return { file: this.file, config: this.values, sources: this.sources() };
+  }
+
+  // Change settings and save them to the config file. Settings set by
+  // environment variables can't be changed, since the variable would win
+  // again on the next start. Returns { setting, value, applies } for every
+  // setting sent.
+  async update(changes) {
+    const settings = settingPaths(changes);
+    const fixed = settings.filter(setting => this.envNames[setting]);
+    if (fixed.length > 0) {
+      throw new ValidationError(
+        `Invalid config: ${fixed.map(setting => `${setting} is set by ${this.envNames[setting]}`).join(', ')}`,
+        fixed.map(setting => ({ path: setting, message: `set by the ${this.envNames[setting]} environment variable` }))
+      );
+    }
+
+    const fileValues = merge(this.fileValues, changes);
+    const values = resolve([DEFAULT_CONFIG, fileValues, this.envValues]);
+    await this.save(fileValues, settings);
+    this.fileValues = fileValues;
+    this.values = values;
+
+    return settings.map(setting => ({ setting, value: getSetting(values, setting), applies: appliesTo(setting) }));
+  }
+
+  async save(fileValues, settings) {
+    let data;
+    if (this.format === 'yaml') {
+      this.document = this.document || new YAML.Document({});
+      settings.forEach(setting => this.document.setIn(setting.split('.'), getSetting(fileValues, setting)));
+      data = this.document.toString();
+    } else {
+      data = JSON.stringify(fileValues, null, 2) + '\n';
+    }
+    await fs.writeFile(this.file, data);
+  }
+}
+
+async function readConfigFile(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Read the config file, if there is one, and the environment. Without a
+// file the defaults and environment are used, and PUT /config creates
+// `file` or config.json.
+export async function loadConfig({ file, env = process.env } = {}) {
+  let data = null;
+  if (file) {
+    data = await readConfigFile(file);
+  } else {
+    for (const candidate of CONFIG_FILES) {
+      data = await readConfigFile(candidate);
+      if (data !== null) {
+        file = candidate;
+        break;
+      }
+    }
+    file = file || CONFIG_FILES[0];
+  }
+
+  let fileValues = {};
+  let document = null;
+  if (data !== null) {
+    try {
+      if (formatOf(file) === 'yaml') {
+        document = YAML.parseDocument(data, { prettyErrors: false });
+        if (document.errors.length > 0) {
+          throw document.errors[0];
+        }
+        fileValues = document.toJS() || {};
+      } else {
+        fileValues = JSON.parse(data);
+      }
+    } catch (error) {
+      const message = `not valid ${formatOf(file).toUpperCase()} (${error.message})`;
+      throw new ValidationError(`Invalid config: ${path.basename(file)} is ${message}`, [{ path: '', message }]);
+    }
+    if (!isObject(fileValues)) {
+      throw new ValidationError(`Invalid config: ${path.basename(file)} must contain an object of settings`, [
+        { path: '', message: 'must contain an object of settings' }
+      ]);
+    }
+  }
+
+  return new Config({ file, fileValues, document, env });
+}
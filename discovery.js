@@ -0,0 +1,125 @@
+import { normalizeUuid } from './catprinter.js';
+import { invalidField } from './errors.js';
+
+// Filtering and ranking for BLE scans. Noble reports a device every time it
+// advertises (on Linux we scan with duplicates allowed), so results are
+// collected per peripheral ID and keep the latest signal strength.
+
+export const DEFAULT_SCAN_DURATION = 10; // seconds
+export const MAX_SCAN_DURATION = 60;
+
+// Throws an "Invalid scan" error for query parameters that can't be used.
+// Returns { duration (in ms), name, service, minRssi, printersOnly }.
+export function parseScanOptions({ duration, name, service, minRssi, printersOnly } = {}) {
+  const options = {
+    duration: DEFAULT_SCAN_DURATION * 1000,
+    name: null,
+    service: null,
+    minRssi: null,
+    printersOnly: printersOnly === true || printersOnly === 'true'
+  };
+
+  if (duration !== undefined) {
+    const seconds = Number(duration);
+    if (!(seconds > 0 && seconds <= MAX_SCAN_DURATION)) {
+      throw invalidField('scan', 'duration', `must be a number of seconds up to ${MAX_SCAN_DURATION}`);
+    }
+    options.duration = Math.round(seconds * 1000);
+  }
+
+  if (name !== undefined && name !== '') {
+    options.name = String(name);
+  }
+
+  if (service !== undefined && service !== '') {
+    if (!/^([0-9a-f]{4}|[0-9a-f]{8}|[0-9a-f]{32})$/i.test(String(service).replace(/-/g, ''))) {
+      throw invalidField('scan', 'service', 'must be a 16, 32 or 128-bit UUID');
+    }
+    options.service = normalizeUuid(String(service));
+  }
+
+  if (minRssi !== undefined && minRssi !== '') {
+    const rssi = Number(minRssi);
+    if (!Number.isInteger(rssi) || rssi > 0 || rssi < -127) {
+      throw invalidField('scan', 'minRssi', 'must be a whole number between -127 and 0');
+    }
+    options.minRssi = rssi;
+  }
+
+  return options;
+}
+
+// Likely to work with this service: it advertises one of the printer
+// services we know, or has one of the printer names we know
+export function isCompatible(device, { services = [], names = [] } = {}) {
+  const known = services.map(normalizeUuid);
+  if ((device.services || []).some(uuid => known.includes(normalizeUuid(uuid)))) {
+    return true;
+  }
+  return Boolean(device.name) && names.some(pattern =>
+    (typeof pattern === 'string' ? device.name === pattern : pattern.test(device.name))
+  );
+}
+
+// Whether a device name matches a ?name= pattern. The pattern matches
+// anywhere in the name, ignoring case, and `*` stands for any run of
+// characters: `mtp*58` matches "MTP-II 58mm". Everything else is literal, so
+// a client's pattern can't be made to backtrack.
+export function matchesName(pattern, name) {
+  const text = name.toLowerCase();
+  let from = 0;
+  for (const part of pattern.toLowerCase().split('*')) {
+    const index = text.indexOf(part, from);
+    if (index === -1) {
+      return false;
+    }
+    from = index + part.length;
+  }
+  return true;
+}
+
+// Whether a device passes the scan's filters
+export function matchesScan(device, { name, service, minRssi, printersOnly }) {
+  if (name && !matchesName(name, device.name || '')) {
+    return false;
+  }
+  if (service && !(device.services || []).some(uuid => normalizeUuid(uuid) === service)) {
+    return false;
+  }
+  if (minRssi !== null && minRssi !== undefined && !(typeof device.rssi === 'number' && device.rssi >= minRssi)) {
+    return false;
+  }
+  if (printersOnly && !device.compatible) {
+    return false;
+  }
+  return true;
+}
+
+// Record an advertisement in `devices` (a Map keyed by peripheral ID).
+// Later advertisements update the signal strength and fill in anything the
+// earlier ones left out. Returns the merged device.
+export function mergeDevice(devices, device) {
+  const existing = devices.get(device.id);
+  if (!existing) {
+    devices.set(device.id, device);
+    return device;
+  }
+
+  existing.rssi = device.rssi;
+  existing.lastSeen = device.lastSeen;
+  existing.name = existing.name || device.name;
+  existing.address = existing.address || device.address;
+  existing.services = [...new Set([...(existing.services || []), ...(device.services || [])])];
+  return existing;
+}
+
+// Saved printer first, then compatible printers, then by signal strength
+export function rankDevices(devices) {
+  const rssi = (device) => (typeof device.rssi === 'number' ? device.rssi : -Infinity);
+  return [...devices].sort((a, b) =>
+    (b.saved - a.saved) ||
+    (b.compatible - a.compatible) ||
+    (rssi(b) - rssi(a)) ||
+    (a.name || '').localeCompare(b.name || '')
+  );
+}
@@ -0,0 +1,482 @@
+import {
+  INIT, CUT, PARTIAL_CUT, ALIGNMENTS, ALIGN_LEFT,
+  bold, underline, invert, charSize, feedLines, selectFont
+} from './escpos.js';
+import { encodeText, transliterate, selectCodePage, DEFAULT_CODE_PAGE } from './encoding.js';
+import { buildBarcode, buildQrCode, validateBarcode, validateQrCode } from './barcode.js';
+import { buildDrawerKick, buildBeep, validateDrawerKick, validateBeep } from './peripherals.js';
+import { imageToRaster, DITHER_MODES } from './raster.js';
+import { ValidationError, invalidField, nestDetails } from './errors.js';
+
+// A document is a list of blocks rendered top to bottom:
+//
+//   { lineWidth: 32, blocks: [
+//     { type: 'text', text: 'Hello', align: 'center', bold: true, size: 2 },
+//     { type: 'text', spans: [{ text: 'Total ' }, { text: 'R10', bold: true, invert: true }] },
+//     { type: 'row', overflow: 'wrap', columns: [{ text: 'Tea' }, { text: '12.00', width: 10, align: 'right' }] },
+//     { type: 'separator' },
+//     { type: 'feed', lines: 2 },
+//     { type: 'image', image: '<base64>', dither: 'atkinson' },
+//     { type: 'barcode', symbology: 'CODE128', data: 'SALE-1' },
+//     { type: 'qr', data: 'https://example.com' },
+//     { type: 'cut' },
+//     { type: 'drawer', pin: 2 },
+//     { type: 'beep', count: 2 }
+//   ] }
+
+export const BLOCK_TYPES = ['text', 'row', 'separator', 'feed', 'cut', 'image', 'barcode', 'qr', 'drawer', 'beep'];
+
+// What to do with text longer than its column
+export const OVERFLOW_MODES = ['wrap', 'truncate'];
+
+// Characters per line with font A on 58mm paper
+export const DEFAULT_LINE_WIDTH = 32;
+
+const isSize = (value) => value === undefined || (Number.isInteger(value) && value >= 1 && value <= 8);
+
+function validateBlock(block, where) {
+  if (!block || typeof block !== 'object') {
+    throw invalidField('document', where, 'must be an object');
+  }
+  if (!BLOCK_TYPES.includes(block.type)) {
+    throw invalidField('document', `${where}.type`, `must be one of ${BLOCK_TYPES.join(', ')}`);
+  }
+  if (block.align !== undefined && !ALIGNMENTS[block.align]) {
+    throw invalidField('document', `${where}.align`, 'must be one of left, center, right');
+  }
+
+  switch (block.type) {
+    case 'text':
+      if (block.spans !== undefined) {
+        if (!Array.isArray(block.spans) || block.spans.length === 0) {
+          throw invalidField('document', `${where}.spans`, 'must be a non-empty array');
+        }
+        block.spans.forEach((span, i) => {
+          if (!span || typeof span.text !== 'string') {
+            throw invalidField('document', `${where}.spans[${i}].text`, 'must be a string');
+          }
+          if (!isSize(span.size) || !isSize(span.width) || !isSize(span.height)) {
+            throw invalidField('document', `${where}.spans[${i}]`, 'size, width and height must be between 1 and 8');
+          }
+        });
+      } else if (typeof block.text !== 'string') {
+        throw invalidField('document', `${where}.text`, 'must be a string');
+      }
+      if (!isSize(block.size) || !isSize(block.width) || !isSize(block.height)) {
+        throw invalidField('document', where, 'size, width and height must be between 1 and 8');
+      }
+      if (block.overflow !== undefined && !OVERFLOW_MODES.includes(block.overflow)) {
+        throw invalidField('document', `${where}.overflow`, `must be one of ${OVERFLOW_MODES.join(', ')}`);
+      }
+      break;
+    case 'row':
+      if (!Array.isArray(block.columns) || block.columns.length === 0) {
+        throw invalidField('document', `${where}.columns`, 'must be a non-empty array');
+      }
+      if (block.overflow !== undefined && !OVERFLOW_MODES.includes(block.overflow)) {
+        throw invalidField('document', `${where}.overflow`, `must be one of ${OVERFLOW_MODES.join(', ')}`);
+      }
+      block.columns.forEach((column, i) => {
+        if (!column || (typeof column.text !== 'string' && typeof column.text !== 'number')) {
+          throw invalidField('document', `${where}.columns[${i}].text`, 'must be a string');
+        }
+        if (column.width !== undefined && !(Number.isInteger(column.width) && column.width > 0)) {
+          throw invalidField('document', `${where}.columns[${i}].width`, 'must be a positive integer');
+        }
+        if (column.align !== undefined && !ALIGNMENTS[column.align]) {
+          throw invalidField('document', `${where}.columns[${i}].align`, 'must be one of left, center, right');
+        }
+        if (column.overflow !== undefined && !OVERFLOW_MODES.includes(column.overflow)) {
+          throw invalidField('document', `${where}.columns[${i}].overflow`, `must be one of ${OVERFLOW_MODES.join(', ')}`);
+        }
+      });
+      break;
+    case 'separator':
+      if (block.char !== undefined && (typeof block.char !== 'string' || block.char.length !== 1)) {
+        throw invalidField('document', `${where}.char`, 'must be a single character');
+      }
+      if (block.length !== undefined && !(Number.isInteger(block.length) && block.length > 0)) {
+        throw invalidField('document', `${where}.length`, 'must be a positive integer');
+      }
+      break;
+    case 'feed':
+      if (block.lines !== undefined && !(Number.isInteger(block.lines) && block.lines >= 0 && block.lines <= 255)) {
+        throw invalidField('document', `${where}.lines`, 'must be between 0 and 255');
+      }
+      break;
+    case 'image':
+      if (typeof block.image !== 'string' || block.image.length === 0) {
+        throw invalidField('document', `${where}.image`, 'must be a base64 string');
+      }
+      if (block.dither !== undefined && !DITHER_MODES.includes(block.dither)) {
+        throw invalidField('document', `${where}.dither`, `must be one of ${DITHER_MODES.join(', ')}`);
+      }
+      if (block.threshold !== undefined && !(Number.isInteger(block.threshold) && block.threshold >= 0 && block.threshold <= 255)) {
+        throw invalidField('document', `${where}.threshold`, 'must be a whole number between 0 and 255');
+      }
+      break;
+    case 'barcode':
+      try {
+        validateBarcode(block.symbology, block.data, block);
+      } catch (error) {
+        // The barcode's type is the block's symbology
+        throw new ValidationError(
+          `Invalid document: ${where}: ${error.message.replace(/^Invalid /, '')}`,
+          nestDetails(error, where).map(detail => ({ ...detail, path: detail.path.replace(/\.type$/, '.symbology') }))
+        );
+      }
+      break;
+    case 'qr':
+      try {
+        validateQrCode(block.data, block);
+      } catch (error) {
+        throw new ValidationError(`Invalid document: ${where}: ${error.message.replace(/^Invalid /, '')}`, nestDetails(error, where));
+      }
+      break;
+    case 'drawer':
+      try {
+        validateDrawerKick(block);
+      } catch (error) {
+        throw new ValidationError(`Invalid document: ${where}: ${error.message.replace(/^Invalid /, '')}`, nestDetails(error, where));
+      }
+      break;
+    case 'beep':
+      try {
+        validateBeep(block);
+      } catch (error) {
+        throw new ValidationError(`Invalid document: ${where}: ${error.message.replace(/^Invalid /, '')}`, nestDetails(error, where));
+      }
+      break;
+  }
+}
+
+export function validateDocument(document) {
+  if (!document || !Array.isArray(document.blocks)) {
+    throw invalidField('document', 'blocks', 'must be an array');
+  }
+  if (document.lineWidth !== undefined && !(Number.isInteger(document.lineWidth) && document.lineWidth > 0)) {
+    throw invalidField('document', 'lineWidth', 'must be a positive integer');
+  }
+  document.blocks.forEach((block, i) => validateBlock(block, `blocks[${i}]`));
+}
+
+function pad(text, width, align = 'left') {
+  const value = String(text).slice(0, width);
+  if (align === 'right') {
+    return value.padStart(width);
+  }
+  if (align === 'center') {
+    const left = Math.floor((width - value.length) / 2);
+    return (' '.repeat(left) + value).padEnd(width);
+  }
+  return value.padEnd(width);
+}
+
+// Word wrap text to lines of at most `width` characters. Explicit newlines
+// are kept and words longer than a line are broken.
+export function wrapText(text, width) {
+  const lines = [];
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/ +/)) {
+      let rest = word;
+      // Hard-break words that don't fit on a line of their own
+      while (rest.length > width) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(rest.slice(0, width));
+        rest = rest.slice(width);
+      }
+
+      if (!line) {
+        line = rest;
+      } else if (line.length + 1 + rest.length <= width) {
+        line += ' ' + rest;
+      } else {
+        lines.push(line);
+        line = rest;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+// Lay out a row: columns without a width share whatever is left of the
+// line. Long text either continues on following lines or is cut off.
+// Returns each cell's width in characters with its lines of text.
+export function layoutRow(columns, lineWidth, overflow = 'wrap') {
+  const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+  const flexible = columns.filter(column => !column.width).length;
+  const share = flexible ? Math.max(1, Math.floor((lineWidth - fixed) / flexible)) : 0;
+
+  const cells = columns.map(column => {
+    const width = column.width || share;
+    const mode = column.overflow || overflow;
+    const lines = mode === 'wrap' ? wrapText(column.text, width) : [String(column.text).slice(0, width)];
+    return { width, align: column.align, lines };
+  });
+
+  return { cells, height: Math.max(...cells.map(cell => cell.lines.length)) };
+}
+
+export function formatRow(columns, lineWidth, overflow = 'wrap') {
+  const { cells, height } = layoutRow(columns, lineWidth, overflow);
+  const rows = [];
+  for (let i = 0; i < height; i++) {
+    rows.push(cells.map(cell => pad(cell.lines[i] || '', cell.width, cell.align)).join('').trimEnd());
+  }
+  return rows;
+}
+
+// The style of a span of text, with sizes as width and height multipliers
+export function spanStyle(span) {
+  return {
+    bold: Boolean(span.bold),
+    underline: Boolean(span.underline),
+    invert: Boolean(span.invert),
+    width: span.width || span.size || 1,
+    height: span.height || span.size || 1
+  };
+}
+
+const sameStyle = (a, b) => a.bold === b.bold && a.underline === b.underline && a.invert === b.invert &&
+  a.width === b.width && a.height === b.height;
+
+// Word wrap spans of styled text to lines of at most `width` characters,
+// where wide characters take up several. A word may be made of several
+// spans, e.g. a bold amount followed by a full stop, and is kept together.
+// Returns each line as a list of { text, style } pieces.
+export function wrapSpans(spans, width) {
+  // Split the spans into words, runs of spaces and line breaks
+  const tokens = [];
+  for (const span of spans) {
+    const style = spanStyle(span);
+    for (const part of span.text.split(/(\n| +)/)) {
+      if (!part) {
+        continue;
+      }
+      const kind = part === '\n' ? 'break' : part[0] === ' ' ? 'space' : 'word';
+      const last = tokens[tokens.length - 1];
+      if (kind === 'word' && last && last.kind === 'word') {
+        last.pieces.push({ text: part, style });
+      } else {
+        tokens.push({ kind, pieces: [{ text: part, style }] });
+      }
+    }
+  }
+
+  const lines = [];
+  let line = [];
+  let used = 0;
+  let space = null;
+  let wrapped = false;
+  const measure = (pieces) => pieces.reduce((sum, piece) => sum + piece.text.length * piece.style.width, 0);
+  const endLine = () => {
+    lines.push(line);
+    line = [];
+    used = 0;
+  };
+  const append = ({ text, style }) => {
+    const last = line[line.length - 1];
+    if (last && sameStyle(last.style, style)) {
+      last.text += text;
+    } else {
+      line.push({ text, style });
+    }
+    used += text.length * style.width;
+  };
+  // Add text a character at a time, breaking lines where it doesn't fit
+  const appendChars = (pieces) => {
+    for (const piece of pieces) {
+      for (const char of piece.text) {
+        if (used > 0 && used + piece.style.width > width) {
+          endLine();
+          wrapped = true;
+        }
+        append({ text: char, style: piece.style });
+      }
+    }
+  };
+  // Spaces before a line break or the end are kept when they fit, since
+  // they show when underlined or reversed
+  const flushSpace = () => {
+    if (space && used + measure(space) <= width) {
+      space.forEach(append);
+    }
+    space = null;
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'break') {
+      flushSpace();
+      endLine();
+      wrapped = false;
+    } else if (token.kind === 'space') {
+      if (used === 0 && !wrapped) {
+        // Indents at the start of a line are printed
+        appendChars(token.pieces);
+      } else if (used > 0) {
+        // Spaces between words are printed if the next word fits after them
+        space = [...(space || []), ...token.pieces];
+      }
+    } else {
+      const length = measure(token.pieces);
+      if (used > 0 && used + (space ? measure(space) : 0) + length > width) {
+        endLine();
+        wrapped = true;
+      } else if (space) {
+        space.forEach(append);
+      }
+      space = null;
+      // Words that don't fit on a line of their own are broken
+      appendChars(token.pieces);
+    }
+  }
+  flushSpace();
+  lines.push(line);
+  return lines;
+}
+
+// Lines of a text block that fit `width` characters
+export function textLines(block, width) {
+  return block.overflow === 'truncate'
+    ? block.text.split('\n').map(line => line.slice(0, width))
+    : wrapText(block.text, width);
+}
+
+const RESET_STYLES = [...bold(false), ...underline(false), ...invert(false), ...charSize(1, 1)];
+
+// A text block with inline styles. Only the styles that change are sent
+// between pieces, and everything is reset at the end of the block.
+function renderSpans(block, { align, lineWidth, text }) {
+  const parts = [Buffer.from(align)];
+  let current = spanStyle({});
+  for (const line of wrapSpans(block.spans, lineWidth)) {
+    for (const { text: value, style } of line) {
+      const changes = [
+        ...(style.bold !== current.bold ? bold(style.bold) : []),
+        ...(style.underline !== current.underline ? underline(style.underline) : []),
+        ...(style.invert !== current.invert ? invert(style.invert) : []),
+        ...(style.width !== current.width || style.height !== current.height ? charSize(style.width, style.height) : [])
+      ];
+      parts.push(Buffer.from(changes), text(value));
+      current = style;
+    }
+    parts.push(text('\n'));
+  }
+  parts.push(Buffer.from(RESET_STYLES));
+  return Buffer.concat(parts);
+}
+
+async function renderBlock(block, { lineWidth, dotWidth, codePage }) {
+  const align = ALIGNMENTS[block.align || 'left'];
+  const text = (value) => encodeText(value, codePage);
+
+  switch (block.type) {
+    case 'text': {
+      if (block.spans) {
+        return renderSpans(block, { align, lineWidth, text });
+      }
+      const width = block.width || block.size || 1;
+      const height = block.height || block.size || 1;
+      const styled = block.bold || block.underline || block.invert || width > 1 || height > 1;
+      // Wider characters mean fewer of them fit on a line
+      const lines = textLines(block, Math.floor(lineWidth / width));
+      return Buffer.concat([
+        Buffer.from(align),
+        Buffer.from(block.bold ? bold(true) : []),
+        Buffer.from(block.underline ? underline(true) : []),
+        Buffer.from(block.invert ? invert(true) : []),
+        Buffer.from(width > 1 || height > 1 ? charSize(width, height) : []),
+        text(lines.join('\n') + '\n'),
+        // Reset styles so they don't leak into the next block
+        Buffer.from(styled ? RESET_STYLES : [])
+      ]);
+    }
+    case 'row':
+      return Buffer.concat([
+        Buffer.from(ALIGN_LEFT),
+        Buffer.from(block.bold ? bold(true) : []),
+        text(formatRow(block.columns, lineWidth, block.overflow).join('\n') + '\n'),
+        Buffer.from(block.bold ? bold(false) : [])
+      ]);
+    case 'separator':
+      return Buffer.concat([
+        Buffer.from(align),
+        text((block.char || '-').repeat(block.length || lineWidth) + '\n')
+      ]);
+    case 'feed':
+      return Buffer.from(feedLines(block.lines === undefined ? 1 : block.lines));
+    case 'cut':
+      return Buffer.from(block.partial ? PARTIAL_CUT : CUT);
+    case 'image': {
+      const raster = await imageToRaster(block.image, {
+        maxWidth: dotWidth,
+        dither: block.dither,
+        threshold: block.threshold
+      });
+      return Buffer.concat([Buffer.from(ALIGNMENTS[block.align || 'center']), raster.buffer]);
+    }
+    case 'barcode':
+      return Buffer.concat([
+        Buffer.from(ALIGNMENTS[block.align || 'center']),
+        buildBarcode(block.symbology, block.data, block)
+      ]);
+    case 'qr':
+      return Buffer.concat([
+        Buffer.from(ALIGNMENTS[block.align || 'center']),
+        buildQrCode(block.data, block)
+      ]);
+    case 'drawer':
+      return buildDrawerKick(block);
+    case 'beep':
+      return buildBeep(block);
+  }
+}
+
+// A block with its text as it will print in the code page, so it's wrapped
+// and padded to the width it really takes up. A separator is drawn with
+// the first character of its substitute.
+function transliterateBlock(block, codePage) {
+  const clean = (value) => transliterate(String(value), codePage);
+  switch (block.type) {
+    case 'text':
+      return block.spans
+        ? { ...block, spans: block.spans.map(span => ({ ...span, text: clean(span.text) })) }
+        : { ...block, text: clean(block.text) };
+    case 'row':
+      return { ...block, columns: block.columns.map(column => ({ ...column, text: clean(column.text) })) };
+    case 'separator':
+      return block.char === undefined ? block : { ...block, char: clean(block.char)[0] };
+    default:
+      return block;
+  }
+}
+
+// Compile a document to ESC/POS bytes, starting from a freshly initialized
+// printer. Text is encoded in the given code page and laid out for the
+// paper width and font.
+export async function renderDocument(document, { dotWidth, lineWidth, font = 'A', codePage = DEFAULT_CODE_PAGE, codeTable } = {}) {
+  validateDocument(document);
+
+  const options = {
+    dotWidth,
+    codePage,
+    lineWidth: document.lineWidth || lineWidth || DEFAULT_LINE_WIDTH
+  };
+
+  const parts = [
+    Buffer.from(INIT),
+    Buffer.from(selectCodePage(codePage, codeTable)),
+    Buffer.from(selectFont(font))
+  ];
+  for (const block of document.blocks) {
+    parts.push(await renderBlock(transliterateBlock(block, codePage), options));
+  }
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,128 @@
+import iconv from 'iconv-lite';
+import { ESC } from './escpos.js';
+import { ValidationError } from './errors.js';
+
+// Supported code pages with their ESC t table number (Epson numbering).
+// Some printers number their tables differently; a printer can override the
+// table number with its `codeTable` setting.
+export const CODE_PAGES = {
+  cp437: 0, // USA, standard Europe
+  cp850: 2, // Multilingual Latin 1
+  cp860: 3, // Portuguese
+  cp863: 4, // Canadian French
+  cp865: 5, // Nordic
+  cp857: 13, // Turkish
+  cp737: 14, // Greek
+  cp1252: 16, // Windows Latin 1
+  cp866: 17, // Cyrillic
+  cp852: 18, // Latin 2
+  cp858: 19, // Multilingual Latin 1 with euro
+  cp1250: 45, // Windows Central Europe
+  cp1251: 46, // Windows Cyrillic
+  cp1253: 47, // Windows Greek
+  cp1254: 48 // Windows Turkish
+};
+
+export const DEFAULT_CODE_PAGE = 'cp437';
+
+// Readable replacements for characters a code page is missing
+const SUBSTITUTES = {
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '©': '(c)',
+  '®': '(R)',
+  '™': 'TM',
+  '‘': "'",
+  '’': "'",
+  '‚': ',',
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '•': '*',
+  '×': 'x',
+  '÷': '/',
+  '\u00A0': ' ',
+  'ß': 'ss',
+  'Æ': 'AE',
+  'æ': 'ae',
+  'Œ': 'OE',
+  'œ': 'oe',
+  'Ø': 'O',
+  'ø': 'o',
+  'Đ': 'D',
+  'đ': 'd',
+  'Ł': 'L',
+  'ł': 'l'
+};
+
+export function isCodePage(name) {
+  return Object.prototype.hasOwnProperty.call(CODE_PAGES, name);
+}
+
+// ESC t n for a code page, optionally with a printer specific table number
+export function selectCodePage(codePage = DEFAULT_CODE_PAGE, codeTable) {
+  const table = Number.isInteger(codeTable) ? codeTable : CODE_PAGES[codePage];
+  return [ESC, 0x74, table];
+}
+
+const cache = new Map();
+
+// Whether a single character exists in the code page
+function canEncode(char, codePage) {
+  const key = `${codePage}:${char}`;
+  if (!cache.has(key)) {
+    // iconv-lite encodes unknown characters as '?'
+    const encoded = iconv.encode(char, codePage);
+    cache.set(key, char === '?' || !(encoded.length === 1 && encoded[0] === 0x3F));
+  }
+  return cache.get(key);
+}
+
+// Replace a character the code page can't represent: first try dropping
+// accents (é -> e), then a readable substitute, and finally '?'
+function substitute(char, codePage) {
+  const stripped = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (stripped !== char && [...stripped].every(c => canEncode(c, codePage))) {
+    return stripped;
+  }
+
+  const replacement = SUBSTITUTES[char];
+  if (replacement && [...replacement].every(c => canEncode(c, codePage))) {
+    return replacement;
+  }
+
+  return '?';
+}
+
+function checkCodePage(codePage) {
+  if (!isCodePage(codePage)) {
+    throw new ValidationError(`Invalid code page: ${codePage}. Use one of ${Object.keys(CODE_PAGES).join(', ')}`, [
+      { path: 'codePage', message: `must be one of ${Object.keys(CODE_PAGES).join(', ')}` }
+    ]);
+  }
+}
+
+// Text as it will print in the code page, with the characters it can't
+// represent replaced. Substitutes can be longer than what they replace
+// (€ -> EUR), so text is transliterated before it's measured for layout.
+export function transliterate(text, codePage = DEFAULT_CODE_PAGE) {
+  checkCodePage(codePage);
+
+  let safe = '';
+  for (const char of text.normalize('NFC')) {
+    safe += canEncode(char, codePage) ? char : substitute(char, codePage);
+  }
+  return safe;
+}
+
+// Encode transliterated text for the printer's code page instead of
+// sending UTF-8. Any character the code page is missing is sent as '?'.
+export function encodeText(text, codePage = DEFAULT_CODE_PAGE) {
+  checkCodePage(codePage);
+  return iconv.encode(text, codePage);
+}
@@ -0,0 +1,144 @@
+// Errors reported by the API. Every error has a stable `code` that clients
+// can switch on, and the HTTP status the code maps to.
+export const ERROR_CODES = {
+  VALIDATION: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  ROUTE_NOT_FOUND: 404,
+  DEVICE_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  JOB_NOT_CANCELLABLE: 409,
+  JOB_NOT_REPRINTABLE: 409,
+  JOB_CANCELLED: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  INTERNAL: 500,
+  SERVICE_NOT_FOUND: 502,
+  WRITE_FAILED: 502,
+  NOT_CONNECTED: 503,
+  PAPER_OUT: 503,
+  COVER_OPEN: 503,
+  PRINTER_ERROR: 503,
+  TIMEOUT: 504
+};
+
+export class ServiceError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    if (details) {
+      this.details = details;
+    }
+  }
+
+  toJSON() {
+    return this.details
+      ? { error: this.message, code: this.code, details: this.details }
+      : { error: this.message, code: this.code };
+  }
+}
+
+// A request that can't be used. `details` lists { path, message } for each
+// field that failed.
+export class ValidationError extends ServiceError {
+  constructor(message, details) {
+    super('VALIDATION', message, details);
+  }
+}
+
+// A ValidationError for one field, reading "Invalid <subject>: <path>
+// <message>", e.g. invalidField('barcode', 'height', 'must be between 1
+// and 255 dots')
+export function invalidField(subject, path, message) {
+  return new ValidationError(`Invalid ${subject}: ${path} ${message}`, [{ path, message }]);
+}
+
+// The details of a ValidationError raised for something inside `path`,
+// such as a document block or a batch item, with their paths under it
+export function nestDetails(error, path) {
+  return (error.details || [{ path: '', message: error.message }]).map(detail => ({
+    path: !detail.path ? path : detail.path.startsWith('[') ? `${path}${detail.path}` : `${path}.${detail.path}`,
+    message: detail.message
+  }));
+}
+
+export class NotConnectedError extends ServiceError {
+  constructor(message = 'Printer not connected') {
+    super('NOT_CONNECTED', message);
+  }
+}
+
+export class DeviceNotFoundError extends ServiceError {
+  constructor(message = 'Printer not found') {
+    super('DEVICE_NOT_FOUND', message);
+  }
+}
+
+export class ServiceNotFoundError extends ServiceError {
+  constructor(message = 'Printer service not found') {
+    super('SERVICE_NOT_FOUND', message);
+  }
+}
+
+export class PaperOutError extends ServiceError {
+  constructor(message = 'Printer is out of paper') {
+    super('PAPER_OUT', message);
+  }
+}
+
+export class CoverOpenError extends ServiceError {
+  constructor(message = 'Printer cover is open') {
+    super('COVER_OPEN', message);
+  }
+}
+
+// Any other status that stops the printer: cutter error, overheating, offline
+export class PrinterStatusError extends ServiceError {
+  constructor(message) {
+    super('PRINTER_ERROR', message);
+  }
+}
+
+export class WriteFailedError extends ServiceError {
+  constructor(message = 'Could not write to the printer') {
+    super('WRITE_FAILED', message);
+  }
+}
+
+export class TimeoutError extends ServiceError {
+  constructor(message = 'Timed out') {
+    super('TIMEOUT', message);
+  }
+}
+
+// Turn anything thrown into a ServiceError. The errors from express.json
+// and multer are mapped to their codes; anything else is INTERNAL.
+export function toServiceError(error) {
+  if (error instanceof ServiceError) {
+    return error;
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError(`Invalid request: body is not valid JSON (${error.message})`, [
+      { path: '', message: `not valid JSON (${error.message})` }
+    ]);
+  }
+  if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+    return new ServiceError('PAYLOAD_TOO_LARGE', 'Request is too large');
+  }
+  return new ServiceError('INTERNAL', error.message || 'Internal error');
+}
+
+// Express error handler sending { error, code, details } with the status
+// for the code
+export function errorHandler(error, req, res, next) {
+  const serviceError = toServiceError(error);
+  if (serviceError.code === 'INTERNAL') {
+    console.error('API error:', error);
+  }
+  if (res.headersSent) {
+    return next(error);
+  }
+  res.status(serviceError.status).json(serviceError);
+}
@@ -0,0 +1,382 @@
+import iconv from 'iconv-lite';
+import { CODE_PAGES, DEFAULT_CODE_PAGE } from './encoding.js';
+import { invalidField } from './errors.js';
+import { DLE, ESC, FS, GS } from './escpos.js';
+
+// Splits an ESC/POS byte stream into commands and runs of text. Used to
+// check raw payloads before they reach a printer, to list what a payload
+// does, by the preview interpreter and to transcribe what virtual printers
+// receive.
+
+// ESC t table number -> code page name
+export const CODE_PAGE_TABLES = Object.fromEntries(Object.entries(CODE_PAGES).map(([name, table]) => [table, name]));
+
+const uint16 = (data, i) => data[i] | (data[i + 1] << 8);
+
+// Commands of the form <prefix> pL pH <pL + pH * 256 bytes>, where the
+// function number follows the length
+const counted = (data, i) => 5 + uint16(data, i + 3);
+
+const ALIGN_NAMES = ['left', 'center', 'right'];
+const onOff = (n) => (n & 1 ? 'on' : 'off');
+
+// Every command we recognise, keyed by its first two bytes. `length` is the
+// total length in bytes or a function of the stream and the command's
+// offset. `dangerous` marks commands a raw payload shouldn't be allowed to
+// send: they write to non-volatile memory, change the printer's
+// configuration or stop it from accepting data.
+const COMMANDS = {
+  [ESC]: {
+    0x40: { name: 'ESC @', length: 2, describe: () => 'Initialize printer' },
+    0x61: { name: 'ESC a', length: 3, describe: (d) => `Justification: ${ALIGN_NAMES[d[2] % 48] || d[2]}` },
+    0x45: { name: 'ESC E', length: 3, describe: (d) => `Emphasis ${onOff(d[2])}` },
+    0x47: { name: 'ESC G', length: 3, describe: (d) => `Double strike ${onOff(d[2])}` },
+    0x2D: { name: 'ESC -', length: 3, describe: (d) => `Underline ${d[2] % 48 ? `${d[2] % 48} dot` : 'off'}` },
+    0x4D: { name: 'ESC M', length: 3, describe: (d) => `Font ${d[2] % 48 === 1 ? 'B' : 'A'}` },
+    0x21: { name: 'ESC !', length: 3, describe: (d) => `Print mode 0x${d[2].toString(16).padStart(2, '0')}` },
+    0x74: { name: 'ESC t', length: 3, describe: (d) => `Code page ${CODE_PAGE_TABLES[d[2]] || `table ${d[2]}`}` },
+    0x64: { name: 'ESC d', length: 3, describe: (d) => `Print and feed ${d[2]} lines` },
+    0x4A: { name: 'ESC J', length: 3, describe: (d) => `Print and feed ${d[2]} dots` },
+    0x33: { name: 'ESC 3', length: 3, describe: (d) => `Line spacing ${d[2]} dots` },
+    0x32: { name: 'ESC 2', length: 2, describe: () => 'Default line spacing' },
+    0x20: { name: 'ESC SP', length: 3, describe: (d) => `Character spacing ${d[2]} dots` },
+    0x52: { name: 'ESC R', length: 3, describe: (d) => `International character set ${d[2]}` },
+    0x7B: { name: 'ESC {', length: 3, describe: (d) => `Upside down ${onOff(d[2])}` },
+    0x56: { name: 'ESC V', length: 3, describe: (d) => `90 degree rotation ${onOff(d[2])}` },
+    0x24: { name: 'ESC $', length: 4, describe: (d) => `Absolute position ${uint16(d, 2)}` },
+    0x5C: { name: 'ESC \\', length: 4, describe: (d) => `Relative position ${uint16(d, 2)}` },
+    0x2A: {
+      name: 'ESC *',
+      length: (data, i) => 5 + uint16(data, i + 3) * (data[i + 2] > 1 ? 3 : 1),
+      describe: (d) => `Bit image, ${uint16(d, 3)} columns`
+    },
+    0x70: { name: 'ESC p', length: 5, describe: (d) => `Pulse drawer pin ${d[2] % 48 ? 5 : 2} (${d[3] * 2}ms on, ${d[4] * 2}ms off)` },
+    0x42: { name: 'ESC B', length: 4, describe: (d) => `Beep ${d[2]} times (${d[3] * 50}ms)` },
+    0x69: { name: 'ESC i', length: 2, describe: () => 'Full cut' },
+    0x6D: { name: 'ESC m', length: 2, describe: () => 'Partial cut' },
+    0x63: { name: 'ESC c', length: 4, describe: (d) => `Panel and sensor setting ${String.fromCharCode(d[2])}` },
+    0x3D: { name: 'ESC =', length: 3, describe: (d) => `Select peripheral device ${d[2]}`, dangerous: true }
+  },
+  [GS]: {
+    0x21: { name: 'GS !', length: 3, describe: (d) => `Character size ${(d[2] >> 4) + 1}x${(d[2] & 0x0F) + 1}` },
+    0x56: {
+      name: 'GS V',
+      length: (data, i) => (data[i + 2] >= 65 ? 4 : 3),
+      describe: (d) => (d[2] % 48 === 1 || d[2] === 66 ? 'Partial cut' : 'Full cut')
+    },
+    0x76: {
+      name: 'GS v 0',
+      length: (data, i) => 8 + uint16(data, i + 4) * uint16(data, i + 6),
+      describe: (d) => `Raster image ${uint16(d, 4) * 8}x${uint16(d, 6)} dots`
+    },
+    0x68: { name: 'GS h', length: 3, describe: (d) => `Barcode height ${d[2]} dots` },
+    0x77: { name: 'GS w', length: 3, describe: (d) => `Barcode module width ${d[2]}` },
+    0x48: { name: 'GS H', length: 3, describe: (d) => `Barcode text position ${d[2] % 48}` },
+    0x66: { name: 'GS f', length: 3, describe: (d) => `Barcode text font ${d[2] % 48 === 1 ? 'B' : 'A'}` },
+    0x6B: {
+      name: 'GS k',
+      length: (data, i) => {
+        if (data[i + 2] >= 65) {
+          return 4 + data[i + 3];
+        }
+        const end = data.indexOf(0x00, i + 3);
+        return end === -1 ? data.length - i : end - i + 1;
+      },
+      describe: (d) => `Barcode ${d[2] >= 65 ? d.subarray(4).toString('latin1') : d.subarray(3, -1).toString('latin1')}`
+    },
+    0x42: { name: 'GS B', length: 3, describe: (d) => `White on black ${onOff(d[2])}` },
+    0x4C: { name: 'GS L', length: 4, describe: (d) => `Left margin ${uint16(d, 2)} dots` },
+    0x57: { name: 'GS W', length: 4, describe: (d) => `Print area width ${uint16(d, 2)} dots` },
+    0x61: { name: 'GS a', length: 3, describe: (d) => `Automatic status back ${d[2]}` },
+    0x72: { name: 'GS r', length: 3, describe: (d) => `Transmit status ${d[2]}` },
+    0x49: { name: 'GS I', length: 3, describe: (d) => `Transmit printer ID ${d[2]}` },
+    0x28: {
+      name: (d) => `GS ( ${String.fromCharCode(d[2])}`,
+      length: counted,
+      describe: (d) => ({
+        0x45: 'User setup (memory switches)',
+        0x43: 'Edit NV user memory',
+        0x4D: 'Customize printer settings',
+        0x4C: `Graphics function ${d[6]}`,
+        0x6B: `Symbol (QR code) function ${d[6]}`
+      }[d[2]] || `Function ${d[5]}`),
+      // E: user setup (memory switches), C: NV user memory, M: save
+      // settings, L with functions 65-68: define or delete NV graphics
+      dangerous: (data, i) => {
+        const kind = data[i + 2];
+        const fn = data[i + 6];
+        return kind === 0x45 || kind === 0x43 || kind === 0x4D || (kind === 0x4C && fn >= 65 && fn <= 68);
+      }
+    },
+    0x38: {
+      // GS 8 L p1 p2 p3 p4 m fn: GS ( L with a 32-bit length
+      name: 'GS 8 L',
+      length: (data, i) => 7 + uint16(data, i + 3) + uint16(data, i + 5) * 0x10000,
+      describe: (d) => `Graphics function ${d[8]}`,
+      dangerous: (data, i) => data[i + 8] >= 65 && data[i + 8] <= 68
+    }
+  },
+  [FS]: {
+    0x70: { name: 'FS p', length: 4, describe: (d) => `Print NV bit image ${d[2]}` },
+    0x71: {
+      // FS q n [xL xH yL yH d1...dk] x n: define NV bit images
+      name: 'FS q',
+      length: (data, i) => {
+        let length = 3;
+        for (let image = 0; image < data[i + 2]; image++) {
+          const x = uint16(data, i + length);
+          const y = uint16(data, i + length + 2);
+          length += 4 + x * y * 8;
+        }
+        return length;
+      },
+      describe: (d) => `Define ${d[2]} NV bit images`,
+      dangerous: true
+    },
+    0x67: {
+      // FS g 1 m a1-a4 nL nH d1...dk writes NV user memory, FS g 2 reads it
+      name: 'FS g',
+      length: (data, i) => (data[i + 2] === 0x31 ? 10 + uint16(data, i + 8) : 10),
+      describe: (d) => (d[2] === 0x31 ? 'Write NV user memory' : 'Read NV user memory'),
+      dangerous: (data, i) => data[i + 2] === 0x31
+    },
+    0x28: { name: (d) => `FS ( ${String.fromCharCode(d[2])}`, length: counted, describe: (d) => `Function ${d[6]}` },
+    0x2E: { name: 'FS .', length: 2, describe: () => 'Cancel Kanji mode' },
+    0x26: { name: 'FS &', length: 2, describe: () => 'Kanji mode' }
+  },
+  [DLE]: {
+    0x04: { name: 'DLE EOT', length: 3, describe: (d) => `Real-time status ${d[2]}` },
+    0x05: { name: 'DLE ENQ', length: 3, describe: (d) => `Real-time request ${d[2]}` },
+    0x14: {
+      // fn 1 pulses the drawer, fn 2 powers the printer off, fn 8 clears
+      // the buffers
+      name: 'DLE DC4',
+      length: (data, i) => (data[i + 2] === 8 ? 10 : 5),
+      describe: (d) => ({ 1: 'Real-time drawer pulse', 2: 'Power off', 8: 'Clear buffers' }[d[2]] || `Real-time function ${d[2]}`),
+      dangerous: (data, i) => data[i + 2] === 2
+    }
+  }
+};
+
+const CONTROL_NAMES = { 0x0A: 'LF', 0x0D: 'CR', 0x09: 'HT', 0x0C: 'FF', 0x00: 'NUL', 0x18: 'CAN' };
+
+// Returns a list of tokens covering the whole stream:
+//   { type: 'text', offset, bytes }
+//   { type: 'command', offset, bytes, name, description, dangerous, truncated }
+// Unknown commands are returned with just their first two bytes.
+export function parseEscPos(data) {
+  const bytes = Buffer.from(data);
+  const tokens = [];
+  let i = 0;
+
+  while (i < bytes.length) {
+    const byte = bytes[i];
+
+    if (byte >= 0x20) {
+      const start = i;
+      while (i < bytes.length && bytes[i] >= 0x20) {
+        i++;
+      }
+      tokens.push({ type: 'text', offset: start, bytes: bytes.subarray(start, i) });
+      continue;
+    }
+
+    const table = COMMANDS[byte];
+    if (!table) {
+      const name = CONTROL_NAMES[byte] || `0x${byte.toString(16).padStart(2, '0')}`;
+      tokens.push({ type: 'command', offset: i, bytes: bytes.subarray(i, i + 1), name, description: name === 'LF' ? 'Print and line feed' : 'Control character', dangerous: false, truncated: false });
+      i++;
+      continue;
+    }
+
+    const definition = table[bytes[i + 1]];
+    if (!definition) {
+      const length = Math.min(2, bytes.length - i);
+      const second = bytes[i + 1];
+      const prefix = { [ESC]: 'ESC', [GS]: 'GS', [FS]: 'FS', [DLE]: 'DLE' }[byte];
+      tokens.push({
+        type: 'command',
+        offset: i,
+        bytes: bytes.subarray(i, i + length),
+        name: second === undefined ? prefix : `${prefix} 0x${second.toString(16).padStart(2, '0')}`,
+        description: 'Unknown command',
+        dangerous: false,
+        truncated: length < 2
+      });
+      i += length;
+      continue;
+    }
+
+    const wanted = typeof definition.length === 'function' ? definition.length(bytes, i) : definition.length;
+    const length = Math.min(Math.max(wanted, 2), bytes.length - i);
+    const commandBytes = bytes.subarray(i, i + length);
+    const truncated = length < wanted;
+    tokens.push({
+      type: 'command',
+      offset: i,
+      bytes: commandBytes,
+      name: typeof definition.name === 'function' ? definition.name(commandBytes) : definition.name,
+      description: truncated ? 'Truncated command' : definition.describe(commandBytes),
+      dangerous: typeof definition.dangerous === 'function' ? definition.dangerous(bytes, i) : Boolean(definition.dangerous),
+      truncated
+    });
+    i += length;
+  }
+
+  return tokens;
+}
+
+// A readable listing of a payload for dry runs. Text is decoded with the
+// code page selected by the most recent ESC t.
+export function describeEscPos(data) {
+  let codePage = DEFAULT_CODE_PAGE;
+  return parseEscPos(data).map(token => {
+    const entry = {
+      offset: token.offset,
+      length: token.bytes.length,
+      hex: token.bytes.subarray(0, 32).toString('hex').replace(/(..)(?!$)/g, '$1 ') + (token.bytes.length > 32 ? ' ...' : '')
+    };
+    if (token.type === 'text') {
+      return { ...entry, type: 'text', text: iconv.decode(token.bytes, codePage) };
+    }
+    if (token.name === 'ESC t' && !token.truncated) {
+      codePage = CODE_PAGE_TABLES[token.bytes[2]] || codePage;
+    }
+    return {
+      ...entry,
+      type: 'command',
+      name: token.name,
+      description: token.description,
+      dangerous: token.dangerous,
+      truncated: token.truncated
+    };
+  });
+}
+
+// What a payload prints as plain text, one entry per printed line. Images,
+// barcodes, QR codes, cuts, drawer pulses and beeps are shown as [bracketed]
+// markers; formatting and status queries are left out.
+export function transcribeEscPos(data) {
+  const lines = [];
+  let line = '';
+  let codePage = DEFAULT_CODE_PAGE;
+
+  const endLine = () => {
+    lines.push(line);
+    line = '';
+  };
+  const marker = (text) => {
+    if (line) {
+      endLine();
+    }
+    lines.push(`[${text}]`);
+  };
+
+  for (const token of parseEscPos(data)) {
+    if (token.type === 'text') {
+      line += iconv.decode(token.bytes, codePage);
+      continue;
+    }
+    if (token.truncated) {
+      marker(`Truncated ${token.name}`);
+      continue;
+    }
+
+    switch (token.name) {
+      case 'LF':
+        endLine();
+        break;
+      case 'ESC d':
+        // Prints the line, then feeds the rest
+        endLine();
+        for (let i = 1; i < token.bytes[2]; i++) {
+          lines.push('');
+        }
+        break;
+      case 'ESC t':
+        codePage = CODE_PAGE_TABLES[token.bytes[2]] || codePage;
+        break;
+      case 'GS ( k':
+        // Function 80 stores the QR code's data
+        if (token.bytes[6] === 80) {
+          marker(`QR code ${token.bytes.subarray(8).toString('latin1')}`);
+        }
+        break;
+      case 'DLE DC4':
+        if (token.bytes[2] === 1) {
+          marker(token.description);
+        }
+        break;
+      case 'GS k':
+        // CODE128 data starts with its code set: {A, {B or {C
+        marker(token.bytes[2] === 73 ? token.description.replace(/^Barcode \{[ABC]/, 'Barcode ') : token.description);
+        break;
+      case 'GS V':
+      case 'ESC i':
+      case 'ESC m':
+      case 'GS v 0':
+      case 'ESC *':
+      case 'ESC p':
+      case 'ESC B':
+        marker(token.description);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (line) {
+    endLine();
+  }
+  return lines;
+}
+
+// Commands that make a raw payload unsafe: dangerous ones, and truncated
+// ones that would swallow the start of the next job
+export function findUnsafeCommands(data) {
+  return parseEscPos(data).filter(token => token.type === 'command' && (token.dangerous || token.truncated));
+}
+
+// Remove the commands `test` matches from a payload
+export function removeCommands(data, test) {
+  const tokens = parseEscPos(data);
+  return Buffer.concat(tokens
+    .filter(token => !(token.type === 'command' && test(token)))
+    .map(token => token.bytes));
+}
+
+// Remove unsafe commands from a payload
+export function stripUnsafeCommands(data) {
+  return removeCommands(data, token => token.dangerous || token.truncated);
+}
+
+// Remove drawer kicks (ESC p, DLE DC4 1) and beeps (ESC B) from a payload
+export function stripPeripheralCommands(data) {
+  return removeCommands(data, token => token.name === 'ESC p' || token.name === 'ESC B' ||
+    (token.name === 'DLE DC4' && token.bytes[2] === 1));
+}
+
+export const PAYLOAD_ENCODINGS = ['base64', 'hex'];
+
+// Decode a raw payload sent as base64 or hex. Whitespace is ignored, so
+// hex can be sent as "1b 40 0a".
+export function decodePayload(data, encoding = 'base64') {
+  if (typeof data !== 'string' || data.length === 0) {
+    throw invalidField('payload', 'data', 'must be a non-empty string');
+  }
+  const compact = data.replace(/\s/g, '');
+
+  if (encoding === 'hex') {
+    if (!/^([0-9a-fA-F]{2})+$/.test(compact)) {
+      throw invalidField('payload', 'data', 'is not valid hex');
+    }
+    return Buffer.from(compact, 'hex');
+  }
+  if (encoding === 'base64') {
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+      throw invalidField('payload', 'data', 'is not valid base64');
+    }
+    return Buffer.from(compact, 'base64');
+  }
+  throw invalidField('payload', 'encoding', `must be one of ${PAYLOAD_ENCODINGS.join(', ')}`);
+}
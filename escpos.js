@@ -0,0 +1,30 @@
+// ESC/POS Commands
+export const ESC = 0x1B;
+export const GS = 0x1D;
+export const FS = 0x1C;
+export const DLE = 0x10;
+export const EOT = 0x04;
+export const ENQ = 0x05;
+export const LF = 0x0A;
+
+// Basic commands
+export const INIT = [ESC, 0x40]; // Initialize printer
+export const FEED = [ESC, 0x64, 0x05]; // Feed 5 lines
+export const CUT = [GS, 0x56, 0x00]; // Cut paper
+export const PARTIAL_CUT = [GS, 0x56, 0x01]; // Partial cut
+export const ALIGN_LEFT = [ESC, 0x61, 0x00]; // Left alignment
+export const ALIGN_CENTER = [ESC, 0x61, 0x01]; // Center alignment
+export const ALIGN_RIGHT = [ESC, 0x61, 0x02]; // Right alignment
+export const LINE_SPACING = [ESC, 0x33, 0x00]; // Set line spacing to 0
+export const FEED_LINE = [ESC, 0x64, 0x01]; // Feed one line
+export const ALIGNMENTS = { left: ALIGN_LEFT, center: ALIGN_CENTER, right: ALIGN_RIGHT };
+
+// Text style commands
+export const bold = (on) => [ESC, 0x45, on ? 1 : 0]; // ESC E
+export const underline = (on) => [ESC, 0x2D, on ? 1 : 0]; // ESC -
+export const invert = (on) => [GS, 0x42, on ? 1 : 0]; // GS B, white on black
+export const feedLines = (lines) => [ESC, 0x64, lines]; // ESC d
+export const selectFont = (font) => [ESC, 0x4D, font === 'B' ? 1 : 0]; // ESC M
+
+// GS ! - width and height multipliers from 1 to 8
+export const charSize = (width = 1, height = 1) => [GS, 0x21, ((width - 1) << 4) | (height - 1)];
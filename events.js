@@ -0,0 +1,89 @@
+import { EventEmitter } from 'events';
+import { ValidationError } from './errors.js';
+
+// Everything the service reports on GET /events. Each event is
+//
+//   { id, type, time, ...data }
+//
+// and is sent as a Server-Sent Event named after its type.
+export const EVENT_TYPES = [
+  'scan.started',
+  'scan.stopped',
+  'device.discovered',
+  'printer.connection',
+  'printer.status',
+  'queue.paused',
+  'queue.resumed',
+  'job.queued',
+  'job.started',
+  'job.progress',
+  'job.completed',
+  'job.failed',
+  'job.cancelled'
+];
+
+// How many events to keep for clients that reconnect with Last-Event-ID
+const MAX_RECENT_EVENTS = 200;
+
+// Hands events out to every subscriber. Emits 'event' for each one published.
+export class EventBus extends EventEmitter {
+  constructor(maxRecent = MAX_RECENT_EVENTS) {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+    this.maxRecent = maxRecent;
+    this.recent = [];
+    this.nextId = 1;
+  }
+
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const event = { id: this.nextId++, type, time: new Date().toISOString(), ...data };
+    this.recent.push(event);
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+    this.emit('event', event);
+    return event;
+  }
+
+  // Events published after the one with the given ID that are still kept
+  since(id) {
+    return this.recent.filter(event => event.id > id);
+  }
+
+  subscriberCount() {
+    return this.listenerCount('event');
+  }
+}
+
+// Format an event for a text/event-stream response
+export function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Parse ?types= into a list of event types. A type ending in '.*' matches
+// every type with that prefix. Throws an "Invalid events" error for
+// anything unknown.
+export function parseEventTypes(value) {
+  if (!value) {
+    return null;
+  }
+
+  const types = new Set();
+  for (const name of String(value).split(',').map(type => type.trim()).filter(Boolean)) {
+    const matches = name.endsWith('.*')
+      ? EVENT_TYPES.filter(type => type.startsWith(name.slice(0, -1)))
+      : EVENT_TYPES.filter(type => type === name);
+    if (matches.length === 0) {
+      throw new ValidationError(`Invalid events: unknown type ${name}. Use one of ${EVENT_TYPES.join(', ')}`, [
+        { path: 'types', message: `unknown type ${name}` }
+      ]);
+    }
+    matches.forEach(type => types.add(type));
+  }
+  return types;
+}
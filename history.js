@@ -0,0 +1,275 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ServiceError } from './errors.js';
+
+// A persistent record of every job: who sent it, on which route, what was
+// sent and how it ended. Entries are appended to a JSON Lines file as they
+// change, and the last line for an ID wins. Old entries are dropped when
+// they pass the retention limits, and the file is rewritten without them
+// once it has grown well past the entry limit.
+//
+// Request payloads can be large, so they aren't kept in memory: each one is
+// written to its own file in a directory next to the history file (e.g.
+// history-payloads/ for history.jsonl) and read back for reprints.
+
+// The fields listed by GET /history
+const SUMMARY_FIELDS = [
+  'id', 'deviceId', 'type', 'route', 'client', 'ip', 'status', 'bytes', 'error', 'errorCode',
+  'createdAt', 'finishedAt', 'reprintOf', 'reprintable'
+];
+
+const UNFINISHED = ['queued', 'printing'];
+
+// The file is rewritten once it has this many lines per allowed entry.
+// Every job appends two lines, when it's queued and when it finishes.
+const COMPACT_AFTER = 1.5;
+
+export class JobHistory {
+  // `file` is null to keep the history in memory only, payloads included.
+  // `getLimits` returns the current { retentionDays, maxEntries,
+  // maxPayloadBytes }.
+  constructor(file, getLimits) {
+    this.file = file;
+    this.payloadDir = file ? path.join(path.dirname(file), `${path.basename(file, path.extname(file))}-payloads`) : null;
+    this.getLimits = getLimits;
+    this.entries = new Map();
+    // Payloads by job ID, without a file
+    this.payloads = new Map();
+    // Lines in the file, to know when to compact it
+    this.lines = 0;
+    this.writing = Promise.resolve();
+  }
+
+  // Read the file, if there is one. Jobs that were still queued or printing
+  // when the service stopped are recorded as failed.
+  async load() {
+    if (!this.file) {
+      return;
+    }
+    await fs.mkdir(this.payloadDir, { recursive: true });
+
+    let data;
+    try {
+      data = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    let skipped = 0;
+    for (const line of data.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      this.lines++;
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.id, entry);
+      } catch (error) {
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      console.warn(`Skipped ${skipped} unreadable lines in ${this.file}`);
+    }
+
+    for (const entry of this.entries.values()) {
+      if (UNFINISHED.includes(entry.status)) {
+        Object.assign(entry, {
+          status: 'failed',
+          error: 'The service stopped before the job finished',
+          errorCode: 'INTERNAL',
+          finishedAt: entry.finishedAt || entry.createdAt
+        });
+        this.append(entry);
+      }
+    }
+    this.prune();
+    await this.writing;
+  }
+
+  // Start recording a job. The entry is updated when the job finishes.
+  record(job, { route, client = null, ip = null, payload, reprintOf = null }) {
+    const { maxPayloadBytes } = this.getLimits();
+    const size = Buffer.byteLength(JSON.stringify(payload));
+    const entry = {
+      id: job.id,
+      deviceId: job.deviceId,
+      type: job.type,
+      route,
+      client,
+      ip,
+      status: job.status,
+      bytes: job.progress.totalBytes,
+      error: null,
+      errorCode: null,
+      createdAt: job.createdAt,
+      finishedAt: null,
+      reprintOf,
+      // Payloads over the limit aren't kept, so those jobs can't be reprinted
+      reprintable: size <= maxPayloadBytes,
+      payloadBytes: size
+    };
+    this.entries.set(entry.id, entry);
+    if (entry.reprintable) {
+      this.savePayload(entry.id, payload);
+    }
+    this.append(entry);
+
+    const finish = () => {
+      Object.assign(entry, {
+        status: job.status,
+        bytes: job.progress.totalBytes === null ? job.progress.bytesWritten : job.progress.totalBytes,
+        error: job.error,
+        errorCode: job.errorCode,
+        finishedAt: job.finishedAt
+      });
+      this.append(entry);
+      this.prune();
+    };
+    job.promise.then(finish, finish);
+
+    this.prune();
+    return entry;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  // The request an entry was printed from, or null when it wasn't kept
+  async getPayload(entry) {
+    if (!entry.reprintable) {
+      return null;
+    }
+    if (!this.file) {
+      return this.payloads.get(entry.id) || null;
+    }
+
+    // The payload of a job recorded just now may still be being written
+    await this.writing;
+    try {
+      return JSON.parse(await fs.readFile(this.payloadPath(entry.id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // The entry for a reprint, with its payload. It has to be a print job
+  // whose payload was kept.
+  async getReprintable(id) {
+    const entry = this.get(id);
+    if (!entry) {
+      throw new ServiceError('JOB_NOT_FOUND', 'Job not found in the history');
+    }
+    if (!entry.route.startsWith('/print/')) {
+      throw new ServiceError('JOB_NOT_REPRINTABLE', `${entry.type} jobs can't be reprinted`);
+    }
+    if (!entry.reprintable) {
+      throw new ServiceError('JOB_NOT_REPRINTABLE', 'The job was too large to keep in the history, so it can\'t be reprinted');
+    }
+    const payload = await this.getPayload(entry);
+    if (!payload) {
+      throw new ServiceError('JOB_NOT_REPRINTABLE', 'The job\'s payload is missing from the history, so it can\'t be reprinted');
+    }
+    return { ...entry, payload };
+  }
+
+  // Entries matching the filters, newest first
+  list({ from, to, status, deviceId, type, client, limit } = {}) {
+    const entries = [...this.entries.values()].filter(entry =>
+      (!from || entry.createdAt >= from) &&
+      (!to || entry.createdAt <= to) &&
+      (!status || entry.status === status) &&
+      (!deviceId || entry.deviceId === deviceId) &&
+      (!type || entry.type === type) &&
+      (!client || entry.client === client)
+    ).reverse();
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  // Drop entries older than the retention period, then the oldest ones
+  // over the entry limit, with their payloads. Unfinished jobs are kept.
+  // The file is only rewritten when it has grown past COMPACT_AFTER times
+  // the entry limit, not for every job.
+  prune() {
+    const { retentionDays, maxEntries } = this.getLimits();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const finished = [...this.entries.values()].filter(entry => !UNFINISHED.includes(entry.status));
+    const expired = finished.filter(entry => entry.createdAt < cutoff);
+    const excess = Math.max(0, this.entries.size - expired.length - maxEntries);
+    const removed = [...expired, ...finished.filter(entry => entry.createdAt >= cutoff).slice(0, excess)];
+
+    removed.forEach(entry => {
+      this.entries.delete(entry.id);
+      this.deletePayload(entry.id);
+    });
+    if (this.lines > maxEntries * COMPACT_AFTER) {
+      this.compact();
+    }
+    return removed.length;
+  }
+
+  // Writes happen one at a time, in order
+  write(operation) {
+    if (!this.file) {
+      return;
+    }
+    this.writing = this.writing
+      .then(operation)
+      .catch(error => console.error(`Error writing ${this.file}:`, error));
+  }
+
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this.lines++;
+    this.write(() => fs.appendFile(this.file, line));
+  }
+
+  // Rewrite the file with one line per entry
+  compact() {
+    const data = [...this.entries.values()].map(entry => JSON.stringify(entry) + '\n').join('');
+    this.lines = this.entries.size;
+    this.write(() => fs.writeFile(this.file, data));
+  }
+
+  payloadPath(id) {
+    return path.join(this.payloadDir, `${id}.json`);
+  }
+
+  savePayload(id, payload) {
+    if (!this.file) {
+      this.payloads.set(id, payload);
+      return;
+    }
+    const data = JSON.stringify(payload);
+    this.write(() => fs.writeFile(this.payloadPath(id), data));
+  }
+
+  deletePayload(id) {
+    if (!this.file) {
+      this.payloads.delete(id);
+      return;
+    }
+    this.write(() => fs.rm(this.payloadPath(id), { force: true }));
+  }
+
+  // What GET /history lists
+  static summarize(entry) {
+    return Object.fromEntries(SUMMARY_FIELDS.map(field => [field, entry[field]]));
+  }
+}
+
+// The banner printed above a reprint, with when the original was made in
+// the service's local time
+export function reprintBanner(entry) {
+  const date = new Date(entry.createdAt);
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  return ['COPY / REPRINT', `Original: ${time}`];
+}
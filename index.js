@@ -1,57 +1,180 @@
 import express from 'express';
-import noble from '@abandonware/noble';
-import iconv from 'iconv-lite';
 import fs from 'fs/promises';
 import path from 'path';
 import cors from 'cors';
 import os from 'os';
 import { exec } from 'child_process';
+import { EventEmitter } from 'events';
 import { promisify } from 'util';
+import multer from 'multer';
+import { imageToRaster } from './raster.js';
+import { createTransport } from './transports.js';
+import { JobStore, JOB_STATUSES } from './jobs.js';
+import { JobHistory, reprintBanner } from './history.js';
+import { EventBus, formatEvent, parseEventTypes } from './events.js';
+import { StatusReader, getBlockingReason, getBlockingError } from './printer-status.js';
+import { buildBarcode, buildQrCode } from './barcode.js';
+import { buildDrawerKick, buildBeep } from './peripherals.js';
+import { INIT, FEED, CUT, ALIGN_LEFT, ALIGN_CENTER, ALIGNMENTS } from './escpos.js';
+import { selectCodePage, DEFAULT_CODE_PAGE } from './encoding.js';
+import { renderDocument, validateDocument } from './document.js';
+import { resolveProfile } from './profiles.js';
+import { TEMPLATES, bannerBlocks, withBanner } from './templates.js';
+import { renderDocumentBitmap, bitmapToPng } from './bitmap.js';
+import { interpretEscPos } from './interpreter.js';
+import {
+  decodePayload, describeEscPos, findUnsafeCommands, stripUnsafeCommands, stripPeripheralCommands
+} from './escpos-parser.js';
+import { VirtualPrinter, VirtualTransport, parseVirtualDevices } from './virtual.js';
+import {
+  CatStatusReader, buildPrintJob, detectDriver,
+  CAT_SERVICE, CAT_CHARACTERISTIC, CAT_NAME_PATTERN
+} from './catprinter.js';
+import { parseScanOptions, isCompatible, matchesScan, mergeDevice, rankDevices } from './discovery.js';
+import { Auth, loadAuthConfig } from './auth.js';
+import { loadConfig } from './config.js';
+import {
+  ServiceError, ValidationError, NotConnectedError, DeviceNotFoundError, WriteFailedError, errorHandler, toServiceError, nestDetails
+} from './errors.js';
+import * as schemas from './schemas.js';
 
 const execAsync = promisify(exec);
 
-const app = express();
-app.use(cors()); // Enable CORS for all routes
-app.use(express.json());
-
-// Printer service and characteristic UUIDs
-const PRINTER_SERVICE = '49535343fe7d4ae58fa99fafd205e455'; // Cat Printer service UUID
-const PRINTER_CHARACTERISTIC = '49535343-8841-43f4-a8d4-ecbe34729bb3'; // Cat Printer characteristic UUID
-// ESC/POS Commands
-const ESC = 0x1B;
-const GS = 0x1D;
-const FS = 0x1C;
-const DLE = 0x10;
-const EOT = 0x04;
-const ENQ = 0x05;
-const STATUS_COMMAND = [DLE, EOT, 0x01]; // Request printer status
-const PAPER_OUT = 0x08; // Paper out bit in status response
-
-// Basic commands
-const INIT = [ESC, 0x40]; // Initialize printer
-const FEED = [ESC, 0x64, 0x05]; // Feed 5 lines
-const CUT = [GS, 0x56, 0x00]; // Cut paper
-const ALIGN_LEFT = [ESC, 0x61, 0x00]; // Left alignment
-const ALIGN_CENTER = [ESC, 0x61, 0x01]; // Center alignment
-const ALIGN_RIGHT = [ESC, 0x61, 0x02]; // Right alignment
-const CHAR_CODE_TABLE = [ESC, 0x74, 0x00]; // Set character code table
-const LINE_SPACING = [ESC, 0x33, 0x00]; // Set line spacing to 0
-const FEED_LINE = [ESC, 0x64, 0x01]; // Feed one line
-
-// Configuration
-const PRINTER_NAME = 'YHK-7887';
-const SCAN_TIMEOUT = 15000;
-const CHUNK_SIZE = 20; // M58-LL recommended chunk size
-const SAVED_PRINTER_FILE = 'saved_printer.json';
+// Settings from the defaults, the config file and the environment. Read
+// them from config.values when they're used, since PUT /config replaces it.
+const config = await loadConfig({ file: process.env.CONFIG_FILE });
+console.log(`Using config from ${Object.values(config.sources()).some(source => source === 'file') ? config.file : 'the defaults and environment'}`);
+
+// Where the last connected printer is remembered. File paths are fixed at
+// startup (see FILE_SETTINGS in schemas.js).
+const SAVED_PRINTER_FILE = config.values.savedPrinterFile;
+
+// Build a template's document for the code page it will print in.
+// Receipts use the configured currency and locale unless the data names
+// its own.
+function applyTemplate(name, data = {}, codePage = DEFAULT_CODE_PAGE) {
+  const { currency, locale } = config.values.receipt;
+  return TEMPLATES[name]({ ...data, currency: data.currency || currency, locale: data.locale || locale }, { codePage });
+}
 
-class PrinterService {
-  constructor() {
-    this.connectedDevice = null;
-    this.writeCharacteristic = null;
-    this.readCharacteristic = null;
+// The document of a /print/document body: its blocks, or its template
+// applied to `data`. Template errors point at the fields under `data`.
+function requestDocument({ template, data, blocks, lineWidth }, codePage) {
+  if (!template) {
+    return { blocks, lineWidth };
+  }
+  try {
+    return applyTemplate(template, data, codePage);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new ValidationError(error.message, nestDetails(error, 'data'));
+    }
+    throw error;
+  }
+}
+
+// API keys, scopes, allowed origins and rate limits
+const AUTH_CONFIG_FILE = process.env.AUTH_CONFIG || 'auth.json';
+const auth = new Auth(await loadAuthConfig(AUTH_CONFIG_FILE));
+if (auth.enabled) {
+  console.log(`Loaded ${auth.keys.length} API keys from ${AUTH_CONFIG_FILE}`);
+} else {
+  console.warn(`No ${AUTH_CONFIG_FILE} found: API keys are not required and every origin is allowed`);
+}
+
+// How many prints a validated request makes: one for each copy, and for
+// each copy of every batch item
+function printCount(body) {
+  if (!body) {
+    return 1;
+  }
+  if (Array.isArray(body.items)) {
+    return body.items.reduce((sum, item) => sum + (item.copies || 1), 0);
+  }
+  return body.copies || 1;
+}
+
+// Route guards. Once the body is valid, print requests count towards the
+// key's rate limit by the number of prints they make, so copies and
+// batches can't get round it. Reprints count what the original printed,
+// once loadReprint has read it from the history.
+const readAccess = auth.require('read');
+const printAccess = auth.require('print');
+const printLimit = auth.limit(req => printCount(req.body));
+const reprintLimit = auth.limit(req => printCount(req.reprint.payload));
+const queueAccess = auth.require('print');
+const adminAccess = auth.require('admin');
+
+const app = express();
+app.use(cors(auth.corsOptions())); // Enable CORS for the allowed origins
+app.use(express.json({ limit: '10mb' })); // Allow base64 encoded images
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+// Scan, connection, status and job events for GET /events
+const eventBus = new EventBus();
+
+// `hardware` talks to real printers. `virtual` replaces them with in-process
+// printers (see virtual.js) for tests and development without hardware.
+const PRINTER_MODES = ['hardware', 'virtual'];
+const PRINTER_MODE = process.env.PRINTER_MODE || 'hardware';
+if (!PRINTER_MODES.includes(PRINTER_MODE)) {
+  throw new ValidationError(`Invalid PRINTER_MODE: ${PRINTER_MODE}. Use one of ${PRINTER_MODES.join(', ')}`, [
+    { path: 'PRINTER_MODE', message: `must be one of ${PRINTER_MODES.join(', ')}` }
+  ]);
+}
+const VIRTUAL_MODE = PRINTER_MODE === 'virtual';
+
+// Every job, for GET /history and reprints. Virtual printers keep theirs in
+// memory, so every run starts from scratch.
+const history = new JobHistory(VIRTUAL_MODE ? null : config.values.history.file, () => config.values.history);
+await history.load();
+
+// What virtual scans find, unless VIRTUAL_DEVICES lists other devices
+const DEFAULT_VIRTUAL_DEVICES = [
+  { id: 'virtual-printer', name: 'Virtual Printer', rssi: -45, services: [config.values.printer.serviceUuid] },
+  { id: 'virtual-headphones', name: 'Virtual Headphones', rssi: -70, services: [] }
+];
+
+// Pause reason for a queue stopped by a lost connection. Queues paused for
+// this reason resume by themselves once the printer is back.
+const DISCONNECTED_REASON = 'Printer disconnected';
+
+// Job failures that pause the queue until the printer is fixed
+const PAUSING_ERRORS = ['PAPER_OUT', 'COVER_OPEN', 'PRINTER_ERROR', 'WRITE_FAILED'];
+
+// A job's bytes once for each copy. Copies are sent in the same job, after
+// one status check.
+const repeatCopies = (data, copies = 1) => (copies > 1 ? Buffer.concat(Array(copies).fill(data)) : data);
+
+// A single connected printer with its own transport and print queue. Emits
+// 'disconnect' when the connection drops unexpectedly.
+class Printer extends EventEmitter {
+  constructor(deviceId, jobStore, settings = {}) {
+    super();
+    this.deviceId = deviceId;
+    this.jobStore = jobStore;
+    // Per-printer options saved alongside the transport
+    this.settings = { codePage: DEFAULT_CODE_PAGE, ...settings };
+    // 'escpos' or 'cat', picked when the printer connects
+    this.driver = 'escpos';
+    this.transport = null;
+    // The transport options it last connected with ({ type, ... }), so a
+    // reconnect goes over the same transport
+    this.transportOptions = null;
     this.isConnected = false;
+    // connecting, connected, reconnecting or offline
+    this.connectionState = 'offline';
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
     this.printQueue = [];
+    this.currentJob = null;
     this.isProcessingQueue = false;
+    // Set when a printer error (e.g. paper out) stops the queue, with the
+    // error's code
+    this.pausedReason = null;
+    this.pausedCode = null;
+    this.statusReader = null;
+    this.lastStatus = null;
   }
 
   // Helper function to create command buffer
@@ -59,27 +182,698 @@ class PrinterService {
     return Buffer.from(commands);
   }
 
-  // Helper function to chunk a buffer
-  chunkBuffer(buffer, chunkSize = CHUNK_SIZE) {
-    let chunks = [];
-    for (let i = 0; i < buffer.length; i += chunkSize) {
-      chunks.push(buffer.slice(i, i + chunkSize));
+  // Attach an open transport and initialize the printer
+  async attach(transport) {
+    this.transport = transport;
+    this.lastStatus = null;
+
+    // Status responses come back on the transport's read side. Queries
+    // don't count towards a job's progress.
+    const write = data => this.writeToPrinter(data, { trackProgress: false });
+    this.statusReader = this.isCatPrinter()
+      ? new CatStatusReader(write, config.values.status.timeout)
+      : new StatusReader(write, config.values.status.timeout);
+    transport.on('data', (data) => this.statusReader.feed(data));
+    // Cat printers report when their buffer is full, so writes wait for
+    // that instead of being paced
+    transport.flowControl = this.isCatPrinter() ? () => this.statusReader.whenReady() : null;
+
+    transport.on('close', () => {
+      // Ignore transports that were replaced or closed on purpose
+      if (this.transport !== transport) {
+        return;
+      }
+      console.log(`Printer ${this.deviceId} connection closed`);
+      // The dead transport is dropped, so the reconnect doesn't try to
+      // close it again
+      this.transport = null;
+      this.isConnected = false;
+      // A write that failed just before the connection dropped failed
+      // because of it, not because of the paper
+      if (this.pausedCode === 'WRITE_FAILED') {
+        this.pauseQueue(DISCONNECTED_REASON, 'NOT_CONNECTED');
+      }
+      this.emit('disconnect');
+    });
+
+    // Cat printers have no text mode to set up
+    if (!this.isCatPrinter()) {
+      await this.writeToPrinter([...INIT, ...this.selectCodePage()]);
+    }
+    this.isConnected = true;
+  }
+
+  isCatPrinter() {
+    return this.driver === 'cat';
+  }
+
+  // Print jobs are taken while connected, and while a dropped connection
+  // is being re-established: then they wait in the queue until it's back
+  acceptsJobs() {
+    return this.isConnected || this.connectionState === 'reconnecting';
+  }
+
+  // Every reconnect attempt is reported, even though the state stays the same
+  setConnectionState(state) {
+    if (this.connectionState === state && state !== 'reconnecting') {
+      return;
+    }
+    if (this.connectionState !== state) {
+      console.log(`Printer ${this.deviceId} is ${state}`);
+    }
+    this.connectionState = state;
+    eventBus.publish('printer.connection', {
+      deviceId: this.deviceId,
+      state,
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt
+    });
+  }
+
+  publishJob(type, job) {
+    eventBus.publish(type, { deviceId: this.deviceId, job: JobStore.serialize(job) });
+  }
+
+  // Paper width, font and characters per line for this printer
+  getProfile() {
+    return resolveProfile(this.settings);
+  }
+
+  // ESC t for a code page. The printer's own table number override only
+  // applies to its configured code page.
+  selectCodePage(codePage = this.settings.codePage) {
+    const codeTable = codePage === this.settings.codePage ? this.settings.codeTable : undefined;
+    return selectCodePage(codePage, codeTable);
+  }
+
+  getState() {
+    if (!this.isConnected) {
+      return 'disconnected';
+    }
+    if (this.pausedReason) {
+      return 'paused';
+    }
+    return this.isProcessingQueue ? 'printing' : 'idle';
+  }
+
+  describe() {
+    return {
+      deviceId: this.deviceId,
+      transport: this.transport ? this.transport.describe() : null,
+      driver: this.driver,
+      settings: this.settings,
+      profile: this.getProfile(),
+      isConnected: this.isConnected,
+      connection: this.connectionState,
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt,
+      state: this.getState(),
+      pausedReason: this.pausedReason,
+      pausedCode: this.pausedCode,
+      currentJob: this.currentJob ? this.currentJob.id : null,
+      queueDepth: this.printQueue.length
+    };
+  }
+
+  async writeToPrinter(data, { trackProgress = true } = {}) {
+    if (!this.transport || !this.transport.isOpen) {
+      throw new NotConnectedError();
+    }
+
+    const buffer = Buffer.isBuffer(data) ? data : this.createCommandBuffer(data);
+    const job = trackProgress ? this.currentJob : null;
+
+    try {
+      await this.transport.write(buffer, job ? bytes => this.reportProgress(job, bytes) : undefined);
+    } catch (error) {
+      console.error('Error writing to printer:', error);
+      throw new WriteFailedError(`Could not write to the printer: ${error.message}`);
+    }
+  }
+
+  // Count bytes written for a job. Transports report every BLE chunk, so
+  // events are limited to one per events.progressInterval, plus the last one.
+  reportProgress(job, bytes) {
+    job.progress.bytesWritten += bytes;
+    const { bytesWritten, totalBytes } = job.progress;
+    const finished = totalBytes !== null && bytesWritten >= totalBytes;
+    const now = Date.now();
+    if (!finished && now - (job.progressReportedAt || 0) < config.values.events.progressInterval) {
+      return;
+    }
+
+    job.progressReportedAt = now;
+    eventBus.publish('job.progress', {
+      deviceId: this.deviceId,
+      jobId: job.id,
+      bytesWritten,
+      totalBytes,
+      percent: totalBytes ? Math.min(100, Math.floor(bytesWritten / totalBytes * 100)) : null
+    });
+  }
+
+  // Stop the queue until it's resumed; the remaining jobs stay queued
+  pauseQueue(reason, code) {
+    this.pausedReason = reason;
+    this.pausedCode = code;
+    eventBus.publish('queue.paused', { deviceId: this.deviceId, reason, code, queueDepth: this.printQueue.length });
+  }
+
+  // Process the print queue
+  async processPrintQueue() {
+    if (this.isProcessingQueue) {
+      console.log('Queue is already being processed');
+      return;
+    }
+
+    if (this.pausedReason) {
+      console.log(`Queue is paused: ${this.pausedReason}`);
+      return;
+    }
+
+    if (this.printQueue.length === 0) {
+      console.log('Queue is empty');
+      return;
+    }
+
+    this.isProcessingQueue = true;
+    console.log(`Starting to process queue. Jobs in queue: ${this.printQueue.length}`);
+
+    try {
+      while (this.printQueue.length > 0) {
+        const job = this.printQueue.shift();
+        this.currentJob = job;
+        this.jobStore.markPrinting(job);
+        this.publishJob('job.started', job);
+        console.log(`Processing job ${job.id} from ${job.createdAt}. Remaining jobs: ${this.printQueue.length}`);
+
+        try {
+          const result = await job.run();
+          if (!result) {
+            throw new Error('Print job failed');
+          }
+          console.log('Job completed successfully');
+          this.jobStore.markDone(job, result);
+          this.publishJob('job.completed', job);
+        } catch (error) {
+          console.error('Job failed:', error);
+          this.jobStore.markFailed(job, error);
+          this.publishJob('job.failed', job);
+          // Keep the remaining jobs until the printer reconnects
+          if (!this.isConnected) {
+            console.log('Pausing queue processing until the printer reconnects');
+            this.pauseQueue(DISCONNECTED_REASON, 'NOT_CONNECTED');
+            break;
+          }
+          // Don't continue processing the queue if we hit a paper-out error.
+          // The remaining jobs stay queued until the queue is resumed.
+          if (PAUSING_ERRORS.includes(error.code)) {
+            console.log('Pausing queue processing due to printer error');
+            this.pauseQueue(error.message, error.code);
+            break;
+          }
+        } finally {
+          this.currentJob = null;
+        }
+
+        console.log(`Job removed from queue. Remaining jobs: ${this.printQueue.length}`);
+      }
+    } finally {
+      this.isProcessingQueue = false;
+      console.log('Queue processing completed');
+    }
+  }
+
+  // Add a print job to the queue. Returns the job record straight away;
+  // await job.promise for the result. `totalBytes` is how much the job will
+  // write, for progress events.
+  addToPrintQueue(printJob, type = 'print', { totalBytes = null } = {}) {
+    console.log('Adding new job to queue');
+    const job = this.jobStore.create(this.deviceId, type, printJob);
+    job.progress.totalBytes = totalBytes;
+    this.printQueue.push(job);
+    console.log(`Job ${job.id} added to queue. Current queue length: ${this.printQueue.length}`);
+    this.publishJob('job.queued', job);
+
+    // A job queued while the printer reconnects waits for the connection
+    if (!this.isConnected && !this.pausedReason) {
+      this.pauseQueue(DISCONNECTED_REASON, 'NOT_CONNECTED');
+    }
+
+    // Start processing the queue if it's not already being processed
+    if (!this.isProcessingQueue) {
+      this.processPrintQueue();
+    }
+    return job;
+  }
+
+  // Remove a job that hasn't started printing yet
+  cancelJob(jobId) {
+    const index = this.printQueue.findIndex(job => job.id === jobId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [job] = this.printQueue.splice(index, 1);
+    this.jobStore.markCancelled(job);
+    this.publishJob('job.cancelled', job);
+    console.log(`Job ${jobId} cancelled. Remaining jobs: ${this.printQueue.length}`);
+    return true;
+  }
+
+  // Continue printing queued jobs after a printer error paused the queue.
+  // Returns false while the printer is disconnected: the queue stays paused
+  // until it's back, so its jobs aren't run against a closed transport.
+  resumeQueue() {
+    if (!this.isConnected) {
+      return false;
+    }
+    if (this.pausedReason) {
+      console.log(`Resuming queue after: ${this.pausedReason}`);
+      eventBus.publish('queue.resumed', {
+        deviceId: this.deviceId,
+        reason: this.pausedReason,
+        code: this.pausedCode,
+        queueDepth: this.printQueue.length
+      });
+      this.pausedReason = null;
+      this.pausedCode = null;
+    }
+    this.processPrintQueue();
+    return true;
+  }
+
+  // Query DLE EOT 1-4 and remember the result, reporting it when anything
+  // changed since the last query
+  async queryStatus() {
+    if (!this.transport) {
+      throw new NotConnectedError();
+    }
+
+    const status = await this.statusReader.readStatus();
+    const previous = this.lastStatus && { ...this.lastStatus, checkedAt: undefined };
+    this.lastStatus = { ...status, checkedAt: new Date().toISOString() };
+
+    if (!previous || JSON.stringify(previous) !== JSON.stringify({ ...status, checkedAt: undefined })) {
+      eventBus.publish('printer.status', {
+        deviceId: this.deviceId,
+        status: this.lastStatus,
+        blockingReason: getBlockingReason(status)
+      });
+    }
+    return this.lastStatus;
+  }
+
+  // Status for the API. Real-time queries are only sent while the printer is
+  // idle, since they could land in the middle of a raster image.
+  async getStatus() {
+    if (!this.isConnected) {
+      return { supported: false, checkedAt: null };
+    }
+    // Unknown mid-job until a status query has been answered
+    if (this.isProcessingQueue) {
+      return this.lastStatus ? { ...this.lastStatus, cached: true } : { supported: false, checkedAt: null };
+    }
+    return this.queryStatus();
+  }
+
+  async checkPrinterStatus() {
+    if (!this.transport) {
+      throw new NotConnectedError();
+    }
+
+    const status = await this.queryStatus();
+    if (!status.supported) {
+      // No read channel or the printer ignores DLE EOT: write errors are
+      // the only thing that will tell us something is wrong
+      console.log('Printer did not answer status request, assuming ready');
+      return true;
+    }
+
+    const blockingError = getBlockingError(status);
+    if (blockingError) {
+      console.error('Printer status check failed:', status);
+      throw blockingError;
+    }
+    if (status.paperNearEnd) {
+      console.warn(`Printer ${this.deviceId} is nearly out of paper`);
+    }
+    return true;
+  }
+
+  // The print methods take a `banner`, lines printed above the job when it
+  // is reprinted from the history
+  async printText(text, { markup, codePage = this.settings.codePage, banner, copies } = {}) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
     }
-    return chunks;
+
+    console.log(`Preparing text: ${text}`);
+    return this.printDocument(TEMPLATES.text({ text, markup }), 'text', { codePage, banner, copies });
+  }
+
+  // Convert an image (base64 string or Buffer) into GS v 0 raster data
+  async prepareImage(image, { dither, threshold } = {}) {
+    const raster = await imageToRaster(image, {
+      maxWidth: this.getProfile().dotWidth,
+      dither,
+      threshold
+    });
+    console.log(`Prepared ${raster.width}x${raster.height} raster image (${raster.buffer.length} bytes)`);
+    return raster;
   }
 
-  async saveSelectedPrinter(deviceId) {
+  async printImage(image, { dither, threshold, align = 'center', cut = true, banner, copies } = {}) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
+    }
+
+    if (this.isCatPrinter()) {
+      const block = { type: 'image', image: Buffer.isBuffer(image) ? image.toString('base64') : image, dither, threshold, align };
+      return this.printDocument({ blocks: [block] }, 'image', { banner, copies });
+    }
+
+    // Decode the image before queueing so invalid input fails immediately
+    const raster = await this.prepareImage(image, { dither, threshold });
+    return this.printCommands(raster.buffer, { align, cut, banner, copies }, 'image');
+  }
+
+  async printBarcode({ type, data, height, width, hri, align = 'center', cut = true, banner, copies }) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
+    }
+
+    if (this.isCatPrinter()) {
+      throw new ValidationError('Invalid barcode: cat printers can only print text and images', [
+        { path: 'deviceId', message: 'is a cat printer, which can only print text and images' }
+      ]);
+    }
+
+    const commands = buildBarcode(type, data, { height, width, hri });
+    return this.printCommands(commands, { align, cut, banner, copies }, 'barcode');
+  }
+
+  async printQrCode({ data, size, errorCorrection, align = 'center', cut = true, banner, copies }) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
+    }
+
+    if (this.isCatPrinter()) {
+      throw new ValidationError('Invalid QR code: cat printers can only print text and images', [
+        { path: 'deviceId', message: 'is a cat printer, which can only print text and images' }
+      ]);
+    }
+
+    const commands = buildQrCode(data, { size, errorCorrection });
+    return this.printCommands(commands, { align, cut, banner, copies }, 'qr');
+  }
+
+  // Queue bytes built by the client. They are written exactly as received,
+  // except for reprints: those get the banner, and drawer kicks and beeps
+  // are taken out.
+  async printRaw(payload, { banner, copies } = {}) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
+    }
+
+    if (banner) {
+      if (this.isCatPrinter()) {
+        throw new ValidationError('Invalid reprint: raw jobs can only be reprinted on ESC/POS printers', [
+          { path: 'deviceId', message: 'is a cat printer, which can\'t reprint raw jobs' }
+        ]);
+      }
+      payload = Buffer.concat([await this.renderBanner(banner), stripPeripheralCommands(payload)]);
+    }
+    payload = repeatCopies(payload, copies);
+
+    return this.addToPrintQueue(async () => {
+      try {
+        // Check printer status before starting
+        await this.checkPrinterStatus();
+
+        console.log(`Starting to print raw payload (${payload.length} bytes)`);
+        await this.writeToPrinter(payload);
+
+        console.log('Finished printing raw payload');
+        return true;
+      } catch (error) {
+        console.error('Print error (raw):', error);
+        throw error;
+      }
+    }, 'raw', { totalBytes: payload.length });
+  }
+
+  async openDrawer({ pin, onTime, offTime } = {}) {
+    if (!this.isConnected) {
+      throw new NotConnectedError();
+    }
+
+    if (this.isCatPrinter()) {
+      throw new ValidationError('Invalid drawer: cat printers have no drawer port', [
+        { path: 'deviceId', message: 'is a cat printer, which has no drawer port' }
+      ]);
+    }
+
+    return this.sendControl(buildDrawerKick({ pin, onTime, offTime }), 'drawer');
+  }
+
+  async beep({ count, duration } = {}) {
+    if (!this.isConnected) {
+      throw new NotConnectedError();
+    }
+
+    if (this.isCatPrinter()) {
+      throw new ValidationError('Invalid beep: cat printers have no buzzer', [
+        { path: 'deviceId', message: 'is a cat printer, which has no buzzer' }
+      ]);
+    }
+
+    return this.sendControl(buildBeep({ count, duration }), 'beep');
+  }
+
+  // Queue a command that doesn't print anything. It goes through the queue
+  // so it can't land in the middle of another job, but skips the status
+  // check: a drawer opens and a buzzer sounds without paper.
+  sendControl(commands, type) {
+    return this.addToPrintQueue(async () => {
+      try {
+        console.log(`Sending ${type} command`);
+        await this.writeToPrinter(commands);
+        return true;
+      } catch (error) {
+        console.error(`Control error (${type}):`, error);
+        throw error;
+      }
+    }, type, { totalBytes: commands.length });
+  }
+
+  // Queue a single pre-built block (image, barcode, QR code) on its own.
+  // The job is sent as one buffer.
+  async printCommands(commands, { align = 'center', cut = true, banner, copies }, type) {
+    const parts = [await this.renderBanner(banner), INIT, ALIGNMENTS[align] || ALIGN_CENTER, commands, ALIGN_LEFT];
+    if (cut) {
+      parts.push(FEED, CUT);
+    }
+    const buffer = repeatCopies(Buffer.concat(parts.map(part => Buffer.from(part))), copies);
+
+    return this.addToPrintQueue(async () => {
+      try {
+        // Check printer status before starting
+        await this.checkPrinterStatus();
+
+        console.log(`Starting to print ${type} (${buffer.length} bytes)`);
+        await this.writeToPrinter(buffer);
+
+        console.log(`Finished printing ${type}`);
+        return true;
+      } catch (error) {
+        console.error(`Print error (${type}):`, error);
+        throw error;
+      }
+    }, type, { totalBytes: buffer.length });
+  }
+
+  // The bytes that print a document: ESC/POS, or for cat printers the
+  // document drawn as a bitmap and framed line by line. The transport holds
+  // cat printer writes back while the printer's buffer is full.
+  async renderJob(document, codePage = this.settings.codePage) {
+    const { dotWidth, lineWidth, font } = this.getProfile();
+    if (this.isCatPrinter()) {
+      const bitmap = await renderDocumentBitmap(document, { dotWidth, lineWidth, font });
+      return Buffer.concat(buildPrintJob(bitmap, { energy: this.settings.energy, speed: this.settings.speed }));
+    }
+    return renderDocument(document, {
+      dotWidth,
+      lineWidth,
+      font,
+      codePage,
+      codeTable: codePage === this.settings.codePage ? this.settings.codeTable : undefined
+    });
+  }
+
+  // Render a document before queueing so invalid blocks fail immediately
+  async printDocument(document, type = 'document', { codePage = this.settings.codePage, banner, copies } = {}) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
+    }
+
+    if (banner) {
+      document = withBanner(document, banner);
+    }
+
+    const commands = repeatCopies(await this.renderJob(document, codePage), copies);
+
+    return this.addToPrintQueue(async () => {
+      try {
+        // Check printer status before starting
+        await this.checkPrinterStatus();
+
+        console.log(`Starting to print ${type} (${commands.length} bytes)`);
+        await this.writeToPrinter(commands);
+
+        console.log(`Finished printing ${type}`);
+        return true;
+      } catch (error) {
+        console.error(`Print error (${type}):`, error);
+        throw error; // Re-throw the error instead of returning false
+      }
+    }, type, { totalBytes: commands.length });
+  }
+
+  // Queue several documents as one job: { type, document, copies, codePage }
+  // for each item. They print back to back after a single status check.
+  // Without `cut` they come out as one strip, cut once at the end. When an
+  // item fails to print, `onError` decides whether the rest are skipped
+  // (`stop`) or still printed (`continue`). job.results has every item's
+  // outcome.
+  async printBatch(items, { cut = true, onError = 'stop', banner } = {}) {
+    if (!this.acceptsJobs()) {
+      throw new NotConnectedError();
+    }
+
+    const parts = [];
+    for (const { document, copies, codePage } of items) {
+      const { blocks, ...rest } = banner ? withBanner(document, banner) : document;
+      const data = await this.renderJob({ ...rest, blocks: cut ? blocks : blocks.filter(block => block.type !== 'cut') }, codePage);
+      parts.push(repeatCopies(data, copies));
+    }
+    if (!cut && !this.isCatPrinter()) {
+      parts[parts.length - 1] = Buffer.concat([parts[parts.length - 1], Buffer.from(CUT)]);
+    }
+    const totalBytes = parts.reduce((sum, part) => sum + part.length, 0);
+
+    const results = items.map(({ type, copies = 1 }, index) => ({ index, type, copies, status: 'queued', error: null, errorCode: null }));
+    const job = this.addToPrintQueue(async () => {
+      try {
+        await this.checkPrinterStatus();
+      } catch (error) {
+        results.forEach(result => (result.status = 'skipped'));
+        throw error;
+      }
+
+      console.log(`Starting to print batch of ${items.length} items (${totalBytes} bytes)`);
+      let failure = null;
+      for (const [index, data] of parts.entries()) {
+        const result = results[index];
+        if (failure && (onError === 'stop' || !this.isConnected)) {
+          result.status = 'skipped';
+          continue;
+        }
+
+        result.status = 'printing';
+        try {
+          await this.writeToPrinter(data);
+          result.status = 'done';
+        } catch (error) {
+          console.error(`Print error (batch item ${index}):`, error);
+          const serviceError = toServiceError(error);
+          failure = failure || serviceError;
+          Object.assign(result, { status: 'failed', error: serviceError.message, errorCode: serviceError.code });
+        }
+      }
+
+      // The job fails with the first item's error, so a paper-out or a
+      // dropped connection still pauses the queue
+      if (failure) {
+        const failed = results.filter(result => result.status === 'failed').length;
+        throw new ServiceError(failure.code, `${failed} of ${items.length} batch items failed: ${failure.message}`, results);
+      }
+      console.log('Finished printing batch');
+      return true;
+    }, 'batch', { totalBytes });
+
+    job.results = results;
+    return job;
+  }
+
+  // ESC/POS for a reprint banner, empty without one
+  async renderBanner(banner) {
+    if (!banner) {
+      return Buffer.alloc(0);
+    }
+    const { dotWidth, lineWidth, font } = this.getProfile();
+    return renderDocument({ blocks: bannerBlocks(banner) }, {
+      dotWidth,
+      lineWidth,
+      font,
+      codePage: this.settings.codePage,
+      codeTable: this.settings.codeTable
+    });
+  }
+
+  async printReceipt(receipt, options = {}) {
+    console.log(`Preparing receipt: ${receipt.title}`);
+    return this.printDocument(applyTemplate('receipt', receipt, options.codePage || this.settings.codePage), 'receipt', options);
+  }
+
+  async disconnect() {
+    if (this.transport) {
+      const transport = this.transport;
+      this.transport = null;
+      this.isConnected = false;
+      await transport.disconnect();
+    }
+  }
+}
+
+// Registry of printers keyed by device ID
+class PrinterService {
+  constructor() {
+    this.printers = new Map();
+    this.pendingConnections = new Map();
+    this.jobStore = new JobStore();
+    this.statusPollTimer = null;
+    // Virtual mode only: the devices scans find and the printers behind
+    // every device ID connected so far
+    this.virtualDevices = VIRTUAL_MODE ? parseVirtualDevices(process.env.VIRTUAL_DEVICES, DEFAULT_VIRTUAL_DEVICES) : [];
+    this.virtualPrinters = new Map();
+  }
+
+  // Virtual printers aren't saved, so every run starts from scratch
+  async saveSelectedPrinter(deviceId, transport = { type: 'ble' }, settings = {}) {
+    if (VIRTUAL_MODE) {
+      return;
+    }
     try {
-      await fs.writeFile(SAVED_PRINTER_FILE, JSON.stringify({ deviceId }));
+      await fs.writeFile(SAVED_PRINTER_FILE, JSON.stringify({ deviceId, transport, settings }));
     } catch (error) {
       console.error('Error saving printer:', error);
     }
   }
 
+  // Returns { deviceId, transport, settings } for the last connected printer
   async getSavedPrinter() {
+    if (VIRTUAL_MODE) {
+      return null;
+    }
     try {
       const data = await fs.readFile(SAVED_PRINTER_FILE, 'utf8');
-      return JSON.parse(data).deviceId;
+      const saved = JSON.parse(data);
+      return {
+        deviceId: saved.deviceId,
+        transport: saved.transport || { type: 'ble' },
+        settings: saved.settings || {}
+      };
     } catch (error) {
       return null;
     }
@@ -87,14 +881,16 @@ class PrinterService {
 
   async initializeBluetooth() {
     if (process.platform === 'linux') {
+      // Validated as hciN, so it's safe in a command line
+      const { adapter } = config.values.bluetooth;
       try {
-        console.log('Initializing Bluetooth adapter...');
+        console.log(`Initializing Bluetooth adapter ${adapter}...`);
         // Reset the Bluetooth adapter
-        await execAsync('sudo hciconfig hci0 reset');
+        await execAsync(`sudo hciconfig ${adapter} reset`);
         // Set to piscan mode (page scan and inquiry scan)
-        await execAsync('sudo hciconfig hci0 piscan');
+        await execAsync(`sudo hciconfig ${adapter} piscan`);
         // Make sure the adapter is up
-        await execAsync('sudo hciconfig hci0 up');
+        await execAsync(`sudo hciconfig ${adapter} up`);
         console.log('Bluetooth adapter initialized');
       } catch (error) {
         console.error('Error initializing Bluetooth:', error);
@@ -102,9 +898,23 @@ class PrinterService {
     }
   }
 
-  async scanForDevices() {
+  // Scan for BLE devices for options.duration ms (see parseScanOptions).
+  // Resolves with one entry per device, best candidates first.
+  async scanForDevices(options = parseScanOptions()) {
+    if (VIRTUAL_MODE) {
+      return this.scanVirtualDevices(options);
+    }
+
+    const saved = await this.getSavedPrinter();
+    const savedDeviceId = saved ? saved.deviceId : null;
+
+    // Loaded lazily so wired-only and virtual setups don't need a working
+    // Bluetooth adapter
+    const { default: noble } = await import('@abandonware/noble');
+    const classify = (device) => this.classifyDevice(device, savedDeviceId);
+
     return new Promise(async (resolve, reject) => {
-      const devices = [];
+      const devices = new Map();
 
       // Initialize Bluetooth adapter first
       await this.initializeBluetooth();
@@ -143,36 +953,52 @@ class PrinterService {
         noble.removeAllListeners('scanStop');
         noble.removeAllListeners('warning');
 
+        // Devices already reported on GET /events during this scan
+        const reported = new Set();
+
         const timeout = setTimeout(() => {
           console.log('Scan timeout reached');
           noble.stopScanning();
-          console.log('Found devices:', devices);
-          resolve(devices);
-        }, 10000);
+          const found = rankDevices([...devices.values()].filter(device => matchesScan(device, options)));
+          console.log('Found devices:', found);
+          resolve(found);
+        }, options.duration);
 
         noble.on('discover', (peripheral) => {
-          console.log('Found device:', {
-            name: peripheral.advertisement.localName || 'Unknown',
-            id: peripheral.id,
-            address: peripheral.address,
-            rssi: peripheral.rssi,
-            services: peripheral.advertisement.serviceUuids || []
-          });
-          devices.push({
+          const isNew = !devices.has(peripheral.id);
+          const device = mergeDevice(devices, {
             name: peripheral.advertisement.localName,
             id: peripheral.id,
             address: peripheral.address,
             rssi: peripheral.rssi,
-            services: peripheral.advertisement.serviceUuids
+            services: peripheral.advertisement.serviceUuids || [],
+            lastSeen: new Date().toISOString()
           });
+          classify(device);
+
+          if (isNew) {
+            console.log('Found device:', {
+              name: device.name || 'Unknown',
+              id: device.id,
+              address: device.address,
+              rssi: device.rssi,
+              services: device.services
+            });
+          }
+          if (!reported.has(device.id) && matchesScan(device, options)) {
+            reported.add(device.id);
+            eventBus.publish('device.discovered', { device });
+          }
         });
 
         noble.on('scanStart', () => {
           console.log('Scan started');
+          eventBus.publish('scan.started');
         });
 
         noble.on('scanStop', () => {
           console.log('Scan stopped');
+          eventBus.publish('scan.stopped', { deviceCount: reported.size });
         });
 
         noble.on('warning', (message) => {
@@ -187,435 +1013,861 @@ class PrinterService {
     });
   }
 
-  async connectToDevice(deviceId) {
-    try {
-      console.log('Starting printer discovery...');
-      await noble.startScanningAsync([], false);
+  // Fill in the driver a device would use, whether it looks like a printer
+  // we support and whether it's the saved printer
+  classifyDevice(device, savedDeviceId) {
+    device.driver = detectDriver(device);
+    device.compatible = isCompatible(device, {
+      services: [config.values.printer.serviceUuid, CAT_SERVICE],
+      names: [config.values.printer.name, CAT_NAME_PATTERN]
+    });
+    device.saved = device.id === savedDeviceId;
+    return device;
+  }
 
-      const peripheral = await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          noble.stopScanning();
-          reject(new Error('Printer not found within timeout period'));
-        }, SCAN_TIMEOUT);
-
-        noble.on('discover', async (p) => {
-          if (p.id === deviceId) {
-            clearTimeout(timeout);
-            noble.stopScanning();
-            resolve(p);
-          }
-        });
-      });
+  // Virtual scans find every virtual device straight away
+  async scanVirtualDevices(options) {
+    eventBus.publish('scan.started');
+    const lastSeen = new Date().toISOString();
+    const found = this.virtualDevices
+      .map(device => this.classifyDevice({ ...device, address: null, lastSeen }, null))
+      .filter(device => matchesScan(device, options));
+    found.forEach(device => eventBus.publish('device.discovered', { device }));
+    eventBus.publish('scan.stopped', { deviceCount: found.length });
+    return rankDevices(found);
+  }
 
-      console.log('Connecting to printer...');
-      await peripheral.connectAsync();
-      this.connectedDevice = peripheral;
-
-      const services = await peripheral.discoverServicesAsync([]);
-      console.log('Available services:', services.map(s => s.uuid));
-      
-      // Try to find the service by UUID or by checking if it contains our service UUID
-      const service = services.find(s => 
-        s.uuid === PRINTER_SERVICE || 
-        s.uuid.replace(/-/g, '') === PRINTER_SERVICE
-      );
-      
-      if (!service) {
-        console.error('Available services:', services.map(s => s.uuid));
-        throw new Error('Printer service not found. Available services: ' + services.map(s => s.uuid).join(', '));
-      }
+  // The virtual printer behind a device ID. BLE devices have to be one of
+  // the virtual devices; serial and network printers exist at any address.
+  getVirtualPrinter(deviceId, { type = 'ble' } = {}) {
+    if (this.virtualPrinters.has(deviceId)) {
+      return this.virtualPrinters.get(deviceId);
+    }
 
-      console.log('Found service:', service.uuid);
-      const characteristics = await service.discoverCharacteristicsAsync([]);
-      console.log('Available characteristics:', characteristics.map(c => ({
-        uuid: c.uuid,
-        properties: c.properties
-      })));
-
-      // Try to find the characteristic by UUID or by checking if it contains our characteristic UUID
-      this.writeCharacteristic = characteristics.find(c => 
-        c.uuid === PRINTER_CHARACTERISTIC || 
-        c.uuid.replace(/-/g, '') === PRINTER_CHARACTERISTIC ||
-        (c.properties.includes('write') || c.properties.includes('writeWithoutResponse'))
-      );
+    const device = this.virtualDevices.find(candidate => candidate.id === deviceId);
+    if (type === 'ble' && !device) {
+      throw new DeviceNotFoundError(`No virtual device ${deviceId}`);
+    }
+    const printer = new VirtualPrinter(deviceId, {
+      name: device ? device.name : null,
+      serviceUuid: device && device.services.length > 0 ? device.services[0] : null
+    });
+    this.virtualPrinters.set(deviceId, printer);
+    return printer;
+  }
 
-      if (!this.writeCharacteristic) {
-        console.error('Available characteristics:', characteristics.map(c => ({
-          uuid: c.uuid,
-          properties: c.properties
-        })));
-        throw new Error('Write characteristic not found');
-      }
+  // Work out the transport and settings for a device. Serial and TCP
+  // printers need their connection details; anything omitted is taken from
+  // the known printer or the saved one when it is the same device.
+  async resolveConnectionOptions(deviceId, transportOptions = {}, settings) {
+    const saved = await this.getSavedPrinter();
+    const isSaved = saved && saved.deviceId === deviceId;
+    const current = this.getPrinter(deviceId);
+
+    const existing = (current && current.settings) || (isSaved ? saved.settings : {});
+    const merged = { ...existing, ...settings };
+    // A table number override belongs to the code page it was set for
+    if (settings && settings.codePage && settings.codeTable === undefined) {
+      delete merged.codeTable;
+    }
 
-      console.log('Found write characteristic:', this.writeCharacteristic.uuid);
+    return {
+      transport: transportOptions.type
+        ? transportOptions
+        : (current && current.transportOptions) || (isSaved ? saved.transport : { type: 'ble' }),
+      settings: merged
+    };
+  }
 
-      // Look for read characteristic, but don't fail if not found
-      this.readCharacteristic = characteristics.find(c => 
-        c.properties.includes('read') || 
-        c.properties.includes('notify')
-      );
+  async connectToDevice(deviceId, transportOptions = {}, settings) {
+    // Two requests for the same printer should share one connection attempt
+    if (this.pendingConnections.has(deviceId)) {
+      return this.pendingConnections.get(deviceId);
+    }
 
-      if (this.readCharacteristic) {
-        console.log('Found read characteristic:', this.readCharacteristic.uuid);
-        // Enable notifications if available
-        if (this.readCharacteristic.properties.includes('notify')) {
-          await this.readCharacteristic.subscribeAsync();
-        }
-      } else {
-        console.log('No read characteristic found - status checking will be limited');
+    const attempt = this.openConnection(deviceId, transportOptions, settings);
+    this.pendingConnections.set(deviceId, attempt);
+    try {
+      return await attempt;
+    } finally {
+      this.pendingConnections.delete(deviceId);
+    }
+  }
+
+  createPrinter(deviceId, settings) {
+    const printer = new Printer(deviceId, this.jobStore, settings);
+    printer.on('disconnect', () => this.scheduleReconnect(printer));
+    return printer;
+  }
+
+  async openConnection(deviceId, transportOptions, requestedSettings) {
+    const printer = this.printers.get(deviceId) || this.createPrinter(deviceId);
+    if (printer.connectionState !== 'reconnecting') {
+      printer.setConnectionState('connecting');
+    }
+
+    try {
+      const { transport: options, settings } = await this.resolveConnectionOptions(deviceId, transportOptions, requestedSettings);
+      printer.settings = { codePage: DEFAULT_CODE_PAGE, ...settings };
+
+      if (printer.transport) {
+        await printer.disconnect();
       }
 
-      // Initialize printer
-      await this.writeToPrinter(INIT);
-      await this.writeToPrinter(CHAR_CODE_TABLE);
+      // Look for the ESC/POS and cat printer services unless the driver
+      // was chosen explicitly
+      const { printer: printerConfig, bluetooth } = config.values;
+      const services = [
+        { serviceUuid: printerConfig.serviceUuid, characteristicUuid: printerConfig.characteristicUuid, driver: 'escpos' },
+        { serviceUuid: CAT_SERVICE, characteristicUuid: CAT_CHARACTERISTIC, driver: 'cat' }
+      ].filter(service => !settings.driver || service.driver === settings.driver);
+
+      const transport = VIRTUAL_MODE
+        ? new VirtualTransport(this.getVirtualPrinter(deviceId, options))
+        : createTransport({
+          ...options,
+          deviceId,
+          services,
+          chunkSize: bluetooth.chunkSize,
+          bytesPerSecond: bluetooth.writeRate,
+          burst: bluetooth.writeBurst,
+          scanTimeout: bluetooth.scanTimeout
+        });
+      await transport.connect();
 
-      this.isConnected = true;
-      await this.saveSelectedPrinter(deviceId);
-      return true;
+      printer.driver = settings.driver || detectDriver({
+        name: transport.name,
+        services: transport.serviceUuid ? [transport.serviceUuid] : []
+      });
+      console.log(`Using ${printer.driver} driver for ${deviceId}`);
+      await printer.attach(transport);
+      printer.transportOptions = options;
+
+      this.printers.set(deviceId, printer);
+      clearTimeout(printer.reconnectTimer);
+      printer.reconnectTimer = null;
+      printer.nextReconnectAt = null;
+      printer.reconnectAttempts = 0;
+      printer.setConnectionState('connected');
+      await this.saveSelectedPrinter(deviceId, options, printer.settings);
+
+      // Pick up the jobs that were waiting for the connection to come back
+      if (printer.pausedReason === DISCONNECTED_REASON) {
+        printer.resumeQueue();
+      }
     } catch (error) {
       console.error('Connection error:', error);
-      this.isConnected = false;
-      return false;
+      printer.isConnected = false;
+      if (printer.connectionState !== 'reconnecting') {
+        printer.setConnectionState('offline');
+      }
+      throw error instanceof ServiceError
+        ? error
+        : new NotConnectedError(`Failed to connect to printer: ${error.message}`);
     }
   }
 
-  async writeToPrinter(data) {
-    if (!this.writeCharacteristic) {
-      throw new Error('Printer not connected');
+  // Reconnect a printer whose connection dropped, waiting twice as long
+  // after every failed attempt. Its queued jobs are kept until it's back.
+  scheduleReconnect(printer) {
+    if (printer.reconnectTimer || this.printers.get(printer.deviceId) !== printer) {
+      return;
+    }
+    const { baseDelay, maxDelay, maxAttempts } = config.values.reconnect;
+    if (printer.reconnectAttempts >= maxAttempts) {
+      console.log(`Giving up reconnecting to ${printer.deviceId} after ${printer.reconnectAttempts} attempts`);
+      printer.nextReconnectAt = null;
+      printer.setConnectionState('offline');
+      return;
     }
 
-    const buffer = Buffer.isBuffer(data) ? data : this.createCommandBuffer(data);
-    const chunks = this.chunkBuffer(buffer);
+    const delay = Math.min(maxDelay, baseDelay * 2 ** printer.reconnectAttempts);
+    printer.reconnectAttempts++;
+    printer.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    printer.setConnectionState('reconnecting');
+    console.log(`Reconnecting to ${printer.deviceId} in ${delay}ms (attempt ${printer.reconnectAttempts})`);
 
-    console.log(`Writing ${chunks.length} chunks to printer`);
-    for (const chunk of chunks) {
+    printer.reconnectTimer = setTimeout(async () => {
+      printer.reconnectTimer = null;
+      printer.nextReconnectAt = null;
       try {
-        await this.writeCharacteristic.writeAsync(chunk, false);
-        await new Promise(resolve => setTimeout(resolve, 50)); // 50ms delay between chunks
+        await this.connectToDevice(printer.deviceId, printer.transportOptions || {});
       } catch (error) {
-        console.error('Error writing to printer:', error);
-        throw new Error('Printer is out of paper or not ready');
+        this.scheduleReconnect(printer);
       }
-    }
+    }, delay);
   }
 
-  // Process the print queue
-  async processPrintQueue() {
-    if (this.isProcessingQueue) {
-      console.log('Queue is already being processed');
+  // Connect to the printer from saved_printer.json when the service starts
+  async restoreSavedPrinter() {
+    const saved = await this.getSavedPrinter();
+    if (!saved || this.printers.has(saved.deviceId)) {
       return;
     }
-    
-    if (this.printQueue.length === 0) {
-      console.log('Queue is empty');
-      return;
+
+    console.log(`Restoring saved printer ${saved.deviceId}`);
+    const printer = this.createPrinter(saved.deviceId, saved.settings);
+    printer.transportOptions = saved.transport;
+    this.printers.set(saved.deviceId, printer);
+    try {
+      await this.connectToDevice(saved.deviceId);
+    } catch (error) {
+      this.scheduleReconnect(printer);
+    }
+  }
+
+  getPrinter(deviceId) {
+    return this.printers.get(deviceId) || null;
+  }
+
+  // Returns the connected printer for a device, connecting first if needed.
+  // Throws the connection error when the printer can't be reached. A
+  // printer that is reconnecting is returned as it is, so print jobs queue
+  // up for the reconnect instead of racing it with a connection attempt.
+  async getConnectedPrinter(deviceId) {
+    const printer = this.getPrinter(deviceId);
+    if (printer && printer.acceptsJobs()) {
+      return printer;
     }
 
-    this.isProcessingQueue = true;
-    console.log(`Starting to process queue. Jobs in queue: ${this.printQueue.length}`);
+    await this.connectToDevice(deviceId, (printer && printer.transportOptions) || {});
+    return this.getPrinter(deviceId);
+  }
 
-    try {
-      while (this.printQueue.length > 0) {
-        const { job, resolve, reject, timestamp } = this.printQueue[0];
-        console.log(`Processing job from ${timestamp}. Remaining jobs: ${this.printQueue.length}`);
-        
-        try {
-          const result = await job();
-          if (!result) {
-            throw new Error('Print job failed');
-          }
-          console.log('Job completed successfully');
-          resolve(result);
-        } catch (error) {
-          console.error('Job failed:', error);
-          reject(error);
-          // Don't continue processing the queue if we hit a paper-out error
-          if (error.message.includes('out of paper') || error.message.includes('not ready')) {
-            console.log('Stopping queue processing due to printer error');
-            break;
+  // Cancel a queued job. Returns false if the job already started or finished.
+  cancelJob(jobId) {
+    const job = this.jobStore.get(jobId);
+    const printer = job && this.getPrinter(job.deviceId);
+    if (!job || job.status !== 'queued' || !printer) {
+      return false;
+    }
+    return printer.cancelJob(jobId);
+  }
+
+  listPrinters() {
+    return [...this.printers.values()].map(printer => printer.describe());
+  }
+
+  // While anyone is listening on GET /events, query idle printers now and
+  // then so paper running out or being loaded shows up without a print job
+  watchStatus() {
+    if (this.statusPollTimer) {
+      return;
+    }
+
+    // Each poll schedules the next, so interval changes apply straight away
+    const poll = () => {
+      this.statusPollTimer = setTimeout(() => {
+        if (eventBus.subscriberCount() === 0) {
+          this.statusPollTimer = null;
+          return;
+        }
+        for (const printer of this.printers.values()) {
+          if (printer.isConnected && !printer.isProcessingQueue) {
+            printer.queryStatus().catch(error => console.error(`Status poll failed for ${printer.deviceId}:`, error.message));
           }
         }
-        
-        this.printQueue.shift(); // Remove the completed job
-        console.log(`Job removed from queue. Remaining jobs: ${this.printQueue.length}`);
-        
-        // Add a small delay between jobs
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    } finally {
-      this.isProcessingQueue = false;
-      console.log('Queue processing completed');
+        poll();
+      }, config.values.status.pollInterval);
+    };
+    poll();
+  }
+
+  // Disconnect one printer, or every printer when no device ID is given
+  async disconnect(deviceId) {
+    const printers = deviceId
+      ? [this.getPrinter(deviceId)].filter(Boolean)
+      : [...this.printers.values()];
+
+    for (const printer of printers) {
+      this.printers.delete(printer.deviceId);
+      clearTimeout(printer.reconnectTimer);
+      printer.reconnectTimer = null;
+      await printer.disconnect();
+      printer.setConnectionState('offline');
     }
   }
+}
 
-  // Add a print job to the queue
-  async addToPrintQueue(printJob) {
-    console.log('Adding new job to queue');
-    return new Promise((resolve, reject) => {
-      this.printQueue.push({
-        job: printJob,
-        resolve,
-        reject,
-        timestamp: new Date().toISOString()
-      });
-      console.log(`Job added to queue. Current queue length: ${this.printQueue.length}`);
-      
-      // Start processing the queue if it's not already being processed
-      if (!this.isProcessingQueue) {
-        this.processPrintQueue();
-      }
-    });
+const printerService = new PrinterService();
+
+// API Routes. Handlers throw ServiceErrors (or validators' "Invalid ..."
+// errors) and errorHandler turns them into { error, code, details }.
+
+// Filter with ?duration= (seconds), ?name= (a pattern), ?service=,
+// ?minRssi= and ?printersOnly=true
+app.get('/devices', adminAccess, async (req, res) => {
+  const options = parseScanOptions(req.query);
+
+  // Devices found by an asynchronous scan are sent on GET /events
+  if (req.query.async === 'true') {
+    printerService.scanForDevices(options).catch(error => console.error('Scan failed:', error));
+    return res.status(202).json({ scanning: true, duration: options.duration / 1000 });
   }
 
-  async checkPrinterStatus() {
-    if (!this.writeCharacteristic) {
-      throw new Error('Printer not connected');
-    }
+  const devices = await printerService.scanForDevices(options);
+  res.json(devices);
+});
+
+app.post('/connect', adminAccess, schemas.validateBody(schemas.connectBody), async (req, res) => {
+  const { transport, path: serialPath, baudRate, host, port } = req.body;
+
+  let options;
+  let { deviceId } = req.body;
+  if (transport === 'serial') {
+    options = { type: 'serial', path: serialPath, baudRate };
+    deviceId = deviceId || serialPath;
+  } else if (transport === 'tcp') {
+    options = { type: 'tcp', host, port: port || 9100 };
+    deviceId = deviceId || `${host}:${options.port}`;
+  } else if (transport === 'ble') {
+    options = { type: 'ble' };
+  } else {
+    // No transport given: reuse the saved printer's, or BLE for a new one
+    options = {};
+  }
+
+  // Printer settings are optional; omitted ones keep their saved values
+  const { codePage, codeTable, profile, dotWidth, font, driver, energy, speed } = req.body;
+  const settings = Object.fromEntries(
+    Object.entries({ codePage, codeTable, profile, dotWidth, font, driver, energy, speed }).filter(([, value]) => value !== undefined)
+  );
+  // A named profile brings its own width
+  if (profile && profile !== 'custom' && dotWidth === undefined) {
+    settings.dotWidth = undefined;
+  }
+
+  await printerService.connectToDevice(deviceId, options, settings);
+  res.json({ success: true, deviceId });
+});
+
+// Print routes wait for the job to finish unless the client asks for an
+// async response with `?async=true` or `"async": true` in the body
+function wantsAsync(req) {
+  return req.query.async === 'true' || req.body.async === true;
+}
+
+// How each print route queues its job from the validated body. Reprints
+// run the same function on the body kept in the history, with a banner.
+const PRINT_JOBS = {
+  '/print/text': (printer, { text, markup, codePage, copies }, banner) => printer.printText(text, { markup, codePage, banner, copies }),
+  '/print/receipt': (printer, { codePage, copies, ...body }, banner) => {
+    const { title, items, discounts, tax, payments, total, currency, locale, schoolName, footer, saleDate, logo, qr, barcode, openDrawer, beep } = body;
+    const receipt = { title, items, discounts, tax, payments, total, currency, locale, schoolName, footer, saleDate, logo, qr, barcode, openDrawer, beep };
+    return printer.printReceipt(receipt, { codePage, banner, copies });
+  },
+  '/print/image': (printer, { image, dither, threshold, align, cut, copies }, banner) =>
+    printer.printImage(image, { dither, threshold, align, cut, banner, copies }),
+  '/print/document': (printer, { template, data, blocks, lineWidth, codePage, copies }, banner) => {
+    const document = requestDocument({ template, data, blocks, lineWidth }, codePage || printer.settings.codePage);
+    validateDocument(document);
+    return printer.printDocument(document, template || 'document', { codePage, banner, copies });
+  },
+  '/print/barcode': (printer, { type, data, height, width, hri, align, cut, copies }, banner) =>
+    printer.printBarcode({ type, data, height, width, hri, align, cut, banner, copies }),
+  '/print/qr': (printer, { data, size, errorCorrection, align, cut, copies }, banner) =>
+    printer.printQrCode({ data, size, errorCorrection, align, cut, banner, copies }),
+  '/print/raw': (printer, { data, encoding, copies }, banner) => printer.printRaw(decodePayload(data, encoding), { banner, copies }),
+  '/print/batch': (printer, { items, cut, onError }, banner) => printer.printBatch(batchDocuments(items, printer.settings.codePage), { cut, onError, banner }),
+  '/drawer/open': (printer, { pin, onTime, offTime }) => printer.openDrawer({ pin, onTime, offTime }),
+  '/beep': (printer, { count, duration }) => printer.beep({ count, duration })
+};
+
+// Answer a print request with the queued job, or its result. The job is
+// recorded in the history with the request body, or `payload` when the
+// job was printed from something else.
+async function sendJob(req, res, job, { route = req.route.path, payload = req.body, reprintOf = null } = {}) {
+  history.record(job, {
+    route,
+    client: req.client ? req.client.name : null,
+    ip: req.ip,
+    payload,
+    reprintOf
+  });
+
+  if (wantsAsync(req)) {
+    return res.status(202).json({ jobId: job.id, status: job.status });
+  }
+
+  const success = await job.promise;
+  res.json(job.results ? { success, jobId: job.id, results: job.results } : { success, jobId: job.id });
+}
+
+app.post('/print/text', printAccess, schemas.validateBody(schemas.printTextBody), printLimit, async (req, res) => {
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/print/text'](printer, req.body);
+  await sendJob(req, res, job);
+});
+
+app.post('/print/receipt', printAccess, schemas.validateBody(schemas.printReceiptBody), printLimit, async (req, res) => {
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/print/receipt'](printer, req.body);
+  await sendJob(req, res, job);
+});
+
+// Accepts either JSON with a base64 `image` field or multipart/form-data with an `image` file
+app.post('/print/image', printAccess, upload.single('image'), schemas.validateBody(schemas.printImageBody), printLimit, async (req, res) => {
+  // Uploads are kept in the history as base64, like JSON requests
+  const image = req.file ? req.file.buffer.toString('base64') : req.body.image;
+  if (!image) {
+    throw new ValidationError('Invalid request: image: Required', [{ path: 'image', message: 'Required' }]);
+  }
+  const body = { ...req.body, image };
 
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(body.deviceId);
+  const job = await PRINT_JOBS['/print/image'](printer, body);
+  await sendJob(req, res, job, { payload: body });
+});
+
+app.get('/jobs', readAccess, (req, res) => {
+  const { deviceId, status } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid request: status must be one of ${JOB_STATUSES.join(', ')}`, [
+      { path: 'status', message: `must be one of ${JOB_STATUSES.join(', ')}` }
+    ]);
+  }
+  res.json(printerService.jobStore.list({ deviceId, status }).map(JobStore.serialize));
+});
+
+// Resume queues paused by a printer error, for one printer or all of them
+app.post('/jobs/resume', queueAccess, schemas.validateBody(schemas.optionalDeviceBody), async (req, res) => {
+  const { deviceId } = req.body;
+  const deviceIds = deviceId ? [deviceId] : [...printerService.printers.keys()];
+  if (deviceId && !printerService.getPrinter(deviceId)) {
+    throw new DeviceNotFoundError('Printer not connected');
+  }
+
+  const resumed = [];
+  for (const id of deviceIds) {
+    // Reconnect first if the printer dropped while it was paused. A printer
+    // that is already reconnecting keeps its queue paused until it is back.
     try {
-      // Send a test print command
-      await this.writeToPrinter([0x1B, 0x40]); // Initialize
-      await this.writeToPrinter([0x1B, 0x74, 0x00]); // Set character code table
-      
-      // Try to print a single character
-      await this.writeToPrinter(Buffer.from(' ', 'utf8'));
-      
-      // Add a small delay to let the printer process
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // If we get here without an error, assume printer is ready
-      return true;
+      const printer = await printerService.getConnectedPrinter(id);
+      if (!printer.resumeQueue()) {
+        throw new NotConnectedError(`Printer is ${printer.connectionState}: its queue resumes once it is connected again`);
+      }
+      resumed.push({ deviceId: id, queueDepth: printer.printQueue.length });
     } catch (error) {
-      console.error('Printer status check failed:', error);
-      // If we get any error during the test print, assume paper out
-      throw new Error('Printer is out of paper or not ready');
+      // Only a single requested printer reports why it couldn't resume
+      if (deviceId) {
+        throw error;
+      }
     }
   }
+  res.json({ success: true, resumed });
+});
 
-  async printText(text) {
-    if (!this.isConnected) {
-      throw new Error('Printer not connected');
-    }
+app.get('/jobs/:id', readAccess, (req, res) => {
+  const job = printerService.jobStore.get(req.params.id);
+  if (!job) {
+    throw new ServiceError('JOB_NOT_FOUND', 'Job not found');
+  }
+  res.json(JobStore.serialize(job));
+});
 
-    return this.addToPrintQueue(async () => {
-      try {
-        // Check printer status before starting
-        await this.checkPrinterStatus();
+app.delete('/jobs/:id', queueAccess, (req, res) => {
+  const job = printerService.jobStore.get(req.params.id);
+  if (!job) {
+    throw new ServiceError('JOB_NOT_FOUND', 'Job not found');
+  }
+  if (!printerService.cancelJob(job.id)) {
+    throw new ServiceError('JOB_NOT_CANCELLABLE', `Job cannot be cancelled while ${job.status}`);
+  }
+  res.json(JobStore.serialize(job));
+});
 
-        console.log(`Starting to print text: ${text}`);
-        await this.writeToPrinter(INIT);
-        await this.writeToPrinter(CHAR_CODE_TABLE);
-        
-        const textBuffer = Buffer.from(text + '\n', 'utf8');
-        await this.writeToPrinter(textBuffer);
-        
-        // Add a feed and cut to make it more distinct
-        await this.writeToPrinter(FEED);
-        await this.writeToPrinter(CUT);
-        
-        console.log(`Finished printing text: ${text}`);
-        return true;
-      } catch (error) {
-        console.error('Print error:', error);
-        if (error.message.includes('out of paper')) {
-          throw new Error('Cannot print: Printer is out of paper');
-        }
-        throw error; // Re-throw the error instead of returning false
-      }
+// Live printer status from DLE EOT queries, for one printer or all of them
+app.get('/status', readAccess, async (req, res) => {
+  const { deviceId } = req.query;
+  const printers = deviceId
+    ? [printerService.getPrinter(deviceId)]
+    : [...printerService.printers.values()];
+  if (deviceId && !printers[0]) {
+    throw new DeviceNotFoundError('Printer not connected');
+  }
+
+  const statuses = [];
+  for (const printer of printers) {
+    const status = await printer.getStatus();
+    statuses.push({
+      deviceId: printer.deviceId,
+      state: printer.getState(),
+      connection: printer.connectionState,
+      ...status,
+      blockingReason: getBlockingReason(status)
     });
   }
+  res.json(deviceId ? statuses[0] : statuses);
+});
 
-  async printReceipt({ title, items, total, schoolName, footer, saleDate }) {
-    if (!this.isConnected) {
-      throw new Error('Printer not connected');
+app.get('/printers', readAccess, (req, res) => {
+  res.json(printerService.listPrinters());
+});
+
+// Server-Sent Events stream of scans, connections, printer status and jobs.
+// Filter with ?types= and ?deviceId=; a reconnecting EventSource gets the
+// events it missed through Last-Event-ID.
+app.get('/events', auth.require('read', { allowQuery: true }), (req, res) => {
+  const types = parseEventTypes(req.query.types);
+  const { deviceId } = req.query;
+
+  const send = (event) => {
+    if (types && !types.has(event.type)) {
+      return;
+    }
+    // Scan events aren't about a connected printer and go to every stream
+    if (deviceId && event.deviceId && event.deviceId !== deviceId) {
+      return;
     }
+    res.write(formatEvent(event));
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  if (!Number.isNaN(lastEventId)) {
+    eventBus.since(lastEventId).forEach(send);
+  }
 
-    return this.addToPrintQueue(async () => {
-      try {
-        // Check printer status before starting
-        await this.checkPrinterStatus();
+  eventBus.on('event', send);
+  printerService.watchStatus();
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.values.events.heartbeat);
 
-        console.log(`Starting to print receipt: ${title}`);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventBus.removeListener('event', send);
+  });
+});
 
-        // Initialize printer
-        console.log('Sending initialization command...');
-        await this.writeToPrinter(INIT);
-        await new Promise(resolve => setTimeout(resolve, 200));
+// Accepts { blocks: [...] } or a built-in template: { template: 'receipt', data: {...} }
+app.post('/print/document', printAccess, schemas.validateBody(schemas.printDocumentBody), printLimit, async (req, res) => {
+  const { deviceId, template, data, blocks, lineWidth } = req.body;
 
-        // Set character code table
-        console.log('Setting character code table...');
-        await this.writeToPrinter(CHAR_CODE_TABLE);
-        await new Promise(resolve => setTimeout(resolve, 100));
+  // Check the document before connecting
+  validateDocument(requestDocument({ template, data, blocks, lineWidth }));
 
-        // Print school name if provided
-        if (schoolName) {
-          await this.writeToPrinter(ALIGN_CENTER);
-          await this.writeToPrinter(Buffer.from(schoolName + '\n', 'utf8'));
-          await this.writeToPrinter(Buffer.from('----------------\n', 'utf8'));
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(deviceId);
+  const job = await PRINT_JOBS['/print/document'](printer, req.body);
+  await sendJob(req, res, job);
+});
 
-        // Print title
-        await this.writeToPrinter(ALIGN_CENTER);
-        await this.writeToPrinter(Buffer.from(title + '\n', 'utf8'));
-        await this.writeToPrinter(Buffer.from('----------------\n', 'utf8'));
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Print sale date if provided
-        if (saleDate) {
-          await this.writeToPrinter(ALIGN_CENTER);
-          await this.writeToPrinter(Buffer.from(saleDate + '\n', 'utf8'));
-          await this.writeToPrinter(Buffer.from('----------------\n', 'utf8'));
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+// The documents of a /print/batch request. Every item that can't be
+// printed is reported at once, before anything is queued.
+function batchDocuments(items, defaultCodePage) {
+  const errors = [];
+  const documents = items.map(({ type, copies, codePage, ...fields }, i) => {
+    try {
+      const document = type === 'text' ? TEMPLATES.text(fields) : applyTemplate('receipt', fields, codePage || defaultCodePage);
+      validateDocument(document);
+      return { type, copies, codePage, document };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      errors.push(...nestDetails(error, `items[${i}]`));
+      return null;
+    }
+  });
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    throw new ValidationError(`Invalid batch: ${errors[0].path}: ${errors[0].message}${more}`, errors);
+  }
+  return documents;
+}
 
-        // Print items
-        await this.writeToPrinter(ALIGN_LEFT);
-        for (const item of items) {
-          const line = `${item.name.padEnd(20)}${item.price.padStart(10)}\n`;
-          await this.writeToPrinter(Buffer.from(line, 'utf8'));
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+// Text and receipt jobs queued as one job, e.g. a run of event tickets
+app.post('/print/batch', printAccess, schemas.validateBody(schemas.printBatchBody), printLimit, async (req, res) => {
+  // Check the documents before connecting
+  batchDocuments(req.body.items);
 
-        // Print total
-        await this.writeToPrinter(Buffer.from('----------------\n', 'utf8'));
-        const totalLine = `Total: R${total.toFixed(2)}\n`;
-        await this.writeToPrinter(Buffer.from(totalLine, 'utf8'));
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Print footer if provided
-        if (footer) {
-          await this.writeToPrinter(Buffer.from('----------------\n', 'utf8'));
-          await this.writeToPrinter(ALIGN_CENTER);
-          await this.writeToPrinter(Buffer.from(footer + '\n', 'utf8'));
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/print/batch'](printer, req.body);
+  await sendJob(req, res, job);
+});
 
-        // Add extra line feeds
-        await this.writeToPrinter([0x0A, 0x0D, 0x0A, 0x0D]);
-        await new Promise(resolve => setTimeout(resolve, 100));
+app.post('/print/barcode', printAccess, schemas.validateBody(schemas.printBarcodeBody), printLimit, async (req, res) => {
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/print/barcode'](printer, req.body);
+  await sendJob(req, res, job);
+});
 
-        // Cut paper
-        await this.writeToPrinter(CUT);
-        await new Promise(resolve => setTimeout(resolve, 200));
+app.post('/print/qr', printAccess, schemas.validateBody(schemas.printQrBody), printLimit, async (req, res) => {
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/print/qr'](printer, req.body);
+  await sendJob(req, res, job);
+});
 
-        console.log(`Finished printing receipt: ${title}`);
-        return true;
-      } catch (error) {
-        console.error('Receipt print error:', error);
-        if (error.message.includes('out of paper')) {
-          throw new Error('Cannot print: Printer is out of paper');
-        }
-        throw error; // Re-throw the error instead of returning false
-      }
+// Run a rate limit middleware inside a route, for routes that only know
+// whether they print once they have looked at the request
+function applyLimit(limit, req, res) {
+  return new Promise((resolve, reject) => limit(req, res, error => (error ? reject(error) : resolve())));
+}
+
+// Raw ESC/POS from the client, as base64 or hex `data`. With `validate`
+// set to `reject` payloads containing unsafe commands are refused, with
+// `strip` those commands are removed. `dryRun` lists the commands instead
+// of printing them. Only payloads that are printed count towards the rate
+// limit.
+app.post('/print/raw', printAccess, schemas.validateBody(schemas.printRawBody), async (req, res) => {
+  const { deviceId, data, encoding, validate, dryRun, copies } = req.body;
+  const isDryRun = dryRun === true || req.query.dryRun === 'true';
+  if (!deviceId && !isDryRun) {
+    throw new ValidationError('Invalid request: deviceId: Device ID is required', [
+      { path: 'deviceId', message: 'Device ID is required' }
+    ]);
+  }
+
+  let payload = decodePayload(data, encoding);
+
+  if (isDryRun) {
+    const commands = describeEscPos(payload);
+    return res.json({
+      length: payload.length,
+      unsafe: commands.filter(command => command.dangerous || command.truncated).length,
+      commands
     });
   }
 
-  async disconnect() {
-    if (this.connectedDevice) {
-      await this.connectedDevice.disconnectAsync();
-      this.connectedDevice = null;
-      this.writeCharacteristic = null;
-      this.readCharacteristic = null;
-      this.isConnected = false;
+  if (validate === 'reject') {
+    const unsafe = findUnsafeCommands(payload);
+    if (unsafe.length > 0) {
+      throw new ValidationError(
+        `Payload contains unsafe commands: ${[...new Set(unsafe.map(command => command.name))].join(', ')}`,
+        unsafe.map(({ offset, name, description }) => ({ path: 'data', offset, name, message: description }))
+      );
+    }
+  } else if (validate === 'strip') {
+    const length = payload.length;
+    payload = stripUnsafeCommands(payload);
+    if (payload.length !== length) {
+      console.log(`Stripped ${length - payload.length} bytes of unsafe commands from raw payload`);
     }
   }
-}
 
-const printerService = new PrinterService();
+  await applyLimit(printLimit, req, res);
 
-// API Routes
-app.get('/devices', async (req, res) => {
-  try {
-    const devices = await printerService.scanForDevices();
-    res.json(devices);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(deviceId);
+  const job = await printer.printRaw(payload, { copies });
+  // The history keeps the bytes that were printed, after stripping
+  await sendJob(req, res, job, { payload: { deviceId, data: payload.toString('base64'), encoding: 'base64', copies } });
 });
 
-app.post('/connect', async (req, res) => {
-  try {
-    const { deviceId } = req.body;
-    if (!deviceId) {
-      return res.status(400).json({ error: 'Device ID is required' });
+// The document a /preview request would print: the same body as
+// /print/text, /print/receipt or /print/document
+function previewDocument(body, codePage) {
+  const type = body.type || (body.text !== undefined ? 'text' : body.blocks || body.template ? 'document' : 'receipt');
+  switch (type) {
+    case 'text':
+      return TEMPLATES.text(schemas.parse(schemas.printTextBody.innerType().omit({ deviceId: true }), body));
+    case 'receipt':
+      return applyTemplate('receipt', schemas.parse(schemas.receiptFields, body), codePage);
+    default: {
+      const { template, data, blocks, lineWidth } = schemas.parse(schemas.printDocumentBody.innerType().omit({ deviceId: true }), body);
+      return requestDocument({ template, data, blocks, lineWidth }, codePage);
     }
+  }
+}
 
-    const success = await printerService.connectToDevice(deviceId);
-    res.json({ success });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Kick the cash drawer connected to the printer's drawer port
+app.post('/drawer/open', printAccess, schemas.validateBody(schemas.drawerBody), printLimit, async (req, res) => {
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/drawer/open'](printer, req.body);
+  await sendJob(req, res, job);
+});
+
+// Sound the printer's buzzer, on printers that have one
+app.post('/beep', printAccess, schemas.validateBody(schemas.beepBody), printLimit, async (req, res) => {
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId);
+  const job = await PRINT_JOBS['/beep'](printer, req.body);
+  await sendJob(req, res, job);
+});
+
+// Renders a print request to a PNG instead of printing it. Uses the
+// profile of `deviceId` when given, otherwise `profile`, `dotWidth` and
+// `font` from the body.
+app.post('/preview', readAccess, schemas.validateBody(schemas.previewBody), async (req, res) => {
+  const { deviceId, codePage, profile, dotWidth, font, driver } = req.body;
+
+  const printer = deviceId ? printerService.getPrinter(deviceId) : null;
+  if (deviceId && !printer) {
+    throw new DeviceNotFoundError('Printer not connected');
+  }
+
+  const settings = { ...(printer ? printer.settings : {}) };
+  const printCodePage = codePage || settings.codePage || DEFAULT_CODE_PAGE;
+  const document = previewDocument(req.body, printCodePage);
+  validateDocument(document);
+
+  if (profile) {
+    settings.profile = profile;
+    settings.dotWidth = dotWidth;
+  } else if (dotWidth) {
+    settings.dotWidth = dotWidth;
+  }
+  if (font) {
+    settings.font = font;
+  }
+  const resolved = resolveProfile(settings);
+
+  // Cat printers print bitmaps directly; everything else goes through
+  // the same ESC/POS bytes a printer would receive
+  let bitmap;
+  if ((driver || (printer ? printer.driver : 'escpos')) === 'cat') {
+    bitmap = await renderDocumentBitmap(document, resolved);
+  } else {
+    const commands = await renderDocument(document, {
+      ...resolved,
+      codePage: printCodePage
+    });
+    bitmap = await interpretEscPos(commands, { dotWidth: resolved.dotWidth });
   }
+
+  res.type('png').send(await bitmapToPng(bitmap));
 });
 
-app.post('/print/text', async (req, res) => {
-  try {
-    const { deviceId, text } = req.body;
-    if (!deviceId || !text) {
-      return res.status(400).json({ error: 'Device ID and text are required' });
-    }
+// Disconnects the given printer, or all printers when no device ID is sent
+app.post('/disconnect', adminAccess, schemas.validateBody(schemas.optionalDeviceBody), async (req, res) => {
+  const { deviceId } = req.body;
+  if (deviceId && !printerService.getPrinter(deviceId)) {
+    throw new DeviceNotFoundError('Printer not connected');
+  }
 
-    // Connect if not already connected
-    if (!printerService.isConnected) {
-      await printerService.connectToDevice(deviceId);
-    }
+  await printerService.disconnect(deviceId);
+  res.json({ success: true });
+});
 
-    const success = await printerService.printText(text);
-    res.json({ success });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Jobs printed before, newest first, without their payloads
+app.get('/history', readAccess, (req, res) => {
+  const filters = schemas.parse(schemas.historyQuery, req.query);
+  res.json(history.list(filters).map(JobHistory.summarize));
+});
+
+// One job with the request it was printed from
+app.get('/history/:id', readAccess, async (req, res) => {
+  const entry = history.get(req.params.id);
+  if (!entry) {
+    throw new ServiceError('JOB_NOT_FOUND', 'Job not found in the history');
   }
+  res.json({ ...entry, payload: await history.getPayload(entry) });
 });
 
-app.post('/print/receipt', async (req, res) => {
-  try {
-    const { deviceId, title, items, total, schoolName, footer, saleDate } = req.body;
-    if (!deviceId || !title || !items || !total) {
-      return res.status(400).json({ error: 'Device ID, title, items, and total are required' });
-    }
+// The history entry and payload of a reprint, as req.reprint
+async function loadReprint(req, res, next) {
+  req.reprint = await history.getReprintable(req.params.id);
+  next();
+}
+
+// Print a job from the history again, under a "COPY / REPRINT" banner
+app.post('/history/:id/reprint', printAccess, schemas.validateBody(schemas.reprintBody), loadReprint, reprintLimit, async (req, res) => {
+  const entry = req.reprint;
+
+  // Connect if not already connected
+  const printer = await printerService.getConnectedPrinter(req.body.deviceId || entry.deviceId);
+  const job = await PRINT_JOBS[entry.route](printer, entry.payload, reprintBanner(entry));
+  console.log(`Reprinting job ${entry.id} as ${job.id}`);
+  await sendJob(req, res, job, { route: entry.route, payload: entry.payload, reprintOf: entry.id });
+});
+
+// The service settings, with where each one comes from
+app.get('/config', readAccess, (req, res) => {
+  res.json(config.describe());
+});
+
+// Change some of the settings. They are saved to the config file; the
+// response says when each one takes effect.
+app.put('/config', adminAccess, schemas.validateBody(schemas.configUpdate), async (req, res) => {
+  const changed = await config.update(req.body);
+  console.log(`Config updated: ${changed.map(({ setting }) => setting).join(', ')}`);
+  res.json({ ...config.describe(), changed });
+});
 
-    // Connect if not already connected
-    if (!printerService.isConnected) {
-      const connected = await printerService.connectToDevice(deviceId);
-      if (!connected) {
-        return res.status(500).json({ error: 'Failed to connect to printer' });
+// Virtual printers (PRINTER_MODE=virtual), for end-to-end tests without
+// hardware
+const VIRTUAL_OUTPUT_FORMATS = ['json', 'text', 'raw', 'commands'];
+
+if (VIRTUAL_MODE) {
+  // What the virtual printers received, with a transcript of the printed
+  // text. With ?deviceId= one printer's output can also be fetched as
+  // ?format=text, raw (the bytes) or commands (a dry-run listing).
+  app.get('/virtual/output', readAccess, (req, res) => {
+    const { deviceId, format = 'json' } = req.query;
+    if (!VIRTUAL_OUTPUT_FORMATS.includes(format)) {
+      throw new ValidationError(`Invalid request: format must be one of ${VIRTUAL_OUTPUT_FORMATS.join(', ')}`, [
+        { path: 'format', message: `must be one of ${VIRTUAL_OUTPUT_FORMATS.join(', ')}` }
+      ]);
+    }
+    if (!deviceId) {
+      if (format !== 'json') {
+        throw new ValidationError(`Invalid request: deviceId is required for the ${format} format`, [
+          { path: 'deviceId', message: 'Required' }
+        ]);
       }
+      return res.json([...printerService.virtualPrinters.values()].map(printer => printer.describe()));
     }
 
-    try {
-      const success = await printerService.printReceipt({ 
-        title, 
-        items, 
-        total,
-        schoolName,
-        footer,
-        saleDate
-      });
-      res.json({ success });
-    } catch (printError) {
-      console.error('Print error:', printError);
-      if (printError.message.includes('out of paper')) {
-        return res.status(503).json({ error: 'Printer is out of paper' });
-      }
-      return res.status(500).json({ error: printError.message });
+    const printer = printerService.virtualPrinters.get(deviceId);
+    if (!printer) {
+      throw new DeviceNotFoundError(`No virtual printer ${deviceId}`);
+    }
+    switch (format) {
+      case 'text':
+        return res.type('text').send(printer.describe().transcript.join('\n'));
+      case 'raw':
+        return res.type('application/octet-stream').send(printer.output());
+      case 'commands':
+        return res.json(printer.commands());
+      default:
+        return res.json(printer.describe());
+    }
+  });
+
+  // Forget what one virtual printer, or all of them, received
+  app.delete('/virtual/output', adminAccess, (req, res) => {
+    const { deviceId } = req.query;
+    const printer = deviceId ? printerService.virtualPrinters.get(deviceId) : null;
+    if (deviceId && !printer) {
+      throw new DeviceNotFoundError(`No virtual printer ${deviceId}`);
     }
-  } catch (error) {
-    console.error('API error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
 
-app.post('/disconnect', async (req, res) => {
-  try {
-    await printerService.disconnect();
+    (printer ? [printer] : [...printerService.virtualPrinters.values()]).forEach(virtual => virtual.clear());
     res.json({ success: true });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+  });
+
+  // Change what a virtual printer simulates: paper out, cover open, slow or
+  // failing writes, a dropped connection. See DEFAULT_SIMULATION in virtual.js.
+  app.post('/virtual/simulate', adminAccess, schemas.validateBody(schemas.virtualSimulateBody), (req, res) => {
+    const { deviceId, ...changes } = req.body;
+    const printer = printerService.getVirtualPrinter(deviceId);
+    res.json({ deviceId, simulation: printer.simulate(changes) });
+  });
+}
+
+app.use((req, res, next) => {
+  next(new ServiceError('ROUTE_NOT_FOUND', `No route for ${req.method} ${req.path}`));
 });
+app.use(errorHandler);
 
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0';
-app.listen(PORT, HOST, () => {
-  console.log(`Server running on port ${PORT} and host ${HOST}`);
+const { port, host } = config.values.server;
+app.listen(port, host, () => {
+  console.log(`Server running on port ${port} and host ${host}`);
+  if (VIRTUAL_MODE) {
+    console.log(`Virtual printer mode: scans find ${printerService.virtualDevices.map(device => device.id).join(', ')}`);
+  }
+  printerService.restoreSavedPrinter().catch(error => console.error('Error restoring saved printer:', error));
 });
\ No newline at end of file
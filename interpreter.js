@@ -0,0 +1,362 @@
+import iconv from 'iconv-lite';
+import { Jimp, measureText } from 'jimp';
+import { DEFAULT_CODE_PAGE } from './encoding.js';
+import { parseEscPos, CODE_PAGE_TABLES } from './escpos-parser.js';
+import { FONT_WIDTHS } from './profiles.js';
+import { FONTS, getFont, fontSafe, createStrip } from './bitmap.js';
+
+// A small ESC/POS interpreter that "prints" a byte stream onto a bitmap, for
+// previews. It understands the commands this service sends: alignment,
+// emphasis, underline, reverse printing, character size, fonts, code pages,
+// line feeds, raster images and cuts. Barcodes and QR codes are drawn as
+// placeholders of the right size since we don't encode them ourselves.
+
+// Default line spacing (ESC 2) is 1/6 inch, 30 dots at 203 dpi
+const DEFAULT_LINE_SPACING = 30;
+const CUT_HEIGHT = 24;
+const QR_MODULES = 25;
+
+const glyphs = new Map();
+
+// A character drawn in its font's cell, as one byte per dot
+async function getGlyph(fontName, char) {
+  const key = `${fontName}:${char}`;
+  if (!glyphs.has(key)) {
+    const font = await getFont(fontName);
+    const width = FONT_WIDTHS[fontName];
+    const height = FONTS[fontName].lineHeight;
+    const text = fontSafe(char, font);
+    const image = new Jimp({ width, height, color: 0xFFFFFFFF });
+    if (text.trim()) {
+      image.print({
+        font,
+        x: Math.floor((width - measureText(font, text)) / 2),
+        y: Math.max(0, Math.floor((height - font.common.lineHeight) / 2)),
+        text
+      });
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let i = 0; i < bits.length; i++) {
+      bits[i] = image.bitmap.data[i * 4] < 128 ? 1 : 0;
+    }
+    glyphs.set(key, { width, height, bits });
+  }
+  return glyphs.get(key);
+}
+
+function initialState() {
+  return {
+    align: 'left',
+    bold: false,
+    underline: 0,
+    invert: false,
+    scaleX: 1,
+    scaleY: 1,
+    font: 'A',
+    codePage: DEFAULT_CODE_PAGE,
+    lineSpacing: DEFAULT_LINE_SPACING,
+    barcodeHeight: 162,
+    barcodeWidth: 3,
+    hri: 0,
+    qrSize: 3,
+    qrData: null
+  };
+}
+
+// Left edge of something `width` dots wide on the current line
+function alignedLeft(align, width, dotWidth) {
+  if (align === 'center') {
+    return Math.max(0, Math.floor((dotWidth - width) / 2));
+  }
+  if (align === 'right') {
+    return Math.max(0, dotWidth - width);
+  }
+  return 0;
+}
+
+function fillRect(strip, left, top, width, height, value = 1) {
+  for (let y = Math.max(0, top); y < Math.min(strip.height, top + height); y++) {
+    for (let x = Math.max(0, left); x < Math.min(strip.width, left + width); x++) {
+      strip.bits[y * strip.width + x] = value;
+    }
+  }
+}
+
+// Cheap deterministic hash so placeholders look different for different data
+function hash(text, seed) {
+  let value = seed;
+  for (const char of text) {
+    value = Math.imul(value ^ char.charCodeAt(0), 0x5BD1E995) >>> 0;
+    value ^= value >>> 15;
+  }
+  return value;
+}
+
+export async function interpretEscPos(bytes, { dotWidth = 384 } = {}) {
+  const strips = [];
+  let state = initialState();
+  let line = [];
+
+  const lineWidth = () => line.reduce((sum, cell) => sum + cell.glyph.width * cell.scaleX, 0);
+
+  // Print the buffered line and advance the paper
+  const flushLine = () => {
+    const height = line.length
+      ? Math.max(...line.map(cell => cell.glyph.height * cell.scaleY))
+      : FONTS[state.font].lineHeight * state.scaleY;
+    const strip = createStrip(dotWidth, Math.max(state.lineSpacing, height));
+
+    let x = alignedLeft(state.align, lineWidth(), dotWidth);
+    for (const { glyph, scaleX, scaleY, bold, underline, invert } of line) {
+      // Characters of different sizes share a baseline
+      const top = height - glyph.height * scaleY;
+      // Reversed characters are drawn as white dots on a black cell
+      if (invert) {
+        fillRect(strip, x, top, glyph.width * scaleX, glyph.height * scaleY);
+      }
+      for (let gy = 0; gy < glyph.height; gy++) {
+        for (let gx = 0; gx < glyph.width; gx++) {
+          if (glyph.bits[gy * glyph.width + gx]) {
+            fillRect(strip, x + gx * scaleX, top + gy * scaleY, scaleX + (bold ? 1 : 0), scaleY, invert ? 0 : 1);
+          }
+        }
+      }
+      if (underline) {
+        fillRect(strip, x, height - underline, glyph.width * scaleX, underline, invert ? 0 : 1);
+      }
+      x += glyph.width * scaleX;
+    }
+
+    strips.push(strip);
+    line = [];
+  };
+
+  const feedDots = (dots) => {
+    if (dots > 0) {
+      strips.push(createStrip(dotWidth, dots));
+    }
+  };
+
+  const addChar = async (char) => {
+    const glyph = await getGlyph(state.font, char);
+    // Printers wrap to a new line when the next character doesn't fit
+    if (line.length && lineWidth() + glyph.width * state.scaleX > dotWidth) {
+      flushLine();
+    }
+    line.push({ glyph, scaleX: state.scaleX, scaleY: state.scaleY, bold: state.bold, underline: state.underline, invert: state.invert });
+  };
+
+  const drawRaster = (widthBytes, height, data) => {
+    const width = widthBytes * 8;
+    const strip = createStrip(dotWidth, height);
+    const left = alignedLeft(state.align, width, dotWidth);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width && left + x < dotWidth; x++) {
+        if (data[y * widthBytes + (x >> 3)] & (0x80 >> (x & 7))) {
+          strip.bits[y * dotWidth + left + x] = 1;
+        }
+      }
+    }
+    strips.push(strip);
+  };
+
+  const drawHri = async (text) => {
+    for (const char of text) {
+      await addChar(char);
+    }
+    flushLine();
+  };
+
+  const drawBarcode = async (text) => {
+    // Start and stop bars around 11 modules per character, like CODE128
+    const modules = [1, 1, 0, 1, 0, 0, 1, 0, 0, 0, 0];
+    for (const char of text) {
+      const value = hash(char, text.length);
+      modules.push(1, ...Array.from({ length: 9 }, (_, bit) => (value >> bit) & 1), 0);
+    }
+    modules.push(1, 1, 0, 0, 0, 1, 1, 1, 0, 1, 0, 1, 1);
+
+    const width = Math.min(dotWidth, modules.length * state.barcodeWidth);
+    const moduleWidth = width / modules.length;
+    if (state.hri === 1 || state.hri === 3) {
+      await drawHri(text);
+    }
+    const strip = createStrip(dotWidth, state.barcodeHeight);
+    const left = alignedLeft(state.align, width, dotWidth);
+    modules.forEach((bar, i) => {
+      if (bar) {
+        fillRect(strip, left + Math.floor(i * moduleWidth), 0, Math.max(1, Math.round(moduleWidth)), state.barcodeHeight);
+      }
+    });
+    strips.push(strip);
+    if (state.hri === 2 || state.hri === 3) {
+      await drawHri(text);
+    }
+  };
+
+  const drawQrCode = (text) => {
+    const size = QR_MODULES * state.qrSize;
+    const strip = createStrip(dotWidth, size);
+    const left = alignedLeft(state.align, size, dotWidth);
+    const module = (mx, my) => fillRect(strip, left + mx * state.qrSize, my * state.qrSize, state.qrSize, state.qrSize);
+    const isFinder = (mx, my) => (mx < 8 && my < 8) || (mx >= QR_MODULES - 8 && my < 8) || (mx < 8 && my >= QR_MODULES - 8);
+
+    for (const [fx, fy] of [[0, 0], [QR_MODULES - 7, 0], [0, QR_MODULES - 7]]) {
+      for (let y = 0; y < 7; y++) {
+        for (let x = 0; x < 7; x++) {
+          const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+          if (ring !== 2) {
+            module(fx + x, fy + y);
+          }
+        }
+      }
+    }
+    for (let my = 0; my < QR_MODULES; my++) {
+      for (let mx = 0; mx < QR_MODULES; mx++) {
+        if (!isFinder(mx, my) && hash(`${mx},${my}`, hash(text, 1)) & 1) {
+          module(mx, my);
+        }
+      }
+    }
+    strips.push(strip);
+  };
+
+  for (const token of parseEscPos(bytes)) {
+    if (token.type === 'text') {
+      for (const char of iconv.decode(token.bytes, state.codePage)) {
+        await addChar(char);
+      }
+      continue;
+    }
+    if (token.truncated) {
+      continue;
+    }
+
+    const command = token.bytes;
+    const n = command[2];
+    switch (token.name) {
+      case 'LF':
+        flushLine();
+        break;
+      case 'ESC @': // Initialize, discarding the unprinted line
+        state = initialState();
+        line = [];
+        break;
+      case 'ESC a':
+        state.align = ['left', 'center', 'right'][n % 48] || 'left';
+        break;
+      case 'ESC E':
+      case 'ESC G':
+        state.bold = Boolean(n & 1);
+        break;
+      case 'ESC -': // Underline, 1 or 2 dots thick
+        state.underline = n % 48;
+        break;
+      case 'ESC M':
+        state.font = n % 48 === 1 ? 'B' : 'A';
+        break;
+      case 'ESC !':
+        state.font = n & 0x01 ? 'B' : 'A';
+        state.bold = Boolean(n & 0x08);
+        state.scaleY = n & 0x10 ? 2 : 1;
+        state.scaleX = n & 0x20 ? 2 : 1;
+        state.underline = n & 0x80 ? 1 : 0;
+        break;
+      case 'ESC t':
+        state.codePage = CODE_PAGE_TABLES[n] || DEFAULT_CODE_PAGE;
+        break;
+      case 'ESC d': // Print and feed n lines
+        if (line.length) {
+          flushLine();
+        }
+        feedDots(n * state.lineSpacing);
+        break;
+      case 'ESC J': // Print and feed n dots
+        if (line.length) {
+          flushLine();
+        }
+        feedDots(n);
+        break;
+      case 'ESC 3':
+        state.lineSpacing = n;
+        break;
+      case 'ESC 2':
+        state.lineSpacing = DEFAULT_LINE_SPACING;
+        break;
+      case 'GS !':
+        state.scaleX = ((n >> 4) & 0x07) + 1;
+        state.scaleY = (n & 0x07) + 1;
+        break;
+      case 'GS B':
+        state.invert = Boolean(n & 1);
+        break;
+      case 'GS V':
+      case 'ESC i':
+      case 'ESC m': { // Cut, drawn as a dashed line
+        if (line.length) {
+          flushLine();
+        }
+        const strip = createStrip(dotWidth, CUT_HEIGHT);
+        for (let x = 0; x < dotWidth; x += 12) {
+          fillRect(strip, x, CUT_HEIGHT / 2, 6, 1);
+        }
+        strips.push(strip);
+        break;
+      }
+      case 'GS v 0':
+        if (line.length) {
+          flushLine();
+        }
+        drawRaster(command[4] | (command[5] << 8), command[6] | (command[7] << 8), command.subarray(8));
+        break;
+      case 'GS h':
+        state.barcodeHeight = n;
+        break;
+      case 'GS w':
+        state.barcodeWidth = n;
+        break;
+      case 'GS H':
+        state.hri = n % 48;
+        break;
+      case 'GS k': {
+        const data = n >= 65 ? command.subarray(4) : command.subarray(3, -1);
+        // CODE128 data starts with a code set selector such as {B
+        const text = data.toString('latin1').replace(/^\{[A-C]/, '').replace(/\{\{/g, '{');
+        if (line.length) {
+          flushLine();
+        }
+        await drawBarcode(text);
+        break;
+      }
+      case 'GS ( k': {
+        const fn = command[6];
+        if (fn === 0x43) {
+          state.qrSize = command[7];
+        } else if (fn === 0x50) {
+          state.qrData = command.subarray(8).toString('latin1');
+        } else if (fn === 0x51) {
+          if (line.length) {
+            flushLine();
+          }
+          drawQrCode(state.qrData || '');
+        }
+        break;
+      }
+      // Everything else (status queries, drawer pulses, ...) prints nothing
+    }
+  }
+
+  if (line.length) {
+    flushLine();
+  }
+
+  const height = strips.reduce((sum, strip) => sum + strip.height, 0);
+  const bits = new Uint8Array(dotWidth * height);
+  let offset = 0;
+  for (const strip of strips) {
+    bits.set(strip.bits, offset);
+    offset += strip.bits.length;
+  }
+  return { width: dotWidth, height, bits };
+}
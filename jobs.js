@@ -0,0 +1,97 @@
+import { randomUUID } from 'crypto';
+import { ServiceError } from './errors.js';
+
+export const JOB_STATUSES = ['queued', 'printing', 'done', 'failed', 'cancelled'];
+
+// How many finished jobs to remember for status polling
+const MAX_FINISHED_JOBS = 200;
+
+// Keeps track of every print job across all printers so clients can poll
+// or cancel them by ID
+export class JobStore {
+  constructor(maxFinished = MAX_FINISHED_JOBS) {
+    this.jobs = new Map();
+    this.maxFinished = maxFinished;
+  }
+
+  // Create a job record wrapping the function that does the printing
+  create(deviceId, type, run) {
+    const job = {
+      id: randomUUID(),
+      deviceId,
+      type,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      errorCode: null,
+      // Bytes sent to the printer so far, out of totalBytes when known
+      progress: { bytesWritten: 0, totalBytes: null },
+      run
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Async callers never await the result, so don't let a failure go unhandled
+    job.promise.catch(() => {});
+
+    this.jobs.set(job.id, job);
+    this.prune();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ deviceId, status } = {}) {
+    return [...this.jobs.values()].filter(job =>
+      (!deviceId || job.deviceId === deviceId) &&
+      (!status || job.status === status)
+    );
+  }
+
+  markPrinting(job) {
+    job.status = 'printing';
+    job.startedAt = new Date().toISOString();
+  }
+
+  markDone(job, result) {
+    job.status = 'done';
+    job.finishedAt = new Date().toISOString();
+    job.resolve(result);
+  }
+
+  markFailed(job, error) {
+    job.status = 'failed';
+    job.error = error.message;
+    job.errorCode = error instanceof ServiceError ? error.code : 'INTERNAL';
+    job.finishedAt = new Date().toISOString();
+    job.reject(error);
+  }
+
+  markCancelled(job) {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    job.reject(new ServiceError('JOB_CANCELLED', 'Job cancelled'));
+  }
+
+  // Drop the oldest finished jobs once there are too many
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinished))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Public view of a job, without the internal callbacks. Batch jobs also
+  // have the outcome of each item.
+  static serialize(job) {
+    const { id, deviceId, type, status, createdAt, startedAt, finishedAt, error, errorCode, progress, results } = job;
+    const view = { id, deviceId, type, status, createdAt, startedAt, finishedAt, error, errorCode, progress };
+    return results ? { ...view, results } : view;
+  }
+}
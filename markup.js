@@ -0,0 +1,179 @@
+import { ValidationError } from './errors.js';
+
+// A small markup for styling /print/text, compiled to document blocks:
+//
+//   <center><b>RECEIPT</b></center>
+//   <hr>
+//   Total: <2x>R10.00</2x>
+//   <inv> PAID </inv>
+//   <feed 3><cut>
+//
+// Inline tags style the text between them: <b> bold (ESC E), <u> underline
+// (ESC -), <inv> white on black (GS B) and <2x> to <8x> for larger
+// characters (GS !). They may be nested, and every style is reset at the
+// end of the text.
+//
+// <left>, <center> and <right> align whole lines (ESC a). A line takes the
+// alignment in effect at its first character.
+//
+// <hr>, <feed n> and <cut> stand on their own line: text before them ends
+// the line, and a line break straight after them is ignored.
+//
+// &lt;, &gt; and &amp; print <, > and &. A < followed by a space is plain
+// text, but one followed by a letter, digit or / has to be a tag: unknown
+// tags are an error, so a mistyped tag isn't printed.
+
+export const MARKUP_MODES = ['styled', 'plain'];
+
+const INLINE_TAGS = ['b', 'u', 'inv'];
+const ALIGN_TAGS = ['left', 'center', 'right'];
+const SIZE_TAG = /^([2-8])x$/;
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&amp;': '&' };
+
+// A tag, an entity, or something that looks like a tag but isn't one
+const TOKEN = /<(\/?)([a-z0-9]+)(?: +(\d+))?>|&(?:lt|gt|amp);|<\/?[a-z0-9][^<>\n]*>/gi;
+
+function markupError(message, text, index) {
+  const line = text.slice(0, index).split('\n').length;
+  return new ValidationError(`Invalid markup: ${message} on line ${line}`, [
+    { path: 'text', message: `${message} on line ${line}` }
+  ]);
+}
+
+// Compile markup to document blocks. In `plain` mode the inline styles are
+// dropped and only the layout is kept: alignment, rules, feeds and cuts.
+export function markupToBlocks(text, { mode = 'styled' } = {}) {
+  const blocks = [];
+  const styles = { b: 0, u: 0, inv: 0 };
+  const sizes = [];
+  const aligns = [];
+
+  let spans = [];
+  let lineAlign = null;
+  let skipBreak = false;
+
+  const style = () => {
+    if (mode === 'plain') {
+      return {};
+    }
+    const size = sizes.length ? sizes[sizes.length - 1] : 1;
+    return {
+      ...(styles.b ? { bold: true } : {}),
+      ...(styles.u ? { underline: true } : {}),
+      ...(styles.inv ? { invert: true } : {}),
+      ...(size > 1 ? { size } : {})
+    };
+  };
+
+  const addText = (value) => {
+    if (!value) {
+      return;
+    }
+    if (skipBreak && value.startsWith('\n')) {
+      value = value.slice(1);
+    }
+    skipBreak = false;
+    for (const [i, part] of value.split('\n').entries()) {
+      if (i > 0) {
+        endLine(true);
+      }
+      if (part) {
+        lineAlign = lineAlign || aligns[aligns.length - 1] || 'left';
+        spans.push({ text: part, ...style() });
+      }
+    }
+  };
+
+  // Lines go into one text block until the alignment changes or a block
+  // tag comes between them
+  const endLine = (explicit) => {
+    if (!spans.length && !explicit) {
+      return;
+    }
+    const align = lineAlign || aligns[aligns.length - 1] || 'left';
+    const last = blocks[blocks.length - 1];
+    const line = spans.length ? spans : [{ text: '' }];
+    if (last && last.type === 'text' && last.align === align) {
+      last.spans.push({ text: '\n' }, ...line);
+    } else {
+      blocks.push({ type: 'text', align, spans: line });
+    }
+    spans = [];
+    lineAlign = null;
+  };
+
+  const addBlock = (block) => {
+    endLine(false);
+    blocks.push(block);
+    skipBreak = true;
+  };
+
+  let index = 0;
+  for (const match of text.matchAll(TOKEN)) {
+    addText(text.slice(index, match.index));
+    index = match.index + match[0].length;
+
+    if (match[0].startsWith('&')) {
+      addText(ENTITIES[match[0].toLowerCase()]);
+      continue;
+    }
+    if (match[2] === undefined) {
+      throw markupError(`unknown tag ${match[0]} (write &lt; for a literal <)`, text, match.index);
+    }
+
+    const closing = match[1] === '/';
+    const name = match[2].toLowerCase();
+    const value = match[3];
+    const size = name.match(SIZE_TAG);
+
+    if (INLINE_TAGS.includes(name) || size) {
+      if (value !== undefined) {
+        throw markupError(`<${name}> takes no value`, text, match.index);
+      }
+      if (size) {
+        if (!closing) {
+          sizes.push(Number(size[1]));
+        } else if (sizes[sizes.length - 1] !== Number(size[1])) {
+          throw markupError(`</${name}> without <${name}>`, text, match.index);
+        } else {
+          sizes.pop();
+        }
+      } else if (!closing) {
+        styles[name]++;
+      } else if (styles[name] === 0) {
+        throw markupError(`</${name}> without <${name}>`, text, match.index);
+      } else {
+        styles[name]--;
+      }
+    } else if (ALIGN_TAGS.includes(name)) {
+      if (value !== undefined) {
+        throw markupError(`<${name}> takes no value`, text, match.index);
+      }
+      if (!closing) {
+        aligns.push(name);
+      } else if (aligns[aligns.length - 1] !== name) {
+        throw markupError(`</${name}> without <${name}>`, text, match.index);
+      } else {
+        aligns.pop();
+      }
+    } else if ((name === 'hr' || name === 'cut') && !closing && value !== undefined) {
+      throw markupError(`<${name}> takes no value`, text, match.index);
+    } else if (name === 'hr' && !closing) {
+      addBlock({ type: 'separator' });
+    } else if (name === 'feed' && !closing) {
+      const lines = value === undefined ? 1 : Number(value);
+      if (lines < 1 || lines > 255) {
+        throw markupError('<feed> takes 1 to 255 lines', text, match.index);
+      }
+      addBlock({ type: 'feed', lines });
+    } else if (name === 'cut' && !closing) {
+      addBlock({ type: 'cut' });
+    } else {
+      throw markupError(`unknown tag ${match[0]} (write &lt; for a literal <)`, text, match.index);
+    }
+  }
+  addText(text.slice(index));
+  endLine(false);
+
+  return blocks;
+}
@@ -0,0 +1,73 @@
+import { invalidField } from './errors.js';
+import { ESC } from './escpos.js';
+
+// Cash drawer kick (ESC p) and buzzer (ESC B) commands. Drawers plug into
+// the printer's DK port, which has two kick-out connectors: pin 2 for the
+// first drawer and pin 5 for the second.
+
+export const DRAWER_PINS = [2, 5];
+
+// ESC p counts pulse times in units of 2ms, up to 255 units
+export const PULSE_UNIT = 2;
+export const MAX_PULSE = 255 * PULSE_UNIT;
+
+// ESC B n t: beep n times (1-9), each lasting t x 50ms (1-9)
+export const BEEP_UNIT = 50;
+export const MAX_BEEPS = 9;
+export const MAX_BEEP_DURATION = 9 * BEEP_UNIT;
+
+// A 100ms pulse opens most drawers; the off time stops a second kick from
+// arriving while the solenoid is still releasing
+export const DEFAULT_DRAWER_KICK = { pin: 2, onTime: 100, offTime: 200 };
+export const DEFAULT_BEEP = { count: 1, duration: 100 };
+
+const isPulse = (value) => Number.isInteger(value) && value >= PULSE_UNIT && value <= MAX_PULSE;
+
+// Throws an "Invalid drawer" error for a pulse the printer can't send
+export function validateDrawerKick({ pin, onTime, offTime } = {}) {
+  if (pin !== undefined && !DRAWER_PINS.includes(pin)) {
+    throw invalidField('drawer', 'pin', `must be one of ${DRAWER_PINS.join(', ')}`);
+  }
+  if (onTime !== undefined && !isPulse(onTime)) {
+    throw invalidField('drawer', 'onTime', `must be between ${PULSE_UNIT} and ${MAX_PULSE}ms`);
+  }
+  if (offTime !== undefined && !isPulse(offTime)) {
+    throw invalidField('drawer', 'offTime', `must be between ${PULSE_UNIT} and ${MAX_PULSE}ms`);
+  }
+}
+
+// Throws an "Invalid beep" error for a pattern the buzzer can't play
+export function validateBeep({ count, duration } = {}) {
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1 && count <= MAX_BEEPS)) {
+    throw invalidField('beep', 'count', `must be between 1 and ${MAX_BEEPS}`);
+  }
+  if (duration !== undefined && !(Number.isInteger(duration) && duration >= BEEP_UNIT && duration <= MAX_BEEP_DURATION)) {
+    throw invalidField('beep', 'duration', `must be between ${BEEP_UNIT} and ${MAX_BEEP_DURATION}ms`);
+  }
+}
+
+// ESC p m t1 t2. Times are rounded to the printer's 2ms units.
+export function buildDrawerKick({ pin, onTime, offTime } = {}) {
+  const options = {
+    pin: pin === undefined ? DEFAULT_DRAWER_KICK.pin : pin,
+    onTime: onTime === undefined ? DEFAULT_DRAWER_KICK.onTime : onTime,
+    offTime: offTime === undefined ? DEFAULT_DRAWER_KICK.offTime : offTime
+  };
+  validateDrawerKick(options);
+  return Buffer.from([
+    ESC, 0x70,
+    options.pin === 5 ? 1 : 0,
+    Math.round(options.onTime / PULSE_UNIT),
+    Math.round(options.offTime / PULSE_UNIT)
+  ]);
+}
+
+// ESC B n t. The duration is rounded to the buzzer's 50ms units.
+export function buildBeep({ count, duration } = {}) {
+  const options = {
+    count: count === undefined ? DEFAULT_BEEP.count : count,
+    duration: duration === undefined ? DEFAULT_BEEP.duration : duration
+  };
+  validateBeep(options);
+  return Buffer.from([ESC, 0x42, options.count, Math.round(options.duration / BEEP_UNIT)]);
+}
@@ -0,0 +1,194 @@
+import { PaperOutError, CoverOpenError, PrinterStatusError } from './errors.js';
+import { DLE, EOT } from './escpos.js';
+
+// ESC/POS real-time status (DLE EOT n). The printer answers each query with a
+// single byte; which bits mean what depends on n.
+
+export const STATUS_PRINTER = 1; // Printer status
+export const STATUS_OFFLINE = 2; // Offline cause
+export const STATUS_ERROR = 3; // Error cause
+export const STATUS_PAPER = 4; // Paper roll sensor
+
+export const statusCommand = (n) => [DLE, EOT, n];
+
+// Every DLE EOT response has bits 1 and 4 set and bits 0 and 7 clear, which
+// lets us ignore unrelated bytes arriving on the same channel
+export const isStatusByte = (byte) => (byte & 0x93) === 0x12;
+
+export function parsePrinterStatus(byte) {
+  return {
+    drawerOpen: Boolean(byte & 0x04),
+    offline: Boolean(byte & 0x08),
+    waitingForRecovery: Boolean(byte & 0x20),
+    feedButtonPressed: Boolean(byte & 0x40)
+  };
+}
+
+export function parseOfflineStatus(byte) {
+  return {
+    coverOpen: Boolean(byte & 0x04),
+    feedingByButton: Boolean(byte & 0x08),
+    stoppedByPaperEnd: Boolean(byte & 0x20),
+    errorOccurred: Boolean(byte & 0x40)
+  };
+}
+
+export function parseErrorStatus(byte) {
+  return {
+    cutterError: Boolean(byte & 0x08),
+    unrecoverableError: Boolean(byte & 0x20),
+    autoRecoverableError: Boolean(byte & 0x40)
+  };
+}
+
+export function parsePaperStatus(byte) {
+  return {
+    paperNearEnd: Boolean(byte & 0x0C),
+    paperOut: Boolean(byte & 0x60)
+  };
+}
+
+// Combine the responses to DLE EOT 1-4 (in that order) into one status
+// object. Missing responses are passed as null and leave their fields null.
+export function parseStatusResponses(responses) {
+  const [printerByte = null, offlineByte = null, errorByte = null, paperByte = null] = responses;
+  if (printerByte === null) {
+    return { supported: false };
+  }
+
+  const printer = parsePrinterStatus(printerByte);
+  const offline = offlineByte === null ? null : parseOfflineStatus(offlineByte);
+  const error = errorByte === null ? null : parseErrorStatus(errorByte);
+  const paper = paperByte === null ? null : parsePaperStatus(paperByte);
+
+  return {
+    supported: true,
+    online: !printer.offline,
+    paperOut: paper || offline ? Boolean((paper && paper.paperOut) || (offline && offline.stoppedByPaperEnd)) : null,
+    paperNearEnd: paper ? paper.paperNearEnd : null,
+    coverOpen: offline ? offline.coverOpen : null,
+    // DLE EOT has no bit for either. Printers that stop when the head is too
+    // hot report it as an auto-recoverable error.
+    overheated: null,
+    lowBattery: null,
+    cutterError: error ? error.cutterError : null,
+    unrecoverableError: error ? error.unrecoverableError : null,
+    autoRecoverableError: error ? error.autoRecoverableError : null,
+    drawerOpen: printer.drawerOpen,
+    raw: responses.map(byte => (byte === null ? null : `0x${byte.toString(16).padStart(2, '0')}`))
+  };
+}
+
+// Returns why a job can't be printed in this status, or null if it can
+export function getBlockingReason(status) {
+  if (!status.supported) {
+    return null;
+  }
+  if (status.paperOut) {
+    return 'Printer is out of paper';
+  }
+  if (status.coverOpen) {
+    return 'Printer cover is open';
+  }
+  if (status.overheated) {
+    return 'Printer is overheated';
+  }
+  if (status.cutterError) {
+    return 'Printer cutter error';
+  }
+  if (status.unrecoverableError) {
+    return 'Printer has an unrecoverable error';
+  }
+  if (!status.online) {
+    return 'Printer is offline';
+  }
+  return null;
+}
+
+// The error a job fails with in this status, or null if it can print
+export function getBlockingError(status) {
+  const reason = getBlockingReason(status);
+  if (!reason) {
+    return null;
+  }
+  if (status.paperOut) {
+    return new PaperOutError(reason);
+  }
+  if (status.coverOpen) {
+    return new CoverOpenError(reason);
+  }
+  return new PrinterStatusError(reason);
+}
+
+// Sends DLE EOT queries and matches them with the bytes the printer sends
+// back (BLE notifications, serial or socket data). Queries run one at a
+// time because responses carry no indication of which query they answer.
+export class StatusReader {
+  constructor(write, timeout = 500) {
+    this.write = write;
+    this.timeout = timeout;
+    this.waiting = null;
+    this.lock = Promise.resolve();
+  }
+
+  // Feed bytes received from the printer
+  feed(data) {
+    for (const byte of data) {
+      if (this.waiting && isStatusByte(byte)) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve(byte);
+      }
+    }
+  }
+
+  // Send DLE EOT n and resolve with the response byte, or null on timeout
+  query(n) {
+    const run = async () => {
+      let timer;
+      let waiter;
+      const response = new Promise(resolve => {
+        waiter = (byte) => {
+          clearTimeout(timer);
+          resolve(byte);
+        };
+        timer = setTimeout(() => {
+          if (this.waiting === waiter) {
+            this.waiting = null;
+          }
+          resolve(null);
+        }, this.timeout);
+        this.waiting = waiter;
+      });
+
+      try {
+        await this.write(statusCommand(n));
+      } catch (error) {
+        clearTimeout(timer);
+        if (this.waiting === waiter) {
+          this.waiting = null;
+        }
+        throw error;
+      }
+      return response;
+    };
+
+    const result = this.lock.then(run);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  // Query all four status types. Printers that don't answer the first
+  // query are reported as not supporting status.
+  async readStatus() {
+    const responses = [await this.query(STATUS_PRINTER)];
+    if (responses[0] === null) {
+      return parseStatusResponses(responses);
+    }
+
+    for (const n of [STATUS_OFFLINE, STATUS_ERROR, STATUS_PAPER]) {
+      responses.push(await this.query(n));
+    }
+    return parseStatusResponses(responses);
+  }
+}
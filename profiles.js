@@ -0,0 +1,43 @@
+import { ValidationError, invalidField } from './errors.js';
+
+// Paper profiles. Font A is 12 dots wide and font B is 9, so the number of
+// characters per line follows from the printable width in dots.
+export const PROFILES = {
+  '58mm': { dotWidth: 384 },
+  '80mm': { dotWidth: 576 }
+};
+
+export const FONT_WIDTHS = { A: 12, B: 9 };
+
+export const DEFAULT_PROFILE = '58mm';
+
+// Throws an "Invalid profile" error for settings that can't be used
+export function validateProfile({ profile, dotWidth, font } = {}) {
+  if (profile !== undefined && profile !== 'custom' && !PROFILES[profile]) {
+    throw new ValidationError(`Invalid profile: must be one of ${[...Object.keys(PROFILES), 'custom'].join(', ')}`, [
+      { path: 'profile', message: `must be one of ${[...Object.keys(PROFILES), 'custom'].join(', ')}` }
+    ]);
+  }
+  if (profile === 'custom' && dotWidth === undefined) {
+    throw new ValidationError('Invalid profile: custom profiles need a dotWidth', [
+      { path: 'dotWidth', message: 'is required for custom profiles' }
+    ]);
+  }
+  if (dotWidth !== undefined && !(Number.isInteger(dotWidth) && dotWidth >= 96 && dotWidth <= 2048 && dotWidth % 8 === 0)) {
+    throw invalidField('profile', 'dotWidth', 'must be a multiple of 8 between 96 and 2048');
+  }
+  if (font !== undefined && !FONT_WIDTHS[font]) {
+    throw invalidField('profile', 'font', 'must be A or B');
+  }
+}
+
+// Resolve printer settings into the dot width, font and characters per line
+export function resolveProfile({ profile = DEFAULT_PROFILE, dotWidth, font = 'A' } = {}) {
+  const width = dotWidth || (PROFILES[profile] || PROFILES[DEFAULT_PROFILE]).dotWidth;
+  return {
+    profile,
+    dotWidth: width,
+    font,
+    lineWidth: Math.floor(width / FONT_WIDTHS[font])
+  };
+}
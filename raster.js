@@ -0,0 +1,147 @@
+import sharp from 'sharp';
+import { ValidationError, invalidField } from './errors.js';
+import { GS } from './escpos.js';
+
+export const DITHER_MODES = ['threshold', 'floyd-steinberg', 'atkinson'];
+export const DEFAULT_DITHER = 'floyd-steinberg';
+export const DEFAULT_THRESHOLD = 128;
+
+// Maximum number of rows sent in a single GS v 0 command. Most cheap printers
+// have a small receive buffer, so tall images are split into several bands.
+const BAND_HEIGHT = 128;
+
+// Accepts a Buffer, a base64 string or a data URL and returns the raw bytes
+export function decodeImageInput(input) {
+  if (Buffer.isBuffer(input)) {
+    return input;
+  }
+  if (typeof input !== 'string' || input.length === 0) {
+    throw new ValidationError('Invalid image: expected a base64 string or file upload', [
+      { path: 'image', message: 'expected a base64 string or file upload' }
+    ]);
+  }
+
+  const base64 = input.replace(/^data:image\/[a-z+.-]+;base64,/i, '').replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw new ValidationError('Invalid image: data is not valid base64', [{ path: 'image', message: 'is not valid base64' }]);
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+// Decode a PNG/JPEG, flatten transparency onto white and scale it down to the
+// printer width. Returns 8-bit greyscale pixels, one byte per pixel.
+export async function loadGreyscale(input, maxWidth) {
+  const buffer = decodeImageInput(input);
+
+  try {
+    const { data, info } = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize({ width: maxWidth, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return { pixels: data, width: info.width, height: info.height };
+  } catch (error) {
+    throw new ValidationError(`Invalid image: ${error.message}`, [{ path: 'image', message: error.message }]);
+  }
+}
+
+// Error diffusion kernels as [dx, dy, weight]
+const KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    taps: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+  },
+  // Atkinson only diffuses 6/8 of the error, which keeps highlights clean
+  atkinson: {
+    divisor: 8,
+    taps: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+  }
+};
+
+// Convert greyscale pixels into a 1-bit image. Returns one byte per pixel
+// where 1 means a black (burned) dot.
+export function dither(pixels, width, height, mode = DEFAULT_DITHER, threshold = DEFAULT_THRESHOLD) {
+  if (!DITHER_MODES.includes(mode)) {
+    throw invalidField('image', 'dither', `must be one of ${DITHER_MODES.join(', ')}`);
+  }
+
+  const bits = new Uint8Array(width * height);
+
+  if (mode === 'threshold') {
+    for (let i = 0; i < bits.length; i++) {
+      bits[i] = pixels[i] < threshold ? 1 : 0;
+    }
+    return bits;
+  }
+
+  const { divisor, taps } = KERNELS[mode];
+  const values = Float32Array.from(pixels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const oldValue = values[i];
+      const newValue = oldValue < threshold ? 0 : 255;
+      bits[i] = newValue === 0 ? 1 : 0;
+
+      const error = (oldValue - newValue) / divisor;
+      for (const [dx, dy, weight] of taps) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          values[ny * width + nx] += error * weight;
+        }
+      }
+    }
+  }
+
+  return bits;
+}
+
+// Pack one-byte-per-pixel bits into rows of MSB-first bytes
+export function packBits(bits, width, height) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const packed = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (bits[y * width + x]) {
+        packed[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { data: packed, bytesPerRow };
+}
+
+// Build GS v 0 raster commands for packed bitmap rows
+export function buildRasterCommands(data, bytesPerRow, height, bandHeight = BAND_HEIGHT) {
+  const commands = [];
+
+  for (let top = 0; top < height; top += bandHeight) {
+    const rows = Math.min(bandHeight, height - top);
+    commands.push(Buffer.from([
+      GS, 0x76, 0x30, 0x00,
+      bytesPerRow & 0xFF, (bytesPerRow >> 8) & 0xFF,
+      rows & 0xFF, (rows >> 8) & 0xFF
+    ]));
+    commands.push(data.subarray(top * bytesPerRow, (top + rows) * bytesPerRow));
+  }
+
+  return Buffer.concat(commands);
+}
+
+// Full pipeline: image input -> ESC/POS raster bytes
+export async function imageToRaster(input, { maxWidth, dither: mode = DEFAULT_DITHER, threshold = DEFAULT_THRESHOLD } = {}) {
+  const { pixels, width, height } = await loadGreyscale(input, maxWidth);
+  const bits = dither(pixels, width, height, mode, threshold);
+  const { data, bytesPerRow } = packBits(bits, width, height);
+
+  return {
+    width,
+    height,
+    buffer: buildRasterCommands(data, bytesPerRow, height)
+  };
+}
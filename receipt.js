@@ -0,0 +1,218 @@
+import { ValidationError, invalidField } from './errors.js';
+
+// Receipt arithmetic. The service works out line totals, discounts, tax,
+// payments and change from the items instead of trusting the client's
+// figures. Amounts are counted in the currency's minor units (cents) so
+// rounding happens once per line, discount and tax rate.
+//
+//   {
+//     items: [
+//       { name: 'Tea', qty: 2, unitPrice: 12.5, discount: { percent: 10 }, taxRate: 15 },
+//       { name: 'Scone', unitPrice: 18 }
+//     ],
+//     discounts: [{ name: 'Staff', percent: 5 }],
+//     tax: { rate: 15, inclusive: true, name: 'VAT' },
+//     payments: [{ method: 'Cash', amount: 100 }],
+//     total: 38.47
+//   }
+//
+// A discount is an amount or { percent }. Items without a taxRate use the
+// receipt's tax rate. Receipt discounts come off the subtotal and are shared
+// between the items by value, so each tax rate is charged on what was paid.
+
+export const DEFAULT_CURRENCY = 'ZAR';
+export const DEFAULT_LOCALE = 'en-ZA';
+
+export function isCurrency(value) {
+  return typeof value === 'string' && Intl.supportedValuesOf('currency').includes(value.toUpperCase());
+}
+
+export function isLocale(value) {
+  try {
+    return typeof value === 'string' && Intl.NumberFormat.supportedLocalesOf([value]).length === 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Printers can't show the no-break spaces Intl puts between digit groups
+const toPrintable = (text) => text.replace(/[\u00a0\u202f]/g, ' ');
+
+// Rounds an amount to minor units by moving the decimal point in the
+// number's own digits. 1.005 * 100 is 100.49999999999999 in floating point,
+// but 1.005e2 is 100.5, so it rounds to 101 cents as written.
+function shiftRound(value, digits) {
+  const [mantissa, exponent = '0'] = String(Number(value)).split('e');
+  return Math.round(Number(`${mantissa}e${Number(exponent) + digits}`));
+}
+
+// Formatting for one currency and locale. `money` includes the currency
+// symbol, `amount` is the plain number for item columns. Both take minor
+// units.
+export function createFormatter({ currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE } = {}) {
+  if (!isCurrency(currency)) {
+    throw new ValidationError(`Invalid receipt: ${currency} is not a currency code`, [
+      { path: 'currency', message: `${currency} is not a currency code` }
+    ]);
+  }
+  if (!isLocale(locale)) {
+    throw new ValidationError(`Invalid receipt: ${locale} is not a supported locale`, [
+      { path: 'locale', message: `${locale} is not a supported locale` }
+    ]);
+  }
+
+  const moneyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency: currency.toUpperCase() });
+  const digits = moneyFormat.resolvedOptions().maximumFractionDigits;
+  const amountFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const scale = 10 ** digits;
+
+  return {
+    digits,
+    toMinor: (value) => shiftRound(value, digits),
+    toMajor: (minor) => minor / scale,
+    money: (minor) => toPrintable(moneyFormat.format(minor / scale)),
+    amount: (minor) => toPrintable(amountFormat.format(minor / scale)),
+    quantity: (value) => toPrintable(new Intl.NumberFormat(locale, { maximumFractionDigits: 3 }).format(value))
+  };
+}
+
+export const percentLabel = (percent) => `${Number(percent)}%`;
+
+// A number from the request, which may be a numeric string. Templates get
+// data that hasn't been through the request schemas, so it's checked here.
+function numberAt(value, where, { min = -Infinity, positive = false } = {}) {
+  const result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof result !== 'number' || !Number.isFinite(result) || result < min || (positive && result <= 0)) {
+    const range = positive ? ' above 0' : min === 0 ? ' of at least 0' : '';
+    throw invalidField('receipt', where, `must be a number${range}`);
+  }
+  return result;
+}
+
+// A discount on `base` minor units: an amount or { percent }
+function discountOf(discount, base, toMinor, where) {
+  if (discount === undefined || discount === null) {
+    return 0;
+  }
+  if (typeof discount === 'object') {
+    const percent = numberAt(discount.percent, `${where}.percent`, { min: 0 });
+    if (percent > 100) {
+      throw invalidField('receipt', `${where}.percent`, 'must be at most 100');
+    }
+    return Math.round(base * percent / 100);
+  }
+  return toMinor(numberAt(discount, where, { min: 0 }));
+}
+
+// Split `total` minor units between `weights`, by largest remainder so the
+// shares add up exactly
+function allocate(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  if (sum === 0) {
+    return weights.map(() => 0);
+  }
+  const exact = weights.map(weight => total * weight / sum);
+  const shares = exact.map(Math.floor);
+  let left = total - shares.reduce((a, b) => a + b, 0);
+  const order = exact.map((value, i) => [value - shares[i], i]).sort((a, b) => b[0] - a[0]);
+  for (let k = 0; left > 0; k++, left--) {
+    shares[order[k % order.length][1]]++;
+  }
+  return shares;
+}
+
+// Work out a receipt's figures, in minor units. Throws an "Invalid receipt"
+// error when the numbers don't add up, including a `total` that differs
+// from the computed one.
+export function computeReceipt({ items, discounts = [], tax = {}, payments = [], total }, format) {
+  const { toMinor } = format;
+  const defaultRate = tax.rate === undefined ? 0 : numberAt(tax.rate, 'tax.rate', { min: 0 });
+  const inclusive = tax.inclusive === true;
+
+  const lines = items.map((item, i) => {
+    // `price` is the unit price of receipts from before quantities existed
+    const unitPrice = item.unitPrice !== undefined
+      ? toMinor(numberAt(item.unitPrice, `items[${i}].unitPrice`))
+      : toMinor(numberAt(item.price, `items[${i}].price`));
+    const qty = item.qty === undefined ? 1 : numberAt(item.qty, `items[${i}].qty`, { positive: true });
+    const gross = Math.round(unitPrice * qty);
+    const discount = discountOf(item.discount, gross, toMinor, `items[${i}].discount`);
+    if (discount > gross) {
+      throw invalidField('receipt', `items[${i}].discount`, 'is more than the item costs');
+    }
+    return {
+      name: item.name,
+      qty,
+      unitPrice,
+      gross,
+      discount,
+      discountPercent: item.discount && typeof item.discount === 'object' ? Number(item.discount.percent) : null,
+      net: gross - discount,
+      taxRate: item.taxRate === undefined ? defaultRate : numberAt(item.taxRate, `items[${i}].taxRate`, { min: 0 })
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.net, 0);
+
+  // Receipt discounts apply one after the other, each to what is left
+  let remaining = subtotal;
+  const receiptDiscounts = discounts.map((discount, i) => {
+    if ((discount.amount === undefined) === (discount.percent === undefined)) {
+      throw invalidField('receipt', `discounts[${i}]`, 'needs either amount or percent');
+    }
+    const amount = discount.percent !== undefined
+      ? discountOf({ percent: discount.percent }, remaining, toMinor, `discounts[${i}]`)
+      : discountOf(discount.amount, remaining, toMinor, `discounts[${i}].amount`);
+    if (amount > remaining) {
+      throw invalidField('receipt', `discounts[${i}]`, 'is more than what is left to pay');
+    }
+    remaining -= amount;
+    return {
+      name: discount.name || (discount.percent !== undefined ? `Discount ${percentLabel(discount.percent)}` : 'Discount'),
+      amount
+    };
+  });
+
+  // Tax per rate, on each item's share of the discounted subtotal
+  const shares = allocate(subtotal - remaining, lines.map(line => line.net));
+  const bases = new Map();
+  lines.forEach((line, i) => bases.set(line.taxRate, (bases.get(line.taxRate) || 0) + line.net - shares[i]));
+  const taxes = [...bases.entries()]
+    .filter(([rate]) => rate > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([rate, base]) => ({
+      rate,
+      base,
+      amount: inclusive ? base - Math.round(base / (1 + rate / 100)) : Math.round(base * rate / 100)
+    }));
+
+  const taxTotal = taxes.reduce((sum, entry) => sum + entry.amount, 0);
+  const computedTotal = inclusive ? remaining : remaining + taxTotal;
+
+  if (total !== undefined && toMinor(numberAt(total, 'total')) !== computedTotal) {
+    throw new ValidationError(
+      `Invalid receipt: total ${format.amount(toMinor(Number(total)))} does not match the computed total ${format.amount(computedTotal)}`,
+      [{ path: 'total', message: `expected ${format.toMajor(computedTotal)}` }]
+    );
+  }
+
+  const paid = payments.map((payment, i) => ({
+    method: payment.method || 'Payment',
+    amount: toMinor(numberAt(payment.amount, `payments[${i}].amount`, { positive: true }))
+  }));
+  const tendered = paid.reduce((sum, payment) => sum + payment.amount, 0);
+
+  return {
+    lines,
+    subtotal,
+    discounts: receiptDiscounts,
+    taxName: tax.name || 'Tax',
+    inclusive,
+    taxes,
+    total: computedTotal,
+    payments: paid,
+    tendered,
+    change: paid.length > 0 ? Math.max(0, tendered - computedTotal) : 0,
+    due: paid.length > 0 ? Math.max(0, computedTotal - tendered) : 0
+  };
+}
@@ -0,0 +1,472 @@
+import { z } from 'zod';
+import { ValidationError } from './errors.js';
+import { CODE_PAGES, isCodePage } from './encoding.js';
+import { DITHER_MODES } from './raster.js';
+import { TRANSPORT_TYPES } from './transports.js';
+import { DRIVERS, validateDriverSettings } from './catprinter.js';
+import { validateProfile } from './profiles.js';
+import { validateBarcode, validateQrCode } from './barcode.js';
+import { DRAWER_PINS, PULSE_UNIT, MAX_PULSE, BEEP_UNIT, MAX_BEEPS, MAX_BEEP_DURATION } from './peripherals.js';
+import { PAYLOAD_ENCODINGS } from './escpos-parser.js';
+import { TEMPLATES } from './templates.js';
+import { JOB_STATUSES } from './jobs.js';
+import { isCurrency, isLocale } from './receipt.js';
+import { markupToBlocks, MARKUP_MODES } from './markup.js';
+
+// Request body schemas for every route that takes a body. The deeper checks
+// (documents, barcodes, profiles) are done by the same validators the
+// printing code uses, and reported against the field they belong to.
+
+const ALIGNS = ['left', 'center', 'right'];
+export const RAW_VALIDATION_MODES = ['reject', 'strip'];
+
+const deviceId = z.string().min(1, 'Device ID is required');
+const codePage = z.string().refine(isCodePage, `must be one of ${Object.keys(CODE_PAGES).join(', ')}`);
+
+// Multipart fields and query strings send booleans and numbers as strings
+const flag = z.preprocess(
+  value => (value === 'true' ? true : value === 'false' ? false : value),
+  z.boolean({ invalid_type_error: 'must be true or false' })
+);
+const number = (schema) => z.preprocess(
+  value => (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value),
+  schema
+);
+
+// Money may be sent as a number or a numeric string
+export const amount = number(z.number({ invalid_type_error: 'must be a number' }).finite());
+
+// Run one of the shared validators and report what it throws on `path`
+const check = (validate, path) => (value, ctx) => {
+  try {
+    validate(value);
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path, message: error.message });
+  }
+};
+
+const printOptions = {
+  deviceId,
+  async: flag.optional()
+};
+
+// Copies of a print job, sent to the printer as one job
+export const MAX_COPIES = 100;
+const copies = number(z.number().int().min(1).max(MAX_COPIES));
+
+const qrOptions = z.object({
+  data: z.string().min(1),
+  size: z.number().int().optional(),
+  errorCorrection: z.string().optional()
+}).passthrough();
+
+const barcodeOptions = z.object({
+  type: z.string().min(1),
+  data: z.string().min(1),
+  height: z.number().int().optional(),
+  width: z.number().int().optional(),
+  hri: z.string().optional()
+}).passthrough();
+
+// Pulse times and beep durations are in milliseconds
+const pulse = z.number().int().min(PULSE_UNIT).max(MAX_PULSE);
+
+const drawerOptions = z.object({
+  pin: z.number().refine(pin => DRAWER_PINS.includes(pin), `must be one of ${DRAWER_PINS.join(', ')}`).optional(),
+  onTime: pulse.optional(),
+  offTime: pulse.optional()
+});
+
+const beepOptions = z.object({
+  count: z.number().int().min(1).max(MAX_BEEPS).optional(),
+  duration: z.number().int().min(BEEP_UNIT).max(MAX_BEEP_DURATION).optional()
+});
+
+// Receipt amounts, calculated by receipt.js. Discounts are an amount or
+// { percent }.
+const currency = z.string().refine(isCurrency, 'must be an ISO 4217 currency code like ZAR');
+const locale = z.string().refine(isLocale, 'must be a supported locale like en-ZA');
+const rate = number(z.number().min(0));
+const percent = number(z.number().min(0).max(100));
+
+const discount = z.union([amount.pipe(z.number().min(0)), z.object({ percent })], {
+  errorMap: () => ({ message: 'must be an amount or { percent }' })
+});
+
+const receiptItem = z.object({
+  name: z.string(),
+  qty: number(z.number().positive()).optional(),
+  unitPrice: amount.optional(),
+  price: amount.optional(),
+  discount: discount.optional(),
+  taxRate: rate.optional()
+}).passthrough().refine(item => item.unitPrice !== undefined || item.price !== undefined, {
+  message: 'Unit price is required',
+  path: ['unitPrice']
+});
+
+const receiptDiscount = z.object({
+  name: z.string().optional(),
+  amount: amount.pipe(z.number().min(0)).optional(),
+  percent: percent.optional()
+}).refine(entry => (entry.amount === undefined) !== (entry.percent === undefined), 'needs either amount or percent');
+
+const logo = z.union([
+  z.string().min(1),
+  z.object({
+    image: z.string().min(1),
+    dither: z.enum(DITHER_MODES).optional(),
+    threshold: number(z.number().min(0).max(255)).optional()
+  }).passthrough()
+]);
+
+// The fields of a receipt, shared by /print/receipt, the receipt template
+// and /preview
+export const receiptFields = z.object({
+  title: z.string().min(1, 'Title is required'),
+  items: z.array(receiptItem),
+  discounts: z.array(receiptDiscount).optional(),
+  tax: z.object({
+    rate: rate.optional(),
+    inclusive: z.boolean().optional(),
+    name: z.string().min(1).optional()
+  }).optional(),
+  payments: z.array(z.object({
+    method: z.string().min(1),
+    amount: amount.pipe(z.number().positive())
+  })).optional(),
+  // Checked against the computed total when given
+  total: amount.optional(),
+  currency: currency.optional(),
+  locale: locale.optional(),
+  schoolName: z.string().optional(),
+  footer: z.string().optional(),
+  saleDate: z.string().optional(),
+  logo: logo.optional(),
+  qr: z.union([z.string().min(1), qrOptions]).optional(),
+  barcode: barcodeOptions.optional(),
+  openDrawer: z.union([z.boolean(), drawerOptions], { errorMap: () => ({ message: 'must be true, false or drawer options' }) }).optional(),
+  beep: z.union([z.boolean(), beepOptions], { errorMap: () => ({ message: 'must be true, false or beep options' }) }).optional()
+}).passthrough().superRefine((receipt, ctx) => {
+  if (receipt.qr) {
+    const qr = typeof receipt.qr === 'string' ? { data: receipt.qr } : receipt.qr;
+    check(() => validateQrCode(qr.data, qr), ['qr'])(null, ctx);
+  }
+  if (receipt.barcode) {
+    check(() => validateBarcode(receipt.barcode.type, receipt.barcode.data, receipt.barcode), ['barcode'])(null, ctx);
+  }
+});
+
+const profileFields = {
+  profile: z.string().optional(),
+  dotWidth: z.number().int().optional(),
+  font: z.string().optional()
+};
+
+const checkProfile = (body, ctx) => check(validateProfile, ['profile'])(body, ctx);
+
+export const connectBody = z.object({
+  deviceId: z.string().min(1).optional(),
+  transport: z.enum(TRANSPORT_TYPES).optional(),
+  path: z.string().min(1).optional(),
+  baudRate: number(z.number().int().positive()).optional(),
+  host: z.string().min(1).optional(),
+  port: number(z.number().int().min(1).max(65535)).optional(),
+  codePage: codePage.optional(),
+  codeTable: z.number().int().min(0).max(255).optional(),
+  ...profileFields,
+  driver: z.enum(DRIVERS).optional(),
+  energy: z.number().int().min(0).max(0xFFFF).optional(),
+  speed: z.number().int().min(1).max(255).optional()
+}).superRefine((body, ctx) => {
+  if (body.transport === 'serial' && !body.path) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['path'], message: 'Serial port path is required' });
+  }
+  if (body.transport === 'tcp' && !body.host) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['host'], message: 'Host is required' });
+  }
+  if (!body.deviceId && body.transport !== 'serial' && body.transport !== 'tcp') {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['deviceId'], message: 'Device ID is required' });
+  }
+  checkProfile(body, ctx);
+  check(validateDriverSettings, ['driver'])(body, ctx);
+});
+
+// Text, optionally with markup (see markup.js)
+const textFields = {
+  text: z.string().min(1, 'Text is required'),
+  markup: z.enum(MARKUP_MODES).optional()
+};
+
+const checkMarkup = (body, ctx) => {
+  if (body.markup) {
+    check(() => markupToBlocks(body.text, { mode: body.markup }), ['text'])(body, ctx);
+  }
+};
+
+export const printTextBody = z.object({
+  ...printOptions,
+  ...textFields,
+  codePage: codePage.optional(),
+  copies: copies.optional()
+}).superRefine(checkMarkup);
+
+export const printReceiptBody = receiptFields.and(z.object({
+  ...printOptions,
+  codePage: codePage.optional(),
+  copies: copies.optional()
+}));
+
+// POST /print/batch: text and receipt items, each checked against the
+// fields of its own route
+export const BATCH_ITEM_TYPES = ['text', 'receipt'];
+export const BATCH_ERROR_POLICIES = ['stop', 'continue'];
+export const MAX_BATCH_ITEMS = 100;
+
+const BATCH_ITEM_FIELDS = {
+  text: z.object(textFields).superRefine(checkMarkup),
+  receipt: receiptFields
+};
+
+const batchItem = z.object({
+  type: z.enum(BATCH_ITEM_TYPES),
+  copies: copies.optional(),
+  codePage: codePage.optional()
+}).passthrough().transform((item, ctx) => {
+  const result = BATCH_ITEM_FIELDS[item.type].safeParse(item);
+  if (!result.success) {
+    result.error.issues.forEach(issue => ctx.addIssue(issue));
+    return z.NEVER;
+  }
+  return { ...item, ...result.data };
+});
+
+export const printBatchBody = z.object({
+  ...printOptions,
+  items: z.array(batchItem).min(1, 'At least one item is required').max(MAX_BATCH_ITEMS),
+  cut: flag.default(true),
+  onError: z.enum(BATCH_ERROR_POLICIES).default('stop')
+});
+
+// Multipart uploads send the image as a file instead of the `image` field
+export const printImageBody = z.object({
+  ...printOptions,
+  image: z.string().min(1).optional(),
+  dither: z.enum(DITHER_MODES).default('floyd-steinberg'),
+  threshold: number(z.number().min(0).max(255)).optional(),
+  align: z.enum(ALIGNS).default('center'),
+  cut: flag.default(true),
+  copies: copies.optional()
+});
+
+export const printDocumentBody = z.object({
+  ...printOptions,
+  template: z.enum(Object.keys(TEMPLATES)).optional(),
+  data: z.object({}).passthrough().optional(),
+  blocks: z.array(z.any()).optional(),
+  lineWidth: z.number().int().positive().optional(),
+  codePage: codePage.optional(),
+  copies: copies.optional()
+}).superRefine((body, ctx) => {
+  if (!body.template && !body.blocks) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['blocks'], message: 'Blocks or template are required' });
+  }
+});
+
+export const printBarcodeBody = barcodeOptions.extend({
+  ...printOptions,
+  align: z.enum(ALIGNS).default('center'),
+  cut: flag.default(true),
+  copies: copies.optional()
+}).superRefine((body, ctx) => check(() => validateBarcode(body.type, body.data, body), ['data'])(body, ctx));
+
+export const printQrBody = qrOptions.extend({
+  ...printOptions,
+  align: z.enum(ALIGNS).default('center'),
+  cut: flag.default(true),
+  copies: copies.optional()
+}).superRefine((body, ctx) => check(() => validateQrCode(body.data, body), ['data'])(body, ctx));
+
+export const drawerBody = drawerOptions.and(z.object({ ...printOptions }));
+
+export const beepBody = beepOptions.and(z.object({ ...printOptions }));
+
+export const printRawBody = z.object({
+  deviceId: z.string().min(1).optional(),
+  async: flag.optional(),
+  data: z.string().min(1, 'Data is required'),
+  encoding: z.enum(PAYLOAD_ENCODINGS).default('base64'),
+  validate: z.enum(RAW_VALIDATION_MODES).optional(),
+  dryRun: flag.optional(),
+  copies: copies.optional()
+});
+
+export const previewBody = z.object({
+  type: z.enum(['text', 'receipt', 'document']).optional(),
+  deviceId: z.string().min(1).optional(),
+  codePage: codePage.optional(),
+  ...profileFields,
+  driver: z.enum(DRIVERS).optional()
+}).passthrough().superRefine((body, ctx) => {
+  checkProfile(body, ctx);
+  check(validateDriverSettings, ['driver'])(body, ctx);
+});
+
+// For /jobs/resume and /disconnect, where the device is optional
+export const optionalDeviceBody = z.object({
+  deviceId: z.string().min(1).optional()
+});
+
+// GET /history filters. Dates may be full timestamps or YYYY-MM-DD, which
+// covers the whole day in the service's local time.
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const historyDate = (endOfDay) => z.string()
+  .refine(value => !Number.isNaN(Date.parse(value)), 'must be a date or timestamp')
+  .transform(value => {
+    if (!DATE_ONLY.test(value)) {
+      return new Date(value).toISOString();
+    }
+    const date = new Date(`${value}T00:00:00`);
+    if (endOfDay) {
+      date.setDate(date.getDate() + 1);
+      date.setMilliseconds(-1);
+    }
+    return date.toISOString();
+  });
+
+export const historyQuery = z.object({
+  from: historyDate(false).optional(),
+  to: historyDate(true).optional(),
+  status: z.enum(JOB_STATUSES).optional(),
+  deviceId: z.string().min(1).optional(),
+  type: z.string().min(1).optional(),
+  client: z.string().min(1).optional(),
+  limit: number(z.number().int().positive()).optional()
+});
+
+// POST /history/:id/reprint prints on the original printer unless another
+// one is given
+export const reprintBody = z.object({
+  deviceId: z.string().min(1).optional(),
+  async: flag.optional()
+});
+
+// POST /virtual/simulate. Only the fields sent are changed.
+export const virtualSimulateBody = z.object({
+  deviceId,
+  paperOut: z.boolean().optional(),
+  paperNearEnd: z.boolean().optional(),
+  coverOpen: z.boolean().optional(),
+  cutterError: z.boolean().optional(),
+  offline: z.boolean().optional(),
+  answerStatus: z.boolean().optional(),
+  writeRate: z.number().positive().nullable().optional(),
+  failWrites: z.boolean().optional(),
+  unreachable: z.boolean().optional(),
+  disconnect: z.boolean().optional()
+});
+
+// Service configuration (see config.js). Every group is strict so a typo in
+// the config file is reported instead of ignored.
+const uuid = z.string().regex(/^([0-9a-f]{4}|[0-9a-f]{32}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i, 'must be a 16-bit or 128-bit UUID');
+const milliseconds = number(z.number().int().positive());
+
+export const configSchema = z.object({
+  server: z.object({
+    port: number(z.number().int().min(1).max(65535)),
+    host: z.string().min(1)
+  }).strict(),
+  printer: z.object({
+    name: z.string().min(1),
+    serviceUuid: uuid,
+    characteristicUuid: uuid
+  }).strict(),
+  bluetooth: z.object({
+    adapter: z.string().regex(/^hci\d+$/, 'must be an adapter name like hci0'),
+    scanTimeout: milliseconds,
+    chunkSize: number(z.number().int().min(20).max(512)),
+    writeRate: number(z.number().int().positive()),
+    writeBurst: number(z.number().int().positive())
+  }).strict(),
+  status: z.object({
+    timeout: milliseconds,
+    pollInterval: milliseconds
+  }).strict(),
+  reconnect: z.object({
+    baseDelay: milliseconds,
+    maxDelay: milliseconds,
+    maxAttempts: number(z.number().int().min(0))
+  }).strict(),
+  events: z.object({
+    progressInterval: milliseconds,
+    heartbeat: milliseconds
+  }).strict(),
+  history: z.object({
+    file: z.string().min(1),
+    retentionDays: number(z.number().int().positive()),
+    maxEntries: number(z.number().int().positive()),
+    maxPayloadBytes: number(z.number().int().min(0))
+  }).strict(),
+  receipt: z.object({
+    currency,
+    locale
+  }).strict(),
+  savedPrinterFile: z.string().min(1)
+}).strict();
+
+// Settings naming files the service writes to. They can only be set in
+// the config file or environment, so a client can't point the service at
+// any path on the machine.
+export const FILE_SETTINGS = ['history.file', 'savedPrinterFile'];
+
+// The config file and PUT /config may set any subset of the settings,
+// except that PUT /config can't change the file paths
+export const configUpdate = configSchema.deepPartial().refine(
+  body => Object.keys(body).length > 0,
+  'No settings to change'
+).superRefine((body, ctx) => {
+  for (const setting of FILE_SETTINGS) {
+    const path = setting.split('.');
+    if (path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), body) !== undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path, message: 'can only be set in the config file or environment' });
+    }
+  }
+});
+
+const formatPath = (path) => path.reduce(
+  (text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key),
+  ''
+);
+
+// A ValidationError listing every field that failed, reported as an
+// invalid `subject`
+export function toValidationError(zodError, subject = 'request') {
+  const details = zodError.issues.map(issue => ({
+    path: formatPath(issue.path),
+    message: issue.code === z.ZodIssueCode.invalid_type && issue.received === 'undefined' ? 'Required' : issue.message
+  }));
+  const [first] = details;
+  const more = details.length > 1 ? ` (and ${details.length - 1} more)` : '';
+  return new ValidationError(`Invalid ${subject}: ${first.path ? `${first.path}: ` : ''}${first.message}${more}`, details);
+}
+
+// Validate a value, returning the parsed data (with defaults filled in)
+export function parse(schema, value) {
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    throw toValidationError(result.error);
+  }
+  return result.data;
+}
+
+// Middleware replacing req.body with the parsed body
+export function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      req.body = parse(schema, req.body || {});
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,193 @@
+import { ValidationError, invalidField } from './errors.js';
+import { transliterate } from './encoding.js';
+import { createFormatter, computeReceipt, percentLabel } from './receipt.js';
+import { markupToBlocks, MARKUP_MODES } from './markup.js';
+
+// Built-in document templates. Each one turns request data into a document
+// for renderDocument, laid out for the code page it will print in.
+
+const SEPARATOR = { type: 'separator' };
+
+// A row with the label on the left and an amount on the right. Text is
+// word wrapped, so indents are an empty column.
+const INDENT = { text: '', width: 2 };
+const amountRow = (label, amount, width, { indent = false, ...extra } = {}) => ({
+  type: 'row',
+  ...extra,
+  columns: [...(indent ? [INDENT] : []), { text: label }, { text: amount, width, align: 'right' }]
+});
+
+export function receiptTemplate({
+  title, items, total, schoolName, footer, saleDate, logo, qr, barcode, openDrawer, beep,
+  discounts, tax, payments, currency, locale
+}, { codePage } = {}) {
+  if (!title || !Array.isArray(items)) {
+    throw new ValidationError('Invalid document: receipt needs title and items', [
+      ...(title ? [] : [{ path: 'title', message: 'Required' }]),
+      ...(Array.isArray(items) ? [] : [{ path: 'items', message: 'must be an array' }])
+    ]);
+  }
+
+  // Throws an "Invalid receipt" error when the figures don't add up
+  const format = createFormatter({ currency, locale });
+  const receipt = computeReceipt({ items, discounts, tax, payments, total }, format);
+  const minus = (value) => format.amount(-value);
+
+  // The amount column fits the longest amount on the receipt, as printed
+  // in the code page (a euro sign may print as EUR)
+  const amounts = [
+    format.money(receipt.total), format.amount(receipt.subtotal), format.amount(receipt.tendered),
+    ...receipt.lines.map(line => format.amount(line.gross))
+  ];
+  const width = Math.max(10, ...amounts.map(text => transliterate(text, codePage).length + 1));
+
+  const blocks = [];
+
+  // The logo may be a plain base64 string or { image, dither, threshold }
+  if (logo) {
+    blocks.push({ type: 'image', align: 'center', ...(typeof logo === 'string' ? { image: logo } : logo) });
+    blocks.push({ type: 'feed', lines: 1 });
+  }
+
+  if (schoolName) {
+    blocks.push({ type: 'text', text: schoolName, align: 'center' });
+    blocks.push({ ...SEPARATOR, align: 'center' });
+  }
+
+  blocks.push({ type: 'text', text: title, align: 'center' });
+  blocks.push({ ...SEPARATOR, align: 'center' });
+
+  if (saleDate) {
+    blocks.push({ type: 'text', text: saleDate, align: 'center' });
+    blocks.push({ ...SEPARATOR, align: 'center' });
+  }
+
+  // Each item shows what it costs before its discount, with the quantity
+  // and unit price underneath when there's more than one
+  for (const line of receipt.lines) {
+    blocks.push(amountRow(line.name, format.amount(line.gross), width));
+    if (line.qty !== 1) {
+      blocks.push({ type: 'row', columns: [INDENT, { text: `${format.quantity(line.qty)} x ${format.amount(line.unitPrice)}` }] });
+    }
+    if (line.discount > 0) {
+      const label = line.discountPercent === null ? 'Discount' : `Discount ${percentLabel(line.discountPercent)}`;
+      blocks.push(amountRow(label, minus(line.discount), width, { indent: true }));
+    }
+  }
+
+  blocks.push(SEPARATOR);
+  const adjusted = receipt.discounts.length > 0 || (receipt.taxes.length > 0 && !receipt.inclusive);
+  if (adjusted) {
+    blocks.push(amountRow('Subtotal', format.amount(receipt.subtotal), width));
+  }
+  for (const discount of receipt.discounts) {
+    blocks.push(amountRow(discount.name, minus(discount.amount), width));
+  }
+  if (!receipt.inclusive) {
+    for (const entry of receipt.taxes) {
+      blocks.push(amountRow(`${receipt.taxName} ${percentLabel(entry.rate)}`, format.amount(entry.amount), width));
+    }
+  }
+  blocks.push(amountRow('TOTAL', format.money(receipt.total), width, { bold: true }));
+  // Tax included in the prices is shown for the record, below the total
+  if (receipt.inclusive) {
+    for (const entry of receipt.taxes) {
+      blocks.push(amountRow(`Incl. ${receipt.taxName} ${percentLabel(entry.rate)}`, format.amount(entry.amount), width));
+    }
+  }
+
+  if (receipt.payments.length > 0) {
+    blocks.push(SEPARATOR);
+    for (const payment of receipt.payments) {
+      blocks.push(amountRow(payment.method, format.amount(payment.amount), width));
+    }
+    if (receipt.due > 0) {
+      blocks.push(amountRow('Balance due', format.money(receipt.due), width, { bold: true }));
+    } else {
+      blocks.push(amountRow('Change', format.money(receipt.change), width));
+    }
+  }
+
+  if (footer) {
+    blocks.push(SEPARATOR);
+    blocks.push({ type: 'text', text: footer, align: 'center' });
+  }
+
+  if (barcode) {
+    const { type, ...options } = barcode;
+    blocks.push({ ...options, type: 'barcode', symbology: type });
+  }
+
+  // The QR code may be a plain string or { data, size, errorCorrection }
+  if (qr) {
+    blocks.push({ type: 'qr', ...(typeof qr === 'string' ? { data: qr } : qr) });
+  }
+
+  blocks.push({ type: 'feed', lines: 2 });
+  blocks.push({ type: 'cut' });
+
+  // A cash sale opens the drawer once the receipt is cut. Both may be true
+  // for the defaults, or the options of a drawer or beep block.
+  if (openDrawer) {
+    blocks.push({ ...(openDrawer === true ? {} : openDrawer), type: 'drawer' });
+  }
+  if (beep) {
+    blocks.push({ ...(beep === true ? {} : beep), type: 'beep' });
+  }
+
+  return { blocks };
+}
+
+// Plain text, fed out and cut. With `markup` the text is styled with the
+// tags in markup.js, or in `plain` mode only laid out by them.
+export function textTemplate({ text, markup }) {
+  if (typeof text !== 'string' || !text) {
+    throw new ValidationError('Invalid document: text template needs text', [{ path: 'text', message: 'Required' }]);
+  }
+  if (markup !== undefined && !MARKUP_MODES.includes(markup)) {
+    throw invalidField('document', 'markup', `must be one of ${MARKUP_MODES.join(', ')}`);
+  }
+  if (!markup) {
+    return {
+      blocks: [
+        { type: 'text', text },
+        { type: 'feed', lines: 5 },
+        { type: 'cut' }
+      ]
+    };
+  }
+
+  // Markup that ends with its own cut isn't fed and cut again
+  const blocks = markupToBlocks(text, { mode: markup });
+  const last = blocks[blocks.length - 1];
+  return {
+    blocks: last && last.type === 'cut' ? blocks : [...blocks, { type: 'feed', lines: 5 }, { type: 'cut' }]
+  };
+}
+
+// Blocks printed above a reprinted job, so a copy can't pass for the
+// original. The first line is printed in bold.
+export function bannerBlocks(lines) {
+  return [
+    { type: 'text', text: lines[0], align: 'center', bold: true },
+    ...lines.slice(1).map(text => ({ type: 'text', text, align: 'center' })),
+    { type: 'separator', char: '*' }
+  ];
+}
+
+// A document with a banner on top. Drawer kicks and beeps are left out, so
+// reprinting a cash sale doesn't open the drawer again.
+export function withBanner(document, lines) {
+  return {
+    ...document,
+    blocks: [
+      ...bannerBlocks(lines),
+      ...document.blocks.filter(block => block.type !== 'drawer' && block.type !== 'beep')
+    ]
+  };
+}
+
+export const TEMPLATES = {
+  receipt: receiptTemplate,
+  text: textTemplate
+};
@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { startService } from './service.js';
+
+// API keys, scopes, rate limits and CORS, through the service with an
+// auth.json in its directory
+
+const DEVICE = 'virtual-printer';
+const KEYS = {
+  reader: 'reader-key-0123456789',
+  till: 'till-key-0123456789',
+  office: 'office-key-0123456789'
+};
+const ALLOWED_ORIGIN = 'http://till.example';
+
+describe('API keys', () => {
+  let service;
+
+  // Returns [status, parsed JSON body, headers]
+  async function request(route, { key, bearer, origin, body, method = body === undefined ? 'GET' : 'POST' } = {}) {
+    const headers = { 'content-type': 'application/json' };
+    if (key) {
+      headers['X-API-Key'] = key;
+    }
+    if (bearer) {
+      headers.Authorization = `Bearer ${bearer}`;
+    }
+    if (origin) {
+      headers.Origin = origin;
+    }
+    const response = await fetch(service.url + route, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return [response.status, text ? JSON.parse(text) : null, response.headers];
+  }
+
+  before(async () => {
+    service = await startService({}, {
+      files: {
+        'auth.json': {
+          keys: [
+            { name: 'reader', key: KEYS.reader, scopes: ['read'] },
+            { name: 'till', key: KEYS.till, scopes: ['print'], rateLimit: { requests: 3, window: 600 } },
+            { name: 'office', key: KEYS.office, scopes: ['admin'], rateLimit: false }
+          ],
+          cors: { origins: [ALLOWED_ORIGIN] }
+        }
+      }
+    });
+    await request('/connect', { key: KEYS.office, body: { deviceId: DEVICE } });
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  test('requires a key', async () => {
+    const [status, body] = await request('/printers');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHORIZED');
+  });
+
+  test('refuses unknown keys', async () => {
+    const [status, body] = await request('/printers', { key: 'not-a-key-0123456789' });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHORIZED');
+  });
+
+  test('takes keys in X-API-Key or as a bearer token', async () => {
+    assert.equal((await request('/printers', { key: KEYS.reader }))[0], 200);
+    assert.equal((await request('/printers', { bearer: KEYS.reader }))[0], 200);
+  });
+
+  test('refuses keys without the scope', async () => {
+    const [status, body] = await request('/print/text', { key: KEYS.reader, body: { deviceId: DEVICE, text: 'No' } });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+    assert.equal(body.error, 'API key reader does not have the print scope');
+
+    assert.equal((await request('/devices', { key: KEYS.till }))[0], 403);
+  });
+
+  test('higher scopes include the lower ones', async () => {
+    assert.equal((await request('/printers', { key: KEYS.till }))[0], 200);
+    assert.equal((await request('/config', { key: KEYS.office }))[0], 200);
+  });
+
+  test('rate limits prints, counting every copy', async () => {
+    const [status, , headers] = await request('/print/text', { key: KEYS.till, body: { deviceId: DEVICE, text: 'One', copies: 2 } });
+    assert.equal(status, 200);
+    assert.equal(headers.get('RateLimit-Limit'), '3');
+    assert.equal(headers.get('RateLimit-Remaining'), '1');
+
+    // Two copies don't fit in the one print left, and aren't counted
+    const [refused, body, refusedHeaders] = await request('/print/text', { key: KEYS.till, body: { deviceId: DEVICE, text: 'Two', copies: 2 } });
+    assert.equal(refused, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.ok(Number(refusedHeaders.get('Retry-After')) > 0);
+
+    assert.equal((await request('/print/text', { key: KEYS.till, body: { deviceId: DEVICE, text: 'Three' } }))[0], 200);
+    assert.equal((await request('/print/text', { key: KEYS.till, body: { deviceId: DEVICE, text: 'Four' } }))[0], 429);
+  });
+
+  test('keys with rateLimit false aren\'t limited', async () => {
+    const [status, body] = await request('/print/text', { key: KEYS.office, body: { deviceId: DEVICE, text: 'Many', copies: 5 } });
+    assert.equal(status, 200, JSON.stringify(body));
+  });
+
+  test('requests over the whole limit are refused', async () => {
+    const [refused, refusal] = await request('/print/text', { key: KEYS.till, body: { deviceId: DEVICE, text: 'Many', copies: 4 } });
+    assert.equal(refused, 429);
+    assert.match(refusal.error, /makes 4 prints, more than the rate limit of 3/);
+  });
+
+  test('doesn\'t rate limit reads', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await request('/printers', { key: KEYS.till }))[0], 200);
+    }
+  });
+
+  test('allows listed origins', async () => {
+    const [status, , headers] = await request('/printers', { key: KEYS.reader, origin: ALLOWED_ORIGIN });
+    assert.equal(status, 200);
+    assert.equal(headers.get('Access-Control-Allow-Origin'), ALLOWED_ORIGIN);
+
+    const preflight = await fetch(`${service.url}/print/text`, {
+      method: 'OPTIONS',
+      headers: { Origin: ALLOWED_ORIGIN, 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'x-api-key' }
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('Access-Control-Allow-Origin'), ALLOWED_ORIGIN);
+  });
+
+  test('doesn\'t allow other origins', async () => {
+    const [, , headers] = await request('/printers', { key: KEYS.reader, origin: 'http://elsewhere.example' });
+    assert.equal(headers.get('Access-Control-Allow-Origin'), null);
+  });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { buildBarcode, gtinCheckDigit, normalizeBarcodeType, validateBarcode } from '../barcode.js';
+import { startService } from './service.js';
+
+// The reason validateBarcode gives for data, e.g. "data must be an even
+// number of digits for ITF"
+function dataError(type, data) {
+  try {
+    validateBarcode(type, data);
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION');
+    assert.deepEqual(error.details.map(detail => detail.path), ['data']);
+    assert.equal(error.message, `Invalid barcode: data ${error.details[0].message}`);
+    return error.details[0].message;
+  }
+  assert.fail(`${type} ${data} was accepted`);
+}
+
+describe('check digits', () => {
+  test('computes the GTIN check digit', () => {
+    assert.equal(gtinCheckDigit('400638133393'), 1);
+    assert.equal(gtinCheckDigit('03600029145'), 2);
+    assert.equal(gtinCheckDigit('000000000000'), 0);
+  });
+
+  test('EAN13 and UPC-A take the number with or without its check digit', () => {
+    assert.equal(validateBarcode('EAN13', '400638133393'), 'EAN13');
+    assert.equal(validateBarcode('ean-13', '4006381333931'), 'EAN13');
+    assert.equal(validateBarcode('UPC-A', '03600029145'), 'UPCA');
+    assert.equal(validateBarcode('upc_a', '036000291452'), 'UPCA');
+  });
+
+  test('rejects a wrong check digit', () => {
+    assert.equal(dataError('EAN13', '4006381333932'), 'has the wrong EAN13 check digit (should be 1)');
+    assert.equal(dataError('UPC-A', '036000291453'), 'has the wrong UPC-A check digit (should be 2)');
+  });
+
+  test('rejects other lengths and non-digits', () => {
+    assert.equal(dataError('EAN13', '12345'), 'must be 12 digits for EAN13, or 13 with the check digit');
+    assert.equal(dataError('EAN13', '40063813339A'), 'must be 12 digits for EAN13, or 13 with the check digit');
+    assert.equal(dataError('UPC-A', '0360002914521'), 'must be 11 digits for UPC-A, or 12 with the check digit');
+  });
+});
+
+describe('validateBarcode', () => {
+  test('CODE39 takes digits, capitals, space and $ % + - . /', () => {
+    assert.equal(validateBarcode('CODE39', 'AB-12 $%+./'), 'CODE39');
+    assert.equal(dataError('CODE39', 'ab12'), 'can only use 0-9, A-Z, space and $ % + - . / in CODE39');
+    assert.equal(dataError('CODE39', 'A*B'), 'can only use 0-9, A-Z, space and $ % + - . / in CODE39');
+  });
+
+  test('ITF takes an even number of digits', () => {
+    assert.equal(validateBarcode('ITF', '1234'), 'ITF');
+    assert.equal(dataError('ITF', '123'), 'must be an even number of digits for ITF');
+    assert.equal(dataError('ITF', '12AB'), 'must be an even number of digits for ITF');
+  });
+
+  test('CODE128 takes printable ASCII', () => {
+    assert.equal(validateBarcode('code128', 'Order #1042 {x}'), 'CODE128');
+    assert.equal(dataError('CODE128', 'Café'), 'can only use printable ASCII characters in CODE128');
+    assert.equal(dataError('CODE128', 'tab\there'), 'can only use printable ASCII characters in CODE128');
+  });
+
+  test('length limits', () => {
+    assert.equal(validateBarcode('CODE128', 'x'.repeat(253)), 'CODE128');
+    assert.equal(dataError('CODE128', 'x'.repeat(254)), 'is too long');
+    // Each { is sent twice, so the payload outgrows GS k
+    assert.throws(() => buildBarcode('CODE128', '{'.repeat(200)), { code: 'VALIDATION', message: 'Invalid barcode: data is too long' });
+  });
+
+  test('rejects unknown types and bad options', () => {
+    assert.equal(normalizeBarcodeType('upc a'), 'UPCA');
+    assert.throws(() => validateBarcode('QR', '1'), { message: 'Invalid barcode: type must be one of CODE39, CODE128, EAN13, UPC-A, ITF' });
+    assert.throws(() => validateBarcode('ITF', '12', { height: 0 }), { message: 'Invalid barcode: height must be between 1 and 255 dots' });
+    assert.throws(() => validateBarcode('ITF', '12', { width: 7 }), { message: 'Invalid barcode: width must be between 2 and 6' });
+    assert.throws(() => validateBarcode('ITF', '12', { hri: 'left' }), { message: 'Invalid barcode: hri must be one of none, above, below, both' });
+  });
+});
+
+describe('buildBarcode', () => {
+  test('sends GS h, GS w, GS H and GS k', () => {
+    assert.equal(buildBarcode('ITF', '1234', { height: 50, width: 3, hri: 'none' }).toString('hex'),
+      '1d6832' + '1d7703' + '1d4800' + '1d6b4604' + '31323334' + '0a');
+  });
+
+  test('CODE128 selects code set B and doubles {', () => {
+    const payload = Buffer.from('{B{{1', 'ascii');
+    assert.ok(buildBarcode('CODE128', '{1').includes(Buffer.concat([Buffer.from([0x1d, 0x6b, 73, payload.length]), payload])));
+  });
+});
+
+describe('POST /print/barcode', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+    await service.api('/connect', { deviceId: 'virtual-printer' });
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  test('refuses invalid data with 400 without printing', async () => {
+    const [status, body] = await service.api('/print/barcode', { deviceId: 'virtual-printer', type: 'EAN13', data: '4006381333932' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION');
+    assert.deepEqual(body.details, [{ path: 'data', message: 'Invalid barcode: data has the wrong EAN13 check digit (should be 1)' }]);
+
+    const [, output] = await service.api('/virtual/output?deviceId=virtual-printer');
+    assert.deepEqual(output.transcript, []);
+  });
+});
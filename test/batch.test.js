@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { startService } from './service.js';
+
+// Copies, batches and their onError policies, through the service to a
+// virtual printer, and how they count against a key's rate limit
+
+const DEVICE = 'virtual-printer';
+const KEY = 'batch-client-key-0123456789';
+const LIMITED_KEY = 'limited-client-key-0123456789';
+
+describe('copies and batches', () => {
+  let service;
+  let api;
+
+  // Returns [status, parsed JSON body, headers]
+  async function request(route, body, key = KEY) {
+    const response = await fetch(service.url + route, {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: { 'content-type': 'application/json', 'X-API-Key': key },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return [response.status, text ? JSON.parse(text) : null, response.headers];
+  }
+
+  async function transcript() {
+    return (await api(`/virtual/output?deviceId=${DEVICE}`))[1].transcript;
+  }
+
+  const cuts = (lines) => lines.filter(line => /^\[(Full|Partial) cut/.test(line)).length;
+
+  before(async () => {
+    service = await startService({}, {
+      files: {
+        'auth.json': {
+          keys: [
+            { name: 'office', key: KEY, scopes: ['admin'], rateLimit: false },
+            { name: 'till', key: LIMITED_KEY, scopes: ['print'], rateLimit: { requests: 4, window: 600 } }
+          ]
+        }
+      }
+    });
+    api = (route, body) => request(route, body);
+    await api('/connect', { deviceId: DEVICE });
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  beforeEach(async () => {
+    await service.api(`/virtual/output?deviceId=${DEVICE}`, undefined, 'DELETE', { 'X-API-Key': KEY });
+  });
+
+  test('prints every copy, cut apart', async () => {
+    const [status] = await api('/print/text', { deviceId: DEVICE, text: 'Ticket', copies: 3 });
+    assert.equal(status, 200);
+
+    const lines = await transcript();
+    assert.equal(lines.filter(line => line === 'Ticket').length, 3);
+    assert.equal(cuts(lines), 3);
+  });
+
+  test('prints the copies of every batch item in order', async () => {
+    const [status, body] = await api('/print/batch', {
+      deviceId: DEVICE,
+      items: [{ type: 'text', text: 'Adult', copies: 2 }, { type: 'text', text: 'Child' }]
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => result.status), ['done', 'done']);
+
+    const lines = await transcript();
+    assert.deepEqual(lines.filter(line => line === 'Adult' || line === 'Child'), ['Adult', 'Adult', 'Child']);
+    assert.equal(cuts(lines), 3);
+  });
+
+  test('cut: false cuts a batch once at the end', async () => {
+    const [status] = await api('/print/batch', {
+      deviceId: DEVICE,
+      cut: false,
+      items: [{ type: 'text', text: 'Adult', copies: 2 }, { type: 'text', text: 'Child' }]
+    });
+    assert.equal(status, 200);
+
+    const lines = await transcript();
+    assert.equal(cuts(lines), 1);
+    assert.match(lines.at(-1), /cut/);
+  });
+
+  describe('when an item fails', () => {
+    // The second item is long enough to still be printing, a piece at a
+    // time, when the writes start failing
+    const items = [{ type: 'text', text: 'One' }, { type: 'text', text: 'Two\n'.repeat(200) }, { type: 'text', text: 'Three' }];
+
+    // Queues the batch and breaks the link while its second item prints,
+    // then returns the finished job
+    async function failSecondItem(onError) {
+      await api('/virtual/simulate', { deviceId: DEVICE, writeRate: 1000 });
+      const [status, job] = await api('/print/batch?async=true', { deviceId: DEVICE, items, onError });
+      assert.equal(status, 202);
+
+      let current;
+      for (let i = 0; i < 500; i++) {
+        [, current] = await api(`/jobs/${job.jobId}`);
+        if (current.results[1].status === 'printing' || current.status === 'done' || current.status === 'failed') {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await api('/virtual/simulate', { deviceId: DEVICE, failWrites: true });
+
+      for (let i = 0; i < 100; i++) {
+        [, current] = await api(`/jobs/${job.jobId}`);
+        if (current.status !== 'queued' && current.status !== 'printing') {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      await api('/virtual/simulate', { deviceId: DEVICE, failWrites: false, writeRate: null });
+      await api('/jobs/resume', { deviceId: DEVICE });
+      return current;
+    }
+
+    test('onError stop skips the rest', async () => {
+      const job = await failSecondItem('stop');
+      assert.equal(job.status, 'failed');
+      assert.equal(job.errorCode, 'WRITE_FAILED');
+      assert.match(job.error, /^1 of 3 batch items failed: /);
+      assert.deepEqual(job.results.map(result => result.status), ['done', 'failed', 'skipped']);
+      assert.equal(job.results[1].errorCode, 'WRITE_FAILED');
+
+      const lines = await transcript();
+      assert.ok(lines.includes('One'), lines.join('\n'));
+      assert.ok(!lines.includes('Three'), lines.join('\n'));
+    });
+
+    test('onError continue still tries them', async () => {
+      const job = await failSecondItem('continue');
+      assert.equal(job.status, 'failed');
+      assert.equal(job.errorCode, 'WRITE_FAILED');
+      assert.match(job.error, /^2 of 3 batch items failed: /);
+      assert.deepEqual(job.results.map(result => result.status), ['done', 'failed', 'failed']);
+    });
+  });
+
+  test('a batch counts the copies of its items once against the rate limit', async () => {
+    const [status, , headers] = await request('/print/batch', {
+      deviceId: DEVICE,
+      items: [{ type: 'text', text: 'Adult', copies: 2 }, { type: 'text', text: 'Child' }]
+    }, LIMITED_KEY);
+    assert.equal(status, 200);
+    assert.equal(headers.get('RateLimit-Limit'), '4');
+    assert.equal(headers.get('RateLimit-Remaining'), '1');
+
+    // Two items don't fit in the one print left, and aren't printed
+    const [refused, body] = await request('/print/batch', {
+      deviceId: DEVICE,
+      items: [{ type: 'text', text: 'Late' }, { type: 'text', text: 'Later' }]
+    }, LIMITED_KEY);
+    assert.equal(refused, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.ok(!(await transcript()).includes('Late'));
+
+    assert.equal((await request('/print/batch', { deviceId: DEVICE, items: [{ type: 'text', text: 'Last' }] }, LIMITED_KEY))[0], 200);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  COMMANDS, CatStatusReader, bitmapLine, buildPrintJob, crc8, detectDriver, feedPaper, frame, getStatus, latticeEnd,
+  latticeStart, parseCatStatus, parseFrames, setDrawMode, setEnergy, setQuality, setSpeed
+} from '../catprinter.js';
+import { PrinterStatusError } from '../errors.js';
+import { getBlockingError } from '../printer-status.js';
+
+const hex = (buffer) => buffer.toString('hex');
+
+// A bitmap with one byte per dot, drawn from rows of '#' and '.'
+function bitmap(rows) {
+  const width = rows[0].length;
+  const bits = new Uint8Array(width * rows.length);
+  rows.forEach((row, y) => [...row].forEach((dot, x) => { bits[y * width + x] = dot === '#' ? 1 : 0; }));
+  return { width, height: rows.length, bits };
+}
+
+describe('crc8', () => {
+  test('matches the CRC-8 check value', () => {
+    assert.equal(crc8(Buffer.from('123456789')), 0xf4);
+  });
+
+  test('known checksums', () => {
+    assert.equal(crc8([]), 0x00);
+    assert.equal(crc8([0x00]), 0x00);
+    assert.equal(crc8([0x01]), 0x07);
+    assert.equal(crc8([0x32]), 0x9e);
+    assert.equal(crc8([0xe0, 0x2e]), 0x89);
+  });
+});
+
+describe('frames', () => {
+  // The frames other drivers for these printers send
+  test('match known-good frames', () => {
+    assert.equal(hex(getStatus()), '5178a30001000000ff');
+    assert.equal(hex(setQuality(0x32)), '5178a4000100329eff');
+    assert.equal(hex(latticeStart()), '5178a6000b00aa551738445f5f5f44382ca1ff');
+    assert.equal(hex(latticeEnd()), '5178a6000b00aa5517000000000000001711ff');
+    assert.equal(hex(feedPaper(48)), '5178a10002003000f9ff');
+    assert.equal(hex(setEnergy(12000)), '5178af000200e02e89ff');
+    assert.equal(hex(setSpeed(32)), '5178bd00010020e0ff');
+    assert.equal(hex(setDrawMode(1)), '5178be0001000107ff');
+  });
+
+  test('lengths over 255 bytes are little-endian', () => {
+    const data = new Array(300).fill(0);
+    const encoded = frame(COMMANDS.BITMAP_LINE, data);
+    assert.equal(hex(encoded.subarray(0, 6)), '5178a2002c01');
+    assert.equal(encoded.length, 6 + 300 + 2);
+    assert.equal(encoded[encoded.length - 1], 0xff);
+  });
+
+  test('bitmap lines put the leftmost dot in the lowest bit', () => {
+    const { bits, width } = bitmap(['#.......#......#']);
+    assert.equal(hex(bitmapLine(bits, 0, width)), '5178a200020001819bff');
+  });
+
+  test('parse back into commands, skipping noise and bad checksums', () => {
+    const corrupt = Buffer.from(setSpeed(32));
+    corrupt[7] ^= 0xff;
+    const frames = parseFrames(Buffer.concat([Buffer.from([0x00, 0x01]), getStatus(), corrupt, feedPaper(48)]));
+
+    assert.deepEqual(frames.map(({ command, data }) => [command, hex(data)]), [
+      [COMMANDS.GET_STATUS, '00'],
+      [COMMANDS.FEED, '3000']
+    ]);
+  });
+});
+
+describe('buildPrintJob', () => {
+  test('sets up the printer, sends inked rows and feeds blank ones', () => {
+    const image = bitmap([
+      '........',
+      '#.......',
+      '........',
+      '........',
+      '.......#',
+      '........'
+    ]);
+    const frames = buildPrintJob(image, { energy: 12000, speed: 32, feed: 10 });
+
+    assert.deepEqual(frames.map(hex), [
+      '5178a40001003399ff',
+      '5178a6000b00aa551738445f5f5f44382ca1ff',
+      '5178af000200e02e89ff',
+      '5178be0001000107ff',
+      '5178bd00010020e0ff',
+      '5178a1000200010015ff',
+      '5178a20001000107ff',
+      '5178a100020002002aff',
+      '5178a20001008089ff',
+      '5178a10002000b0097ff',
+      '5178a6000b00aa5517000000000000001711ff'
+    ]);
+  });
+
+  test('every frame has a valid checksum', () => {
+    const image = bitmap(['#.#.#.#.#.#.#.#.', '.#.#.#.#.#.#.#.#']);
+    const stream = Buffer.concat(buildPrintJob(image));
+    const frames = parseFrames(stream);
+    assert.equal(frames.length, buildPrintJob(image).length);
+    assert.equal(frames.filter(({ command }) => command === COMMANDS.BITMAP_LINE).length, 2);
+  });
+});
+
+describe('driver detection', () => {
+  test('by advertised name or service', () => {
+    assert.equal(detectDriver({ name: 'GB01' }), 'cat');
+    assert.equal(detectDriver({ name: 'MX06-1234' }), 'cat');
+    assert.equal(detectDriver({ name: 'Printer', services: ['0000ae30-0000-1000-8000-00805f9b34fb'] }), 'cat');
+    assert.equal(detectDriver({ name: 'YHK-7887', services: ['18f0'] }), 'escpos');
+    assert.equal(detectDriver(), 'escpos');
+  });
+
+  test('status flags', () => {
+    const status = parseCatStatus(0x03);
+    assert.equal(status.paperOut, true);
+    assert.equal(status.coverOpen, true);
+    assert.equal(status.overheated, false);
+    assert.deepEqual(status.raw, ['0x03']);
+  });
+
+  test('an overheated printer can\'t print until it cools down', () => {
+    const error = getBlockingError(parseCatStatus(0x04));
+    assert.ok(error instanceof PrinterStatusError);
+    assert.equal(error.code, 'PRINTER_ERROR');
+    assert.equal(error.message, 'Printer is overheated');
+
+    // A low battery is reported but still prints
+    assert.equal(getBlockingError(parseCatStatus(0x08)), null);
+  });
+});
+
+describe('CatStatusReader', () => {
+  test('reads one status at a time', async () => {
+    const writes = [];
+    const reader = new CatStatusReader(async (data) => { writes.push(hex(data)); });
+
+    const first = reader.readStatus();
+    const second = reader.readStatus();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(writes, [hex(getStatus())]);
+
+    reader.feed(frame(COMMANDS.GET_STATUS, [0x01]));
+    assert.equal((await first).paperOut, true);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(writes.length, 2);
+
+    reader.feed(frame(COMMANDS.GET_STATUS, [0x02]));
+    const status = await second;
+    assert.equal(status.paperOut, false);
+    assert.equal(status.coverOpen, true);
+  });
+
+  test('a failed read doesn\'t hold up the next one', async () => {
+    let fail = true;
+    const reader = new CatStatusReader(async () => {
+      if (fail) {
+        fail = false;
+        throw new Error('write failed');
+      }
+    }, 20);
+
+    const first = reader.readStatus();
+    const second = reader.readStatus();
+    await assert.rejects(first, { message: 'write failed' });
+    assert.deepEqual(await second, { supported: false });
+  });
+});
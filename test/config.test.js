@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { startService } from './service.js';
+
+// The config layers (defaults < config file < environment), validation and
+// GET and PUT /config, through the service
+
+describe('config.json', () => {
+  let service;
+  let api;
+
+  before(async () => {
+    service = await startService({ RECEIPT_LOCALE: 'de-DE', RECONNECT_MAX_ATTEMPTS: '5' }, {
+      files: {
+        'config.json': {
+          status: { timeout: 300 },
+          reconnect: { maxAttempts: 3 },
+          receipt: { currency: 'EUR' }
+        }
+      }
+    });
+    api = service.api;
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  test('layers the defaults, the file and the environment', async () => {
+    const [status, body] = await api('/config');
+    assert.equal(status, 200);
+    assert.equal(body.file, 'config.json');
+
+    assert.equal(body.config.status.timeout, 300);
+    assert.equal(body.config.receipt.currency, 'EUR');
+    assert.equal(body.config.receipt.locale, 'de-DE');
+    // The environment wins over the file, and values from it are parsed
+    assert.equal(body.config.reconnect.maxAttempts, 5);
+    assert.equal(body.config.events.heartbeat, 15000);
+
+    assert.equal(body.sources['status.timeout'], 'file');
+    assert.equal(body.sources['receipt.currency'], 'file');
+    assert.equal(body.sources['receipt.locale'], 'env');
+    assert.equal(body.sources['reconnect.maxAttempts'], 'env');
+    assert.equal(body.sources['events.heartbeat'], 'default');
+  });
+
+  test('receipts use the configured currency and locale', async () => {
+    const [status] = await api('/print/receipt', { deviceId: 'virtual-printer', title: 'Shop', items: [{ name: 'Tea', price: 1234 }] });
+    assert.equal(status, 200);
+
+    const [, output] = await api('/virtual/output?deviceId=virtual-printer');
+    assert.ok(output.transcript.some(line => /^TOTAL +1\.234,00 EUR$/.test(line)), output.transcript.join('\n'));
+  });
+
+  test('PUT /config changes settings and saves them to the file', async () => {
+    const [status, body] = await api('/config', { status: { pollInterval: 5000 }, printer: { name: 'Till' } }, 'PUT');
+    assert.equal(status, 200);
+    assert.deepEqual(body.changed, [
+      { setting: 'printer.name', value: 'Till', applies: 'connect' },
+      { setting: 'status.pollInterval', value: 5000, applies: 'now' }
+    ]);
+    assert.equal(body.config.status.pollInterval, 5000);
+    assert.equal(body.sources['status.pollInterval'], 'file');
+
+    const saved = JSON.parse(await readFile(path.join(service.dir, 'config.json'), 'utf8'));
+    assert.deepEqual(saved.status, { timeout: 300, pollInterval: 5000 });
+    assert.equal(saved.printer.name, 'Till');
+
+    const [, current] = await api('/config');
+    assert.equal(current.config.status.pollInterval, 5000);
+  });
+
+  test('PUT /config refuses settings set by the environment', async () => {
+    const [status, body] = await api('/config', { receipt: { locale: 'fr-FR' } }, 'PUT');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION');
+    assert.equal(body.error, 'Invalid config: receipt.locale is set by RECEIPT_LOCALE');
+    assert.deepEqual(body.details, [{ path: 'receipt.locale', message: 'set by the RECEIPT_LOCALE environment variable' }]);
+  });
+
+  test('PUT /config refuses invalid values and unknown settings', async () => {
+    const [status, body] = await api('/config', { bluetooth: { chunkSize: 10 } }, 'PUT');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION');
+    assert.deepEqual(body.details.map(detail => detail.path), ['bluetooth.chunkSize']);
+
+    const [unknown, unknownBody] = await api('/config', { status: { colour: 'red' } }, 'PUT');
+    assert.equal(unknown, 400);
+    assert.equal(unknownBody.code, 'VALIDATION');
+
+    assert.equal((await api('/config', {}, 'PUT'))[0], 400);
+    const [, current] = await api('/config');
+    assert.equal(current.config.bluetooth.chunkSize, 20);
+  });
+
+  test('PUT /config refuses file paths', async () => {
+    const [status, body] = await api('/config', { history: { file: '/etc/passwd' } }, 'PUT');
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [{ path: 'history.file', message: 'can only be set in the config file or environment' }]);
+  });
+});
+
+describe('config.yaml', () => {
+  let service;
+
+  before(async () => {
+    service = await startService({}, {
+      files: {
+        'config.yaml': [
+          '# Till printer settings',
+          'receipt:',
+          '  currency: USD # Dollars at the market stall',
+          'events:',
+          '  heartbeat: 5000',
+          ''
+        ].join('\n')
+      }
+    });
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  test('reads YAML files', async () => {
+    const [, body] = await service.api('/config');
+    assert.equal(body.file, 'config.yaml');
+    assert.equal(body.config.receipt.currency, 'USD');
+    assert.equal(body.config.events.heartbeat, 5000);
+    assert.equal(body.sources['events.heartbeat'], 'file');
+  });
+
+  test('PUT /config keeps the file\'s comments', async () => {
+    const [status] = await service.api('/config', { events: { heartbeat: 7000 } }, 'PUT');
+    assert.equal(status, 200);
+
+    const saved = await readFile(path.join(service.dir, 'config.yaml'), 'utf8');
+    assert.match(saved, /# Till printer settings/);
+    assert.match(saved, /currency: USD # Dollars at the market stall/);
+    assert.match(saved, /heartbeat: 7000/);
+  });
+});
+
+describe('invalid config', () => {
+  test('stops the service from starting', async () => {
+    await assert.rejects(
+      startService({}, { files: { 'config.json': { bluetooth: { chunkSize: 10 } } } }),
+      /Invalid config: bluetooth\.chunkSize: Number must be greater than or equal to 20/
+    );
+  });
+
+  test('invalid environment values too', async () => {
+    await assert.rejects(startService({ STATUS_TIMEOUT: 'soon' }), /Invalid config: status\.timeout/);
+  });
+
+  test('files that are not valid JSON', async () => {
+    await assert.rejects(startService({}, { files: { 'config.json': '{ "status": ' } }), /Invalid config: config\.json is not valid JSON/);
+  });
+});
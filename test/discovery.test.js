@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { matchesName, matchesScan, mergeDevice, parseScanOptions, rankDevices } from '../discovery.js';
+
+// An advertisement as the scan records it
+const advert = (id, fields = {}) => ({ id, name: '', address: '', rssi: -70, services: [], lastSeen: '2024-03-21T14:30:00.000Z', ...fields });
+
+describe('parseScanOptions', () => {
+  test('defaults', () => {
+    assert.deepEqual(parseScanOptions(), { duration: 10000, name: null, service: null, minRssi: null, printersOnly: false });
+  });
+
+  test('reads the query parameters', () => {
+    assert.deepEqual(parseScanOptions({ duration: '2.5', name: 'MTP', service: 'AE30', minRssi: '-80', printersOnly: 'true' }), {
+      duration: 2500,
+      name: 'MTP',
+      service: 'ae30',
+      minRssi: -80,
+      printersOnly: true
+    });
+  });
+
+  test('takes any name, including regular expression syntax', () => {
+    assert.equal(parseScanOptions({ name: '(a+)+$' }).name, '(a+)+$');
+    assert.equal(parseScanOptions({ name: '[' }).name, '[');
+  });
+
+  test('rejects values it can\'t use', () => {
+    assert.throws(() => parseScanOptions({ duration: '61' }), { code: 'VALIDATION', message: 'Invalid scan: duration must be a number of seconds up to 60' });
+    assert.throws(() => parseScanOptions({ service: 'xyz' }), { code: 'VALIDATION', message: 'Invalid scan: service must be a 16, 32 or 128-bit UUID' });
+    assert.throws(() => parseScanOptions({ minRssi: '5' }), { code: 'VALIDATION' });
+  });
+});
+
+describe('matchesName', () => {
+  test('matches text anywhere in the name, ignoring case', () => {
+    assert.equal(matchesName('mtp', 'MTP-II'), true);
+    assert.equal(matchesName('ii', 'MTP-II'), true);
+    assert.equal(matchesName('58', 'MTP-II'), false);
+  });
+
+  test('* stands for any run of characters', () => {
+    assert.equal(matchesName('mtp*58', 'MTP-II 58mm'), true);
+    assert.equal(matchesName('58*mtp', 'MTP-II 58mm'), false);
+    assert.equal(matchesName('*', 'anything'), true);
+  });
+
+  test('everything else is literal', () => {
+    assert.equal(matchesName('.', 'MTP-II'), false);
+    assert.equal(matchesName('P(2)', 'Till P(2)'), true);
+    assert.equal(matchesName('(a+)+$', 'a'.repeat(40) + '!'), false);
+  });
+});
+
+describe('matchesScan', () => {
+  const options = (fields) => ({ ...parseScanOptions(), ...fields });
+
+  test('filters by name, service, signal strength and compatibility', () => {
+    const device = advert('a', { name: 'MTP-II', services: ['ae30'], rssi: -60, compatible: true });
+    assert.equal(matchesScan(device, options({ name: 'mtp' })), true);
+    assert.equal(matchesScan(device, options({ name: 'cat' })), false);
+    assert.equal(matchesScan(device, parseScanOptions({ service: '0000ae30-0000-1000-8000-00805f9b34fb' })), true);
+    assert.equal(matchesScan(device, parseScanOptions({ service: '18f0' })), false);
+    assert.equal(matchesScan(device, options({ minRssi: -50 })), false);
+    assert.equal(matchesScan({ ...device, compatible: false }, options({ printersOnly: true })), false);
+  });
+
+  test('devices without a name don\'t match a name', () => {
+    assert.equal(matchesScan(advert('a'), options({ name: 'mtp' })), false);
+  });
+});
+
+describe('mergeDevice', () => {
+  test('keeps one device per peripheral ID', () => {
+    const devices = new Map();
+    const first = mergeDevice(devices, advert('a', { name: 'MTP-II', rssi: -80, services: ['ae30'] }));
+    const again = mergeDevice(devices, advert('a', { rssi: -55, address: 'aa:bb', services: ['ae30', '18f0'], lastSeen: '2024-03-21T14:30:05.000Z' }));
+    mergeDevice(devices, advert('b', { name: 'Other' }));
+
+    assert.equal(devices.size, 2);
+    assert.equal(again, first);
+    assert.deepEqual(devices.get('a'), {
+      id: 'a',
+      name: 'MTP-II',
+      address: 'aa:bb',
+      rssi: -55,
+      services: ['ae30', '18f0'],
+      lastSeen: '2024-03-21T14:30:05.000Z'
+    });
+  });
+});
+
+describe('rankDevices', () => {
+  test('saved printer first, then compatible printers, then by signal strength', () => {
+    const ranked = rankDevices([
+      advert('weak', { rssi: -90, compatible: true, saved: false }),
+      advert('other', { rssi: -40, compatible: false, saved: false }),
+      advert('saved', { rssi: -95, compatible: true, saved: true }),
+      advert('strong', { rssi: -50, compatible: true, saved: false }),
+      advert('silent', { rssi: null, compatible: true, saved: false })
+    ]);
+    assert.deepEqual(ranked.map(device => device.id), ['saved', 'strong', 'weak', 'silent', 'other']);
+  });
+});
@@ -0,0 +1,195 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import sharp from 'sharp';
+import { formatRow, layoutRow, renderDocument, validateDocument, wrapText } from '../document.js';
+
+// Line widths with font A: 32 characters on 58mm paper, 48 on 80mm
+const NARROW = 32;
+const WIDE = 48;
+
+// ESC @, ESC t 0 (cp437) and ESC M 0 (font A): the start of every document
+const PREAMBLE = '1b40' + '1b7400' + '1b4d00';
+
+const render = async (blocks, options) => (await renderDocument({ blocks }, { dotWidth: 384, ...options })).toString('hex');
+const hex = (text) => Buffer.from(text).toString('hex');
+
+// The "Invalid document" error for a document, as [message, details]
+function documentError(document) {
+  try {
+    validateDocument(document);
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION');
+    return [error.message, error.details];
+  }
+  assert.fail('The document was accepted');
+}
+
+// An item line: the name takes what the price leaves
+const itemRow = (name, price = 'R 45,00') => [{ text: name }, { text: price, width: 10, align: 'right' }];
+
+describe('wrapText', () => {
+  test('wraps at word boundaries', () => {
+    assert.deepEqual(wrapText('The quick brown fox jumps over the lazy dog', 16), ['The quick brown', 'fox jumps over', 'the lazy dog']);
+    assert.deepEqual(wrapText('The quick brown fox jumps over the lazy dog', NARROW), ['The quick brown fox jumps over', 'the lazy dog']);
+    assert.deepEqual(wrapText('The quick brown fox jumps over the lazy dog', WIDE), ['The quick brown fox jumps over the lazy dog']);
+  });
+
+  test('breaks words longer than the line', () => {
+    assert.deepEqual(wrapText('Supercalifragilisticexpialidocious tea', 16), ['Supercalifragili', 'sticexpialidocio', 'us tea']);
+    assert.deepEqual(wrapText('Tea ' + 'x'.repeat(40), NARROW), ['Tea', 'x'.repeat(32), 'x'.repeat(8)]);
+  });
+
+  test('keeps newlines and blank lines, and collapses spaces', () => {
+    assert.deepEqual(wrapText('One\n\nTwo  three', NARROW), ['One', '', 'Two three']);
+  });
+
+  test('a line exactly as wide as the paper fits', () => {
+    assert.deepEqual(wrapText('x'.repeat(NARROW), NARROW), ['x'.repeat(NARROW)]);
+  });
+});
+
+describe('formatRow', () => {
+  test('continues long text on the following lines at 58mm', () => {
+    assert.deepEqual(formatRow(itemRow('Cappuccino with extra foam and cinnamon'), NARROW), [
+      'Cappuccino with extra    R 45,00',
+      'foam and cinnamon'
+    ]);
+  });
+
+  test('has room for more at 80mm', () => {
+    assert.deepEqual(formatRow(itemRow('Cappuccino with extra foam and cinnamon'), WIDE), [
+      'Cappuccino with extra foam and           R 45,00',
+      'cinnamon'
+    ]);
+  });
+
+  test('truncates instead when asked', () => {
+    assert.deepEqual(formatRow(itemRow('Cappuccino with extra foam and cinnamon'), NARROW, 'truncate'), [
+      'Cappuccino with extra    R 45,00'
+    ]);
+    // A column's own overflow wins over the row's
+    const columns = [{ text: 'Cappuccino with extra foam', overflow: 'truncate' }, { text: 'Large size, oat milk', width: 10 }];
+    assert.deepEqual(formatRow(columns, NARROW), ['Cappuccino with extra Large', '                      size, oat', '                      milk']);
+  });
+
+  test('aligns cells in their share of the line', () => {
+    assert.deepEqual(formatRow([{ text: 'Qty' }, { text: 'Item', align: 'center' }, { text: 'Price', align: 'right' }], NARROW), [
+      'Qty          Item        Price'
+    ]);
+  });
+});
+
+describe('layoutRow', () => {
+  test('columns without a width share the rest of the line', () => {
+    const { cells, height } = layoutRow([{ text: 'Qty', width: 4 }, { text: 'Tea' }, { text: 'R 9,00' }], WIDE);
+    assert.deepEqual(cells.map(cell => cell.width), [4, 22, 22]);
+    assert.equal(height, 1);
+  });
+
+  test('every flexible column keeps at least one character', () => {
+    const { cells } = layoutRow([{ text: 'a' }, { text: 'b', width: 40 }], NARROW);
+    assert.deepEqual(cells.map(cell => cell.width), [1, 40]);
+  });
+
+  test('the row is as tall as its tallest cell', () => {
+    const { cells, height } = layoutRow(itemRow('Tea, scone and jam with clotted cream, to share'), NARROW);
+    assert.deepEqual(cells[0].lines, ['Tea, scone and jam', 'with clotted cream, to', 'share']);
+    assert.deepEqual(cells[1].lines, ['R 45,00']);
+    assert.equal(height, 3);
+  });
+});
+
+describe('validateDocument', () => {
+  test('accepts every block type', () => {
+    assert.doesNotThrow(() => validateDocument({
+      blocks: [
+        { type: 'text', text: 'Shop', align: 'center', size: 2 },
+        { type: 'text', spans: [{ text: 'Total ', bold: true }, { text: 'R 9,00' }] },
+        { type: 'row', columns: [{ text: 'Tea' }, { text: 9, width: 6, align: 'right' }], overflow: 'truncate' },
+        { type: 'separator', char: '=' },
+        { type: 'feed', lines: 0 },
+        { type: 'image', image: 'aGk=', dither: 'threshold', threshold: 0 },
+        { type: 'barcode', symbology: 'ITF', data: '1234' },
+        { type: 'qr', data: 'https://example.com' },
+        { type: 'drawer' },
+        { type: 'beep' },
+        { type: 'cut', partial: true }
+      ]
+    }));
+  });
+
+  test('needs a list of blocks', () => {
+    assert.deepEqual(documentError({}), ['Invalid document: blocks must be an array', [{ path: 'blocks', message: 'must be an array' }]]);
+    assert.deepEqual(documentError({ blocks: [], lineWidth: 0 })[0], 'Invalid document: lineWidth must be a positive integer');
+  });
+
+  test('reports the path of the first invalid block', () => {
+    assert.deepEqual(documentError({ blocks: [{ type: 'text', text: 'a' }, { type: 'nope' }] })[1].map(detail => detail.path), ['blocks[1].type']);
+    assert.equal(documentError({ blocks: [{ type: 'text' }] })[0], 'Invalid document: blocks[0].text must be a string');
+    assert.equal(documentError({ blocks: [{ type: 'text', text: 'a', size: 9 }] })[0], 'Invalid document: blocks[0] size, width and height must be between 1 and 8');
+    assert.equal(documentError({ blocks: [{ type: 'row', columns: [{ text: 'a', width: 0 }] }] })[0], 'Invalid document: blocks[0].columns[0].width must be a positive integer');
+    assert.equal(documentError({ blocks: [{ type: 'separator', char: '==' }] })[0], 'Invalid document: blocks[0].char must be a single character');
+    assert.equal(documentError({ blocks: [{ type: 'feed', lines: 256 }] })[0], 'Invalid document: blocks[0].lines must be between 0 and 255');
+  });
+
+  test('image thresholds are whole numbers from 0 to 255', () => {
+    for (const threshold of [-1, 256, 12.5, '128']) {
+      assert.deepEqual(documentError({ blocks: [{ type: 'image', image: 'aGk=', threshold }] }), [
+        'Invalid document: blocks[0].threshold must be a whole number between 0 and 255',
+        [{ path: 'blocks[0].threshold', message: 'must be a whole number between 0 and 255' }]
+      ], String(threshold));
+    }
+  });
+
+  test('barcode errors point at the block\'s fields', () => {
+    const [message, details] = documentError({ blocks: [{ type: 'barcode', symbology: 'EAN13', data: '1' }] });
+    assert.equal(message, 'Invalid document: blocks[0]: barcode: data must be 12 digits for EAN13, or 13 with the check digit');
+    assert.deepEqual(details.map(detail => detail.path), ['blocks[0].data']);
+
+    assert.deepEqual(documentError({ blocks: [{ type: 'barcode', symbology: 'QR', data: '1' }] })[1].map(detail => detail.path), ['blocks[0].symbology']);
+  });
+});
+
+describe('renderDocument', () => {
+  test('sends text, separators, feeds and cuts', async () => {
+    const output = await render([
+      { type: 'text', text: 'Hi', align: 'center', bold: true },
+      { type: 'separator', char: '=', length: 4 },
+      { type: 'feed', lines: 2 },
+      { type: 'cut', partial: true }
+    ]);
+    assert.equal(output, PREAMBLE +
+      '1b6101' + '1b4501' + hex('Hi\n') + '1b4500' + '1b2d00' + '1d4200' + '1d2100' +
+      '1b6100' + hex('====\n') +
+      '1b6402' +
+      '1d5601');
+  });
+
+  test('lays rows and separators out for the paper width', async () => {
+    const row = { type: 'row', columns: itemRow('Tea') };
+    assert.ok((await render([row])).includes(hex(`Tea${' '.repeat(22)}R 45,00\n`)));
+    assert.ok((await render([row], { lineWidth: WIDE })).includes(hex(`Tea${' '.repeat(35)}   R 45,00\n`)));
+    assert.ok((await render([{ type: 'separator' }], { lineWidth: WIDE })).includes(hex('-'.repeat(WIDE) + '\n')));
+
+    // The document's own line width wins
+    const narrow = (await renderDocument({ lineWidth: 10, blocks: [{ type: 'separator' }] }, { lineWidth: WIDE })).toString('hex');
+    assert.ok(narrow.endsWith(hex('-'.repeat(10) + '\n')));
+  });
+
+  test('double width text fits half as many characters', async () => {
+    const output = await render([{ type: 'text', text: 'x'.repeat(20), width: 2 }]);
+    assert.ok(output.includes('1d2110' + hex('x'.repeat(16) + '\n' + 'x'.repeat(4) + '\n')), output);
+  });
+
+  test('rasterizes images at the threshold', async () => {
+    // 8x1 grey ramp from black to white
+    const image = (await sharp(Buffer.from([0, 32, 64, 96, 128, 160, 192, 224]), { raw: { width: 8, height: 1, channels: 1 } }).png().toBuffer()).toString('base64');
+    const raster = (threshold) => render([{ type: 'image', image, dither: 'threshold', threshold }]);
+    assert.ok((await raster(100)).endsWith('1b6101' + '1d763000' + '0100' + '0100' + 'f0'));
+    assert.ok((await raster(200)).endsWith('1d763000' + '0100' + '0100' + 'fe'));
+  });
+
+  test('refuses invalid documents before rendering anything', async () => {
+    await assert.rejects(render([{ type: 'image', image: 'aGk=', threshold: 300 }]), { code: 'VALIDATION', message: /threshold/ });
+  });
+});
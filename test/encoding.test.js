@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { CODE_PAGES, encodeText, selectCodePage, transliterate } from '../encoding.js';
+import { renderDocument } from '../document.js';
+
+const hex = (buffer) => Buffer.from(buffer).toString('hex');
+
+describe('transliterate', () => {
+  test('cp437 has no euro sign, so it prints as EUR', () => {
+    assert.equal(transliterate('€5', 'cp437'), 'EUR5');
+  });
+
+  test('cp858 and cp1252 keep the euro sign', () => {
+    assert.equal(transliterate('€5', 'cp858'), '€5');
+    assert.equal(transliterate('€5', 'cp1252'), '€5');
+  });
+
+  test('keeps accents the code page has and drops the others', () => {
+    assert.equal(transliterate('café', 'cp437'), 'café');
+    assert.equal(transliterate('Győr', 'cp437'), 'Gyor');
+    assert.equal(transliterate('Győr', 'cp852'), 'Győr');
+  });
+
+  test('readable substitutes for punctuation', () => {
+    assert.equal(transliterate('“Hi” – now…', 'cp437'), '"Hi" - now...');
+  });
+
+  test('characters without a substitute become ?', () => {
+    assert.equal(transliterate('Tea 茶 お茶', 'cp437'), 'Tea ? ??');
+    assert.equal(transliterate('茶', 'cp1252'), '?');
+    assert.equal(transliterate('Why?', 'cp437'), 'Why?');
+  });
+
+  test('rejects unknown code pages', () => {
+    assert.throws(() => transliterate('x', 'cp999'), { code: 'VALIDATION', message: /^Invalid code page: cp999/ });
+  });
+});
+
+describe('encodeText', () => {
+  test('encodes the euro sign for each code page', () => {
+    assert.equal(hex(encodeText(transliterate('€', 'cp858'), 'cp858')), 'd5');
+    assert.equal(hex(encodeText(transliterate('€', 'cp1252'), 'cp1252')), '80');
+    assert.equal(hex(encodeText(transliterate('€', 'cp437'), 'cp437')), '455552');
+  });
+
+  test('sends characters the code page is missing as ?', () => {
+    assert.equal(hex(encodeText('茶', 'cp437')), '3f');
+  });
+});
+
+describe('selectCodePage', () => {
+  test('sends ESC t with the code page\'s table', () => {
+    assert.equal(hex(selectCodePage('cp437')), '1b7400');
+    assert.equal(hex(selectCodePage('cp858')), '1b7413');
+    assert.equal(hex(selectCodePage('cp1252')), '1b7410');
+    assert.equal(hex(selectCodePage()), '1b7400');
+  });
+
+  test('a printer\'s own table number wins', () => {
+    assert.equal(hex(selectCodePage('cp858', 4)), '1b7404');
+  });
+
+  test('every code page has a table number', () => {
+    for (const [codePage, table] of Object.entries(CODE_PAGES)) {
+      assert.deepEqual(selectCodePage(codePage), [0x1b, 0x74, table], codePage);
+    }
+  });
+});
+
+describe('rendered documents', () => {
+  const render = async (codePage, codeTable) => hex(await renderDocument(
+    { blocks: [{ type: 'text', text: 'Total €5' }] },
+    { dotWidth: 384, lineWidth: 32, codePage, codeTable }
+  ));
+
+  test('select the code page and print the text in it', async () => {
+    const cp858 = await render('cp858');
+    assert.ok(cp858.includes('1b7413'), cp858);
+    assert.ok(cp858.includes(hex(Buffer.from('Total ')) + 'd5' + '35'), cp858);
+
+    const cp437 = await render('cp437');
+    assert.ok(cp437.includes('1b7400'), cp437);
+    assert.ok(cp437.includes(hex(Buffer.from('Total EUR5'))), cp437);
+  });
+
+  test('with the printer\'s table number', async () => {
+    assert.ok((await render('cp858', 4)).includes('1b7404'));
+  });
+});
@@ -0,0 +1,197 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import {
+  decodePayload, describeEscPos, findUnsafeCommands, parseEscPos, stripPeripheralCommands, stripUnsafeCommands
+} from '../escpos-parser.js';
+import { startService } from './service.js';
+
+const hex = (buffer) => buffer.toString('hex');
+
+// A raw payload as a POS client sent it: text around a memory switch
+// change (GS ( E), an NV bit image definition (FS q) and ESC = selecting no
+// peripheral, ending in an ESC a cut off before its argument
+const UNSAFE = Buffer.from([
+  '1b40', // ESC @
+  '48690a', // Hi LF
+  '1d2845040003013231', // GS ( E, function 3: set memory switches
+  '410a', // A LF
+  '1c71010100010000ffffffffffffff', // FS q, one 8x8 NV bit image
+  '1b3d02', // ESC = 2
+  '420a', // B LF
+  '1b61' // ESC a without n
+].join(''), 'hex');
+
+// The same payload with the unsafe commands taken out
+const STRIPPED = '1b40' + '48690a' + '410a' + '420a';
+
+// A receipt tail with a drawer kick, a beep and a real-time drawer pulse
+const PERIPHERALS = Buffer.from([
+  '546f74616c0a', // Total LF
+  '1b7000193c', // ESC p 0 25 60
+  '1b420302', // ESC B 3 2
+  '101401000a', // DLE DC4 1 0 10
+  '1d564103' // GS V A 3
+].join(''), 'hex');
+
+describe('parseEscPos', () => {
+  test('splits a payload into commands and text', () => {
+    const tokens = parseEscPos(UNSAFE);
+    assert.deepEqual(tokens.map(token => token.type === 'text' ? token.bytes.toString() : token.name), [
+      'ESC @', 'Hi', 'LF', 'GS ( E', 'A', 'LF', 'FS q', 'ESC =', 'B', 'LF', 'ESC a'
+    ]);
+    assert.deepEqual(tokens.map(token => token.offset), [0, 2, 4, 5, 14, 15, 16, 31, 34, 35, 36]);
+    assert.equal(Buffer.concat(tokens.map(token => token.bytes)).equals(UNSAFE), true);
+  });
+
+  test('reads the length of counted and variable commands', () => {
+    const tokens = parseEscPos(UNSAFE);
+    assert.equal(hex(tokens[3].bytes), '1d2845040003013231');
+    assert.equal(tokens[6].bytes.length, 15);
+  });
+
+  test('marks commands cut off at the end', () => {
+    const [command] = parseEscPos(Buffer.from('1d763000100020', 'hex'));
+    assert.equal(command.name, 'GS v 0');
+    assert.equal(command.truncated, true);
+    assert.equal(command.description, 'Truncated command');
+  });
+});
+
+describe('findUnsafeCommands', () => {
+  test('finds dangerous and truncated commands', () => {
+    const unsafe = findUnsafeCommands(UNSAFE);
+    assert.deepEqual(unsafe.map(({ name, offset }) => [name, offset]), [
+      ['GS ( E', 5], ['FS q', 16], ['ESC =', 31], ['ESC a', 36]
+    ]);
+  });
+
+  test('leaves ordinary receipts alone', () => {
+    assert.deepEqual(findUnsafeCommands(PERIPHERALS), []);
+    assert.deepEqual(findUnsafeCommands(Buffer.from(STRIPPED, 'hex')), []);
+  });
+
+  test('NV graphics and power off are unsafe, printing them is not', () => {
+    const names = (data) => findUnsafeCommands(Buffer.from(data, 'hex')).map(command => command.name);
+    assert.deepEqual(names('1d284c0200' + '3041'), ['GS ( L']); // Define NV graphics
+    assert.deepEqual(names('1d284c0200' + '3045'), []); // Print NV graphics
+    assert.deepEqual(names('1014020108'), ['DLE DC4']); // Power off
+    assert.deepEqual(names('1c67310000000000' + '0200' + 'abcd'), ['FS g']); // Write NV user memory
+  });
+});
+
+describe('stripUnsafeCommands', () => {
+  test('removes exactly the unsafe commands', () => {
+    assert.equal(hex(stripUnsafeCommands(UNSAFE)), STRIPPED);
+  });
+
+  test('stripPeripheralCommands removes drawer kicks and beeps', () => {
+    assert.equal(hex(stripPeripheralCommands(PERIPHERALS)), '546f74616c0a' + '1d564103');
+  });
+});
+
+describe('describeEscPos', () => {
+  test('lists every command for a dry run', () => {
+    const listing = describeEscPos(UNSAFE);
+    assert.equal(listing.length, 11);
+    assert.deepEqual(listing[3], {
+      offset: 5,
+      length: 9,
+      hex: '1d 28 45 04 00 03 01 32 31',
+      type: 'command',
+      name: 'GS ( E',
+      description: 'User setup (memory switches)',
+      dangerous: true,
+      truncated: false
+    });
+    assert.deepEqual(listing[1], { offset: 2, length: 2, hex: '48 69', type: 'text', text: 'Hi' });
+    assert.deepEqual(listing.filter(entry => entry.dangerous || entry.truncated).map(entry => entry.name), [
+      'GS ( E', 'FS q', 'ESC =', 'ESC a'
+    ]);
+  });
+
+  test('decodes text in the selected code page', () => {
+    const listing = describeEscPos(Buffer.from('1b7410' + '80', 'hex'));
+    assert.equal(listing[1].text, '€');
+  });
+});
+
+describe('decodePayload', () => {
+  test('hex and base64', () => {
+    assert.equal(hex(decodePayload('1b 40 0a', 'hex')), '1b400a');
+    assert.equal(hex(decodePayload(Buffer.from([0x1b, 0x40]).toString('base64'))), '1b40');
+  });
+
+  test('rejects invalid data', () => {
+    assert.throws(() => decodePayload('1b4', 'hex'), { code: 'VALIDATION', message: 'Invalid payload: data is not valid hex' });
+    assert.throws(() => decodePayload('!!', 'base64'), { code: 'VALIDATION', message: 'Invalid payload: data is not valid base64' });
+    assert.throws(() => decodePayload('', 'hex'), { code: 'VALIDATION' });
+  });
+});
+
+describe('POST /print/raw', () => {
+  const DEVICE = 'virtual-printer';
+  const KEY = { 'X-API-Key': 'raw-client-key-0123456789' };
+  let service;
+  let api;
+
+  before(async () => {
+    service = await startService({}, {
+      files: {
+        'auth.json': {
+          keys: [{ name: 'till', key: KEY['X-API-Key'], scopes: ['admin'], rateLimit: { requests: 2, window: 600 } }]
+        }
+      }
+    });
+    api = (route, body) => service.api(route, body, undefined, KEY);
+    await api('/connect', { deviceId: DEVICE });
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  beforeEach(async () => {
+    await service.api(`/virtual/output?deviceId=${DEVICE}`, undefined, 'DELETE', KEY);
+  });
+
+  const transcript = async () => (await api(`/virtual/output?deviceId=${DEVICE}`))[1].transcript;
+
+  test('rejects unsafe payloads with every unsafe command in the details', async () => {
+    const [status, body] = await api('/print/raw', { deviceId: DEVICE, data: hex(UNSAFE), encoding: 'hex', validate: 'reject' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION');
+    assert.equal(body.error, 'Payload contains unsafe commands: GS ( E, FS q, ESC =, ESC a');
+    assert.deepEqual(body.details.map(({ path, offset, name }) => [path, offset, name]), [
+      ['data', 5, 'GS ( E'], ['data', 16, 'FS q'], ['data', 31, 'ESC ='], ['data', 36, 'ESC a']
+    ]);
+  });
+
+  test('lists a dry run without printing or counting it', async () => {
+    for (let i = 0; i < 3; i++) {
+      const [status, body] = await api('/print/raw', { data: hex(UNSAFE), encoding: 'hex', dryRun: true });
+      assert.equal(status, 200);
+      assert.equal(body.length, UNSAFE.length);
+      assert.equal(body.unsafe, 4);
+    }
+    assert.deepEqual(await transcript(), []);
+  });
+
+  test('prints the payload with the unsafe commands stripped', async () => {
+    const [status] = await api('/print/raw', { deviceId: DEVICE, data: hex(UNSAFE), encoding: 'hex', validate: 'strip' });
+    assert.equal(status, 200);
+    assert.deepEqual(await transcript(), ['Hi', 'A', 'B']);
+
+    // The printer also received the status queries sent before the job
+    const [, commands] = await api(`/virtual/output?deviceId=${DEVICE}&format=commands`);
+    const printed = commands.filter(entry => entry.name !== 'DLE EOT');
+    assert.equal(printed.map(entry => entry.hex.replace(/ /g, '')).join(''), STRIPPED);
+  });
+
+  test('counts printed payloads towards the rate limit', async () => {
+    // The rejected payload and the dry runs above weren't counted
+    assert.equal((await api('/print/raw', { deviceId: DEVICE, data: STRIPPED, encoding: 'hex' }))[0], 200);
+    const [status, body] = await api('/print/raw', { deviceId: DEVICE, data: STRIPPED, encoding: 'hex' });
+    assert.equal(status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+  });
+});
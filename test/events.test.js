@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { startService } from './service.js';
+
+// GET /events, read while jobs run on a virtual printer
+
+const DEVICE = 'virtual-printer';
+const WAIT_TIMEOUT = 5000;
+
+// Opens an event stream and collects its events. `next(predicate)` waits
+// for the first collected event that matches; `close()` ends the stream.
+async function openEvents(url, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { headers, signal: controller.signal });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+  const events = [];
+  const waiting = new Set();
+  const reading = (async () => {
+    const decoder = new TextDecoder();
+    let buffered = '';
+    try {
+      for await (const chunk of response.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffered.indexOf('\n\n')) !== -1) {
+          const message = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const data = message.split('\n').find(line => line.startsWith('data: '));
+          if (data) {
+            events.push(JSON.parse(data.slice(6)));
+            waiting.forEach(check => check());
+          }
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        throw error;
+      }
+    }
+  })();
+
+  function next(predicate) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const event = events.find(predicate);
+        if (event) {
+          clearTimeout(timer);
+          waiting.delete(check);
+          resolve(event);
+        }
+      };
+      const timer = setTimeout(() => {
+        waiting.delete(check);
+        reject(new Error(`No matching event in:\n${events.map(event => event.type).join('\n')}`));
+      }, WAIT_TIMEOUT);
+      waiting.add(check);
+      check();
+    });
+  }
+
+  async function close() {
+    controller.abort();
+    await reading;
+  }
+
+  return { events, next, close };
+}
+
+describe('GET /events', () => {
+  let service;
+  let api;
+
+  before(async () => {
+    service = await startService();
+    api = service.api;
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  test('reports the connection, the printer status and a job from start to finish', async () => {
+    const stream = await openEvents(`${service.url}/events?deviceId=${DEVICE}`);
+    try {
+      assert.equal((await api('/connect', { deviceId: DEVICE }))[0], 200);
+      await stream.next(event => event.type === 'printer.connection' && event.state === 'connected');
+
+      const [status, job] = await api('/print/text?async=true', { deviceId: DEVICE, text: 'Streamed' });
+      assert.equal(status, 202);
+      await stream.next(event => event.type === 'job.completed' && event.job.id === job.jobId);
+
+      const connection = stream.events.filter(event => event.type === 'printer.connection').map(event => event.state);
+      assert.deepEqual(connection, ['connecting', 'connected']);
+
+      // Progress events carry the job's ID and bytes, the others the job
+      const forJob = stream.events.filter(event => (event.job ? event.job.id : event.jobId) === job.jobId);
+      const types = forJob.map(event => event.type);
+      assert.equal(types[0], 'job.queued');
+      assert.equal(types[1], 'job.started');
+      assert.equal(types.at(-1), 'job.completed');
+      const progress = forJob.slice(2, -1);
+      assert.ok(progress.length > 0 && progress.every(event => event.type === 'job.progress'), types.join(', '));
+      assert.deepEqual([forJob[0], forJob[1], forJob.at(-1)].map(event => event.job.status), ['queued', 'printing', 'done']);
+
+      // The last progress event is for every byte
+      assert.equal(progress.at(-1).bytesWritten, progress.at(-1).totalBytes);
+      assert.equal(progress.at(-1).percent, 100);
+
+      // The printer's status was reported before the job printed
+      const printerStatus = stream.events.find(event => event.type === 'printer.status');
+      assert.ok(printerStatus.id < progress[0].id, types.join(', '));
+      assert.equal(printerStatus.deviceId, DEVICE);
+      assert.equal(printerStatus.status.paperOut, false);
+
+      // Events arrive in the order they happened
+      const ids = stream.events.map(event => event.id);
+      assert.deepEqual(ids, [...ids].sort((a, b) => a - b));
+    } finally {
+      await stream.close();
+    }
+  });
+
+  test('reports a failed job and the paused and resumed queue', async () => {
+    const stream = await openEvents(`${service.url}/events?types=job.*,queue.*,printer.status`);
+    try {
+      await api('/virtual/simulate', { deviceId: DEVICE, paperOut: true });
+      const [status, job] = await api('/print/text?async=true', { deviceId: DEVICE, text: 'No paper' });
+      assert.equal(status, 202);
+      const paused = await stream.next(event => event.type === 'queue.paused');
+
+      await api('/virtual/simulate', { deviceId: DEVICE, paperOut: false });
+      assert.equal((await api('/jobs/resume', { deviceId: DEVICE }))[0], 200);
+      const resumed = await stream.next(event => event.type === 'queue.resumed');
+
+      const failed = stream.events.find(event => event.type === 'job.failed');
+      assert.equal(failed.job.id, job.jobId);
+      assert.equal(failed.job.errorCode, 'PAPER_OUT');
+      assert.equal(paused.code, 'PAPER_OUT');
+      assert.equal(resumed.code, 'PAPER_OUT');
+
+      const paperOut = stream.events.find(event => event.type === 'printer.status' && event.status.paperOut);
+      assert.ok(paperOut.id < failed.id && failed.id < resumed.id, stream.events.map(event => event.type).join(', '));
+      assert.ok(stream.events.every(event => /^(job|queue)\.|^printer\.status$/.test(event.type)));
+    } finally {
+      await stream.close();
+    }
+  });
+
+  test('sends the events a reconnecting client missed', async () => {
+    const first = await openEvents(`${service.url}/events?types=job.*`);
+    let queued;
+    try {
+      const [, job] = await api('/print/text?async=true', { deviceId: DEVICE, text: 'Missed' });
+      queued = await first.next(event => event.type === 'job.queued' && event.job.id === job.jobId);
+    } finally {
+      await first.close();
+    }
+
+    // Whatever came after job.queued is sent again, up to the job finishing
+    const again = await openEvents(`${service.url}/events?types=job.*`, { 'Last-Event-ID': String(queued.id) });
+    try {
+      const completed = await again.next(event => event.type === 'job.completed' && event.job.id === queued.job.id);
+      assert.equal(again.events[0].type, 'job.started');
+      assert.ok(again.events.every(event => event.id > queued.id));
+      assert.ok(completed.id > again.events[0].id);
+    } finally {
+      await again.close();
+    }
+  });
+});
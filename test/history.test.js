@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { JobHistory } from '../history.js';
+
+// A finished job, as the job store has it once its promise settled
+let count = 0;
+function finishedJob(createdAt = new Date().toISOString()) {
+  const id = `job-${++count}`;
+  return {
+    id,
+    deviceId: 'printer',
+    type: 'text',
+    status: 'done',
+    progress: { totalBytes: 10, bytesWritten: 10 },
+    error: null,
+    errorCode: null,
+    createdAt,
+    finishedAt: createdAt,
+    promise: Promise.resolve(true)
+  };
+}
+
+const lines = async (file) => (await readFile(file, 'utf8')).split('\n').filter(Boolean);
+
+describe('JobHistory', () => {
+  let dir;
+  let file;
+  let limits;
+  let history;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'printer-history-'));
+    file = path.join(dir, 'history.jsonl');
+    limits = { retentionDays: 90, maxEntries: 4, maxPayloadBytes: 100 };
+    history = new JobHistory(file, () => limits);
+    await history.load();
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps payloads on disk, not in the entries', async () => {
+    const entry = history.record(finishedJob(), { route: '/print/text', payload: { text: 'Hello' } });
+    assert.equal(entry.payload, undefined);
+    assert.equal(entry.reprintable, true);
+
+    assert.deepEqual(await history.getPayload(entry), { text: 'Hello' });
+    assert.deepEqual(await readdir(path.join(dir, 'history-payloads')), [`${entry.id}.json`]);
+    const reprint = await history.getReprintable(entry.id);
+    assert.deepEqual(reprint.payload, { text: 'Hello' });
+  });
+
+  test('large payloads are not kept', async () => {
+    const entry = history.record(finishedJob(), { route: '/print/text', payload: { text: 'x'.repeat(200) } });
+    assert.equal(entry.reprintable, false);
+    assert.equal(await history.getPayload(entry), null);
+    await assert.rejects(history.getReprintable(entry.id), { code: 'JOB_NOT_REPRINTABLE' });
+  });
+
+  test('compacts the file in batches, not for every job', async () => {
+    for (let i = 0; i < 4; i++) {
+      history.record(finishedJob(), { route: '/print/text', payload: { text: `Job ${i}` } });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await history.writing;
+
+    // Six jobs over a limit of four: the two oldest were dropped with their
+    // payloads. The file is only rewritten once it passes six lines, so in
+    // between it has more lines than entries.
+    assert.equal(history.list().length, 4);
+    assert.equal((await readdir(path.join(dir, 'history-payloads'))).length, 4);
+    const written = (await lines(file)).length;
+    assert.ok(written > 4 && written <= limits.maxEntries * 1.5, `${written} lines`);
+  });
+
+  test('reads entries and payloads back after a restart', async () => {
+    await history.writing;
+    const restored = new JobHistory(file, () => limits);
+    await restored.load();
+
+    const entries = restored.list();
+    assert.deepEqual(entries.map(entry => entry.id), history.list().map(entry => entry.id));
+    assert.deepEqual(await restored.getPayload(entries[0]), { text: 'Job 3' });
+  });
+
+  test('drops expired entries and their payloads', async () => {
+    const old = history.record(finishedJob('2000-01-01T00:00:00.000Z'), { route: '/print/text', payload: { text: 'Old' } });
+    await new Promise(resolve => setImmediate(resolve));
+    await history.writing;
+
+    assert.equal(history.get(old.id), null);
+    assert.ok(!(await readdir(path.join(dir, 'history-payloads'))).includes(`${old.id}.json`));
+  });
+});
+
+describe('JobHistory in memory', () => {
+  test('keeps payloads without a file', async () => {
+    const history = new JobHistory(null, () => ({ retentionDays: 90, maxEntries: 10, maxPayloadBytes: 100 }));
+    await history.load();
+    const entry = history.record(finishedJob(), { route: '/print/text', payload: { text: 'Hello' } });
+    assert.deepEqual(await history.getPayload(entry), { text: 'Hello' });
+  });
+});
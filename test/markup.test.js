@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { markupToBlocks } from '../markup.js';
+import { renderDocument } from '../document.js';
+
+// ESC E 0, ESC - 0, GS B 0 and GS ! 0, sent at the end of every styled
+// text block
+const RESET = '1b4500' + '1b2d00' + '1d4200' + '1d2100';
+
+const render = async (text, options) =>
+  (await renderDocument({ blocks: markupToBlocks(text, options) }, { dotWidth: 384, lineWidth: 32 })).toString('hex');
+
+// The markup's error message, e.g. "Invalid markup: </b> without <b> on line 1"
+function markupError(text) {
+  try {
+    markupToBlocks(text);
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION');
+    assert.deepEqual(error.details.map(detail => detail.path), ['text']);
+    return error.message;
+  }
+  assert.fail(`${text} compiled without an error`);
+}
+
+describe('markupToBlocks', () => {
+  test('styles text between inline tags', () => {
+    assert.deepEqual(markupToBlocks('Total: <b>R10 <u>now</u></b> <inv>PAID</inv> <2x>!</2x>'), [{
+      type: 'text',
+      align: 'left',
+      spans: [
+        { text: 'Total: ' },
+        { text: 'R10 ', bold: true },
+        { text: 'now', bold: true, underline: true },
+        { text: ' ' },
+        { text: 'PAID', invert: true },
+        { text: ' ' },
+        { text: '!', size: 2 }
+      ]
+    }]);
+  });
+
+  test('tags are case-insensitive', () => {
+    assert.deepEqual(markupToBlocks('<B>a</b><INV>b</Inv><CENTER>c</center><2X>d</2x>'), markupToBlocks('<b>a</b><inv>b</inv><center>c</center><2x>d</2x>'));
+  });
+
+  test('entities and literal <', () => {
+    assert.deepEqual(markupToBlocks('price < 5 &amp; &lt;b&gt; &AMP;').flatMap(block => block.spans).map(span => span.text).join(''),
+      'price < 5 & <b> &');
+  });
+
+  test('aligns whole lines and starts a new block when the alignment changes', () => {
+    assert.deepEqual(markupToBlocks('<center>Shop\nStreet</center>\nItem'), [
+      { type: 'text', align: 'center', spans: [{ text: 'Shop' }, { text: '\n' }, { text: 'Street' }] },
+      { type: 'text', align: 'left', spans: [{ text: 'Item' }] }
+    ]);
+  });
+
+  test('block tags stand on their own line', () => {
+    assert.deepEqual(markupToBlocks('Top<hr>\nMiddle\n<feed 3>\n<cut>'), [
+      { type: 'text', align: 'left', spans: [{ text: 'Top' }] },
+      { type: 'separator' },
+      { type: 'text', align: 'left', spans: [{ text: 'Middle' }] },
+      { type: 'feed', lines: 3 },
+      { type: 'cut' }
+    ]);
+  });
+
+  test('plain mode keeps the layout and drops the styles', () => {
+    assert.deepEqual(markupToBlocks('<center><b>Shop</b></center>\n<hr>\n<2x>Total</2x>', { mode: 'plain' }), [
+      { type: 'text', align: 'center', spans: [{ text: 'Shop' }] },
+      { type: 'separator' },
+      { type: 'text', align: 'left', spans: [{ text: 'Total' }] }
+    ]);
+  });
+});
+
+describe('markup errors', () => {
+  test('closing tags without an opening tag', () => {
+    assert.equal(markupError('<b>bold</b></b>'), 'Invalid markup: </b> without <b> on line 1');
+    assert.equal(markupError('one\n<u>two</inv>'), 'Invalid markup: </inv> without <inv> on line 2');
+  });
+
+  test('sizes and alignments close in order', () => {
+    assert.equal(markupError('<2x><3x>big</2x></3x>'), 'Invalid markup: </2x> without <2x> on line 1');
+    assert.equal(markupError('<center><right>x</center></right>'), 'Invalid markup: </center> without <center> on line 1');
+  });
+
+  test('unknown tags and bad values', () => {
+    assert.equal(markupError('<bold>x</bold>'), 'Invalid markup: unknown tag <bold> (write &lt; for a literal <) on line 1');
+    assert.equal(markupError('<9x>x'), 'Invalid markup: unknown tag <9x> (write &lt; for a literal <) on line 1');
+    assert.equal(markupError('a <b=1>'), 'Invalid markup: unknown tag <b=1> (write &lt; for a literal <) on line 1');
+    assert.equal(markupError('<b 2>x</b>'), 'Invalid markup: <b> takes no value on line 1');
+    assert.equal(markupError('<feed 0>'), 'Invalid markup: <feed> takes 1 to 255 lines on line 1');
+  });
+
+  test('separators, cuts and alignment take no value or attributes', () => {
+    assert.equal(markupError('Top\n<hr 2>'), 'Invalid markup: <hr> takes no value on line 2');
+    assert.equal(markupError('<cut 1>'), 'Invalid markup: <cut> takes no value on line 1');
+    assert.equal(markupError('<center 2>x</center>'), 'Invalid markup: <center> takes no value on line 1');
+    assert.equal(markupError('<hr class="thick">'), 'Invalid markup: unknown tag <hr class="thick"> (write &lt; for a literal <) on line 1');
+    assert.equal(markupError('<feed lines=3>'), 'Invalid markup: unknown tag <feed lines=3> (write &lt; for a literal <) on line 1');
+    assert.equal(markupError('<cut partial>'), 'Invalid markup: unknown tag <cut partial> (write &lt; for a literal <) on line 1');
+    assert.equal(markupError('x</hr>'), 'Invalid markup: unknown tag </hr> (write &lt; for a literal <) on line 1');
+  });
+
+  test('unclosed tags are not an error', () => {
+    assert.doesNotThrow(() => markupToBlocks('<b><center>still bold'));
+  });
+});
+
+describe('rendered markup', () => {
+  test('sends only the styles that change', async () => {
+    const hex = await render('<b>Bold <u>both</u></b>');
+    assert.ok(hex.includes('1b4501' + Buffer.from('Bold ').toString('hex') + '1b2d01' + Buffer.from('both').toString('hex')), hex);
+  });
+
+  test('resets every style at block boundaries', async () => {
+    const hex = await render('<b><u><inv><2x>Styled\n<hr>\nStill styled');
+    const separator = '1b6100' + '2d'.repeat(32);
+    assert.ok(hex.includes(Buffer.from('Styled').toString('hex') + '0a' + RESET + separator), hex);
+
+    // The tags are still open, so the next block styles its text again
+    const after = hex.slice(hex.indexOf(separator) + separator.length);
+    assert.ok(after.includes('1b4501' + '1b2d01' + '1d4201' + '1d2111'), after);
+  });
+
+  test('resets every style at the end of the document', async () => {
+    const hex = await render('<b><u><inv><3x>Unclosed');
+    assert.ok(hex.endsWith(Buffer.from('Unclosed').toString('hex') + '0a' + RESET), hex);
+  });
+
+  test('plain mode sends no styles', async () => {
+    const hex = await render('<b><u><inv><2x>Plain</2x></inv></u></b>', { mode: 'plain' });
+    for (const command of ['1b4501', '1b2d01', '1d4201', '1d2111']) {
+      assert.ok(!hex.includes(command), `${command} in ${hex}`);
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { after, before, describe, test } from 'node:test';
+import sharp from 'sharp';
+import { startService } from './service.js';
+
+// Golden image tests: receipt previews are compared dot for dot with the
+// PNGs in test/golden. After a deliberate change to the layout, regenerate
+// them with UPDATE_GOLDEN=1 npm test and check the new images by eye.
+
+const GOLDEN = new URL('./golden/', import.meta.url);
+
+const RECEIPT = {
+  title: 'Greenfield Primary',
+  schoolName: 'Tuck shop',
+  saleDate: '2024-03-14 10:30',
+  currency: 'ZAR',
+  locale: 'en-ZA',
+  items: [
+    { name: 'Café latte', price: 28.5 },
+    { name: 'Cheese sandwich', price: 32, qty: 2 },
+    { name: 'Fruit juice', price: 15 }
+  ],
+  tax: { rate: 15, inclusive: true, name: 'VAT' },
+  payments: [{ method: 'Card', amount: 107.5 }],
+  footer: 'Thank you!',
+  qr: 'https://example.com/receipts/1042',
+  barcode: { type: 'CODE128', data: 'R-1042' }
+};
+
+async function pixels(png) {
+  const { data, info } = await sharp(png).greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data };
+}
+
+describe('receipt preview', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  for (const profile of ['58mm', '80mm']) {
+    test(`matches the golden image at ${profile}`, async () => {
+      const response = await fetch(`${service.url}/preview`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ...RECEIPT, profile })
+      });
+      assert.equal(response.status, 200, await response.clone().text());
+      const png = Buffer.from(await response.arrayBuffer());
+
+      const file = new URL(`receipt-${profile}.png`, GOLDEN);
+      if (process.env.UPDATE_GOLDEN) {
+        await writeFile(file, png);
+      }
+
+      const actual = await pixels(png);
+      const expected = await pixels(await readFile(file));
+      assert.equal(actual.width, expected.width);
+      assert.equal(actual.height, expected.height);
+      const differing = actual.data.reduce((count, value, i) => count + (value !== expected.data[i] ? 1 : 0), 0);
+      assert.equal(differing, 0, `${differing} dots differ from test/golden/receipt-${profile}.png`);
+    });
+  }
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { PaperOutError, CoverOpenError } from '../errors.js';
+import { StatusReader, getBlockingError, parseStatusResponses } from '../printer-status.js';
+
+// Responses to DLE EOT 1, 2, 3 and 4, recorded from an ESC/POS printer
+const RECORDED = {
+  ready: [0x16, 0x12, 0x12, 0x12],
+  paperNearEnd: [0x16, 0x12, 0x12, 0x1e],
+  paperOut: [0x1e, 0x32, 0x12, 0x72],
+  coverOpen: [0x1e, 0x16, 0x12, 0x12]
+};
+
+// A printer that answers each DLE EOT n query with its recorded byte, after
+// some unrelated bytes on the same channel
+function recordedPrinter(responses) {
+  const queries = [];
+  const reader = new StatusReader(async (command) => {
+    queries.push([...command]);
+    const response = responses[command[2] - 1];
+    setImmediate(() => reader.feed(Buffer.from([0x00, 0xff, response])));
+  }, 100);
+  return { reader, queries };
+}
+
+describe('parseStatusResponses', () => {
+  test('a ready printer', () => {
+    const status = parseStatusResponses(RECORDED.ready);
+    assert.equal(status.supported, true);
+    assert.equal(status.online, true);
+    assert.equal(status.paperOut, false);
+    assert.equal(status.paperNearEnd, false);
+    assert.equal(status.coverOpen, false);
+    assert.equal(status.cutterError, false);
+    assert.equal(status.overheated, null);
+    assert.equal(status.lowBattery, null);
+    assert.deepEqual(status.raw, ['0x16', '0x12', '0x12', '0x12']);
+    assert.equal(getBlockingError(status), null);
+  });
+
+  test('paper near end still prints', () => {
+    const status = parseStatusResponses(RECORDED.paperNearEnd);
+    assert.equal(status.paperNearEnd, true);
+    assert.equal(status.paperOut, false);
+    assert.equal(getBlockingError(status), null);
+  });
+
+  test('paper out', () => {
+    const status = parseStatusResponses(RECORDED.paperOut);
+    assert.equal(status.online, false);
+    assert.equal(status.paperOut, true);
+    assert.equal(status.coverOpen, false);
+
+    const error = getBlockingError(status);
+    assert.ok(error instanceof PaperOutError);
+    assert.equal(error.code, 'PAPER_OUT');
+  });
+
+  test('paper out reported only by the offline cause', () => {
+    const status = parseStatusResponses([0x1e, 0x32, 0x12, null]);
+    assert.equal(status.paperOut, true);
+    assert.equal(status.paperNearEnd, null);
+  });
+
+  test('cover open', () => {
+    const status = parseStatusResponses(RECORDED.coverOpen);
+    assert.equal(status.online, false);
+    assert.equal(status.coverOpen, true);
+    assert.equal(status.paperOut, false);
+
+    const error = getBlockingError(status);
+    assert.ok(error instanceof CoverOpenError);
+    assert.equal(error.code, 'COVER_OPEN');
+  });
+
+  test('no response', () => {
+    const status = parseStatusResponses([null]);
+    assert.deepEqual(status, { supported: false });
+    assert.equal(getBlockingError(status), null);
+  });
+});
+
+describe('StatusReader', () => {
+  test('sends DLE EOT 1-4 and reads the responses in order', async () => {
+    const { reader, queries } = recordedPrinter(RECORDED.paperOut);
+    const status = await reader.readStatus();
+
+    assert.deepEqual(queries, [[0x10, 0x04, 1], [0x10, 0x04, 2], [0x10, 0x04, 3], [0x10, 0x04, 4]]);
+    assert.deepEqual(status.raw, ['0x1e', '0x32', '0x12', '0x72']);
+    assert.equal(status.paperOut, true);
+  });
+
+  test('cover open', async () => {
+    const { reader } = recordedPrinter(RECORDED.coverOpen);
+    const status = await reader.readStatus();
+    assert.equal(status.coverOpen, true);
+    assert.ok(getBlockingError(status) instanceof CoverOpenError);
+  });
+
+  test('a printer that never answers is reported as unsupported', async () => {
+    const queries = [];
+    const reader = new StatusReader(async (command) => { queries.push([...command]); }, 20);
+    const status = await reader.readStatus();
+
+    assert.deepEqual(status, { supported: false });
+    assert.deepEqual(queries, [[0x10, 0x04, 1]]);
+  });
+
+  test('a missing response leaves its fields null', async () => {
+    const reader = new StatusReader(async (command) => {
+      if (command[2] !== 3) {
+        setImmediate(() => reader.feed([RECORDED.ready[command[2] - 1]]));
+      }
+    }, 20);
+    const status = await reader.readStatus();
+
+    assert.equal(status.supported, true);
+    assert.equal(status.cutterError, null);
+    assert.equal(status.paperOut, false);
+  });
+
+  test('bytes arriving when no query is waiting are ignored', async () => {
+    const { reader } = recordedPrinter(RECORDED.ready);
+    reader.feed([0x72]);
+    const status = await reader.readStatus();
+    assert.equal(status.paperOut, false);
+  });
+
+  test('a failed write rejects the query and frees the reader', async () => {
+    let fail = true;
+    const reader = new StatusReader(async (command) => {
+      if (fail) {
+        throw new Error('write failed');
+      }
+      setImmediate(() => reader.feed([RECORDED.ready[command[2] - 1]]));
+    }, 20);
+
+    await assert.rejects(reader.query(1), /write failed/);
+    fail = false;
+    assert.equal(await reader.query(1), 0x16);
+  });
+});
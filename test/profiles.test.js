@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { resolveProfile, validateProfile } from '../profiles.js';
+
+describe('resolveProfile', () => {
+  test('58mm and 80mm paper', () => {
+    assert.deepEqual(resolveProfile(), { profile: '58mm', dotWidth: 384, font: 'A', lineWidth: 32 });
+    assert.deepEqual(resolveProfile({ profile: '80mm' }), { profile: '80mm', dotWidth: 576, font: 'A', lineWidth: 48 });
+  });
+
+  test('font B fits more characters on a line', () => {
+    assert.equal(resolveProfile({ font: 'B' }).lineWidth, 42);
+    assert.equal(resolveProfile({ profile: '80mm', font: 'B' }).lineWidth, 64);
+  });
+
+  test('a custom dot width', () => {
+    assert.deepEqual(resolveProfile({ profile: 'custom', dotWidth: 512 }), { profile: 'custom', dotWidth: 512, font: 'A', lineWidth: 42 });
+  });
+
+  test('unknown profile names print as 58mm', () => {
+    const { dotWidth, lineWidth } = resolveProfile({ profile: '110mm' });
+    assert.deepEqual({ dotWidth, lineWidth }, { dotWidth: 384, lineWidth: 32 });
+  });
+});
+
+describe('validateProfile', () => {
+  test('rejects unknown profile names', () => {
+    assert.throws(() => validateProfile({ profile: '110mm' }), {
+      code: 'VALIDATION',
+      message: 'Invalid profile: must be one of 58mm, 80mm, custom',
+      details: [{ path: 'profile', message: 'must be one of 58mm, 80mm, custom' }]
+    });
+  });
+
+  test('custom profiles need a dot width that fits the printer', () => {
+    assert.throws(() => validateProfile({ profile: 'custom' }), { message: 'Invalid profile: custom profiles need a dotWidth' });
+    assert.throws(() => validateProfile({ profile: 'custom', dotWidth: 500 }), { message: 'Invalid profile: dotWidth must be a multiple of 8 between 96 and 2048' });
+    assert.throws(() => validateProfile({ font: 'C' }), { message: 'Invalid profile: font must be A or B' });
+    assert.doesNotThrow(() => validateProfile({ profile: '80mm', font: 'B' }));
+  });
+});
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildRasterCommands, dither, packBits } from '../raster.js';
+
+describe('dither', () => {
+  test('threshold turns pixels darker than the threshold black', () => {
+    assert.deepEqual([...dither([0, 127, 128, 255], 4, 1, 'threshold')], [1, 1, 0, 0]);
+    assert.deepEqual([...dither([0, 127, 128, 255], 4, 1, 'threshold', 200)], [1, 1, 1, 0]);
+  });
+
+  test('error diffusion keeps the average grey', () => {
+    const grey = new Array(64).fill(128);
+    for (const mode of ['floyd-steinberg', 'atkinson']) {
+      const black = dither(grey, 8, 8, mode).reduce((sum, bit) => sum + bit, 0);
+      assert.ok(black > 16 && black < 48, `${mode}: ${black} of 64 black`);
+    }
+  });
+
+  test('rejects unknown modes as invalid', () => {
+    assert.throws(() => dither([0], 1, 1, 'halftone'), {
+      code: 'VALIDATION',
+      message: 'Invalid image: dither must be one of threshold, floyd-steinberg, atkinson',
+      details: [{ path: 'dither', message: 'must be one of threshold, floyd-steinberg, atkinson' }]
+    });
+  });
+});
+
+describe('raster commands', () => {
+  test('packs rows MSB first and sends them as GS v 0', () => {
+    const { data, bytesPerRow } = packBits([1, 0, 0, 0, 0, 0, 0, 1, 1], 9, 1);
+    assert.equal(bytesPerRow, 2);
+    assert.equal(data.toString('hex'), '8180');
+
+    assert.equal(buildRasterCommands(data, bytesPerRow, 1).toString('hex'), '1d763000' + '0200' + '0100' + '8180');
+  });
+});
@@ -0,0 +1,167 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { computeReceipt, createFormatter } from '../receipt.js';
+
+// Receipt figures are in minor units (cents), formatted for the default
+// ZAR and en-ZA unless a test says otherwise
+const format = createFormatter();
+const compute = (receipt) => computeReceipt(receipt, format);
+
+describe('computeReceipt', () => {
+  test('tax-exclusive totals add the tax', () => {
+    const receipt = compute({ items: [{ name: 'Tea', unitPrice: 100 }], tax: { rate: 15 } });
+    assert.equal(receipt.subtotal, 10000);
+    assert.deepEqual(receipt.taxes, [{ rate: 15, base: 10000, amount: 1500 }]);
+    assert.equal(receipt.total, 11500);
+    assert.equal(receipt.inclusive, false);
+  });
+
+  test('tax-inclusive totals include the tax', () => {
+    const receipt = compute({ items: [{ name: 'Tea', unitPrice: 100 }], tax: { rate: 15, inclusive: true } });
+    assert.deepEqual(receipt.taxes, [{ rate: 15, base: 10000, amount: 1304 }]);
+    assert.equal(receipt.total, 10000);
+  });
+
+  test('quantities, item discounts and rounding per line', () => {
+    const receipt = compute({
+      items: [
+        { name: 'Tea', qty: 3, unitPrice: 0.335 },
+        { name: 'Scone', qty: 2, unitPrice: 12.5, discount: { percent: 10 } },
+        { name: 'Cake', unitPrice: 10, discount: 2.5 }
+      ]
+    });
+    assert.deepEqual(receipt.lines.map(({ gross, discount, net }) => [gross, discount, net]), [
+      [102, 0, 102],
+      [2500, 250, 2250],
+      [1000, 250, 750]
+    ]);
+    assert.equal(receipt.lines[1].discountPercent, 10);
+    assert.equal(receipt.subtotal, 3102);
+    assert.equal(receipt.total, 3102);
+  });
+
+  test('percent and fixed receipt discounts apply one after the other', () => {
+    const receipt = compute({
+      items: [{ name: 'Tea', unitPrice: 100 }],
+      discounts: [{ name: 'Staff', percent: 10 }, { amount: 5 }, { percent: 12.5 }]
+    });
+    assert.deepEqual(receipt.discounts, [
+      { name: 'Staff', amount: 1000 },
+      { name: 'Discount', amount: 500 },
+      { name: 'Discount 12.5%', amount: 1063 }
+    ]);
+    assert.equal(receipt.total, 10000 - 1000 - 500 - 1063);
+  });
+
+  test('receipt discounts are shared between tax rates, remainders included', () => {
+    const receipt = compute({
+      items: [
+        { name: 'Standard', unitPrice: 1, taxRate: 15 },
+        { name: 'Zero rated', unitPrice: 1, taxRate: 0 },
+        { name: 'Reduced', unitPrice: 1, taxRate: 10 }
+      ],
+      discounts: [{ amount: 0.01 }, { amount: 0.01 }]
+    });
+    // Two cents over three equal items: the first two items take one each
+    assert.deepEqual(receipt.taxes, [
+      { rate: 10, base: 100, amount: 10 },
+      { rate: 15, base: 99, amount: 15 }
+    ]);
+    assert.equal(receipt.total, 298 + 25);
+  });
+
+  test('shares of a discount add up to the discount', () => {
+    const receipt = compute({
+      items: [{ name: 'A', unitPrice: 3.33, taxRate: 15 }, { name: 'B', unitPrice: 3.33, taxRate: 10 }, { name: 'C', unitPrice: 3.34, taxRate: 5 }],
+      discounts: [{ amount: 1 }],
+      tax: { inclusive: true }
+    });
+    // 33.3, 33.3 and 33.4 cents: the cent left over goes to the largest
+    // remainder, C (listed first, at 5%)
+    assert.equal(receipt.taxes.reduce((sum, entry) => sum + entry.base, 0), 900);
+    assert.deepEqual(receipt.taxes.map(entry => entry.base), [300, 300, 300]);
+  });
+
+  test('payments, change and what is still due', () => {
+    const paid = compute({ items: [{ name: 'Tea', unitPrice: 38.47 }], payments: [{ method: 'Cash', amount: 50 }] });
+    assert.equal(paid.tendered, 5000);
+    assert.equal(paid.change, 1153);
+    assert.equal(paid.due, 0);
+
+    const short = compute({ items: [{ name: 'Tea', unitPrice: 38.47 }], payments: [{ amount: 20 }, { method: 'Card', amount: 10 }] });
+    assert.deepEqual(short.payments.map(payment => payment.method), ['Payment', 'Card']);
+    assert.equal(short.change, 0);
+    assert.equal(short.due, 847);
+  });
+
+  test('accepts a matching client total', () => {
+    assert.equal(compute({ items: [{ name: 'Tea', unitPrice: '10.00', qty: '2' }], tax: { rate: 15 }, total: '23' }).total, 2300);
+  });
+
+  test('rejects a client total that does not match', () => {
+    assert.throws(() => compute({ items: [{ name: 'Tea', unitPrice: 10 }], tax: { rate: 15 }, total: 10 }), {
+      code: 'VALIDATION',
+      message: 'Invalid receipt: total 10,00 does not match the computed total 11,50',
+      details: [{ path: 'total', message: 'expected 11.5' }]
+    });
+  });
+
+  test('rejects discounts larger than what they come off', () => {
+    assert.throws(() => compute({ items: [{ name: 'Tea', unitPrice: 1, discount: 2 }] }), { message: 'Invalid receipt: items[0].discount is more than the item costs' });
+    assert.throws(() => compute({ items: [{ name: 'Tea', unitPrice: 1 }], discounts: [{ percent: 101 }] }), { message: 'Invalid receipt: discounts[0].percent must be at most 100' });
+    assert.throws(() => compute({ items: [{ name: 'Tea', unitPrice: 1 }], discounts: [{ amount: 1, percent: 5 }] }), { message: 'Invalid receipt: discounts[0] needs either amount or percent' });
+  });
+});
+
+describe('createFormatter', () => {
+  test('formats money per locale and currency', () => {
+    const cases = [
+      ['ZAR', 'en-ZA', 'R 1 234 567,89', '1 234 567,89'],
+      ['EUR', 'de-DE', '1.234.567,89 €', '1.234.567,89'],
+      ['EUR', 'fr-FR', '1 234 567,89 €', '1 234 567,89'],
+      ['USD', 'en-US', '$1,234,567.89', '1,234,567.89'],
+      ['GBP', 'en-GB', '£1,234,567.89', '1,234,567.89']
+    ];
+    for (const [currency, locale, money, amount] of cases) {
+      const formatter = createFormatter({ currency, locale });
+      assert.equal(formatter.money(123456789), money, `${currency} ${locale}`);
+      assert.equal(formatter.amount(123456789), amount, `${currency} ${locale}`);
+    }
+  });
+
+  test('uses the currency\'s minor units', () => {
+    const yen = createFormatter({ currency: 'JPY', locale: 'ja-JP' });
+    assert.equal(yen.digits, 0);
+    assert.equal(yen.toMinor(1500), 1500);
+    assert.equal(yen.amount(1500), '1,500');
+
+    const dinar = createFormatter({ currency: 'KWD', locale: 'en-US' });
+    assert.equal(dinar.digits, 3);
+    assert.equal(dinar.toMinor(1.5), 1500);
+  });
+
+  test('rounds halves up as written, not as stored', () => {
+    const rand = createFormatter();
+    assert.equal(rand.toMinor(1.005), 101);
+    assert.equal(rand.toMinor(2.675), 268);
+    assert.equal(rand.toMinor('2.675'), 268);
+    assert.equal(rand.toMinor(1.004), 100);
+    assert.equal(rand.toMinor(1e-7), 0);
+    assert.equal(rand.toMinor(1e21), 1e23);
+    assert.equal(createFormatter({ currency: 'KWD', locale: 'en-US' }).toMinor(1.0005), 1001);
+
+    const receipt = computeReceipt({ items: [{ name: 'Tea', unitPrice: 1.005, qty: 2 }] }, rand);
+    assert.equal(receipt.subtotal, 202);
+  });
+
+  test('computes in the currency\'s minor units', () => {
+    const yen = createFormatter({ currency: 'JPY', locale: 'ja-JP' });
+    const receipt = computeReceipt({ items: [{ name: 'Tea', unitPrice: 333, qty: 3 }], discounts: [{ percent: 10 }] }, yen);
+    assert.equal(receipt.total, 899);
+  });
+
+  test('rejects unknown currencies and locales', () => {
+    assert.throws(() => createFormatter({ currency: 'XYZ' }), { code: 'VALIDATION', message: 'Invalid receipt: XYZ is not a currency code' });
+    assert.throws(() => createFormatter({ locale: 'not a locale' }), { code: 'VALIDATION', message: 'Invalid receipt: not a locale is not a supported locale' });
+  });
+});
@@ -0,0 +1,89 @@
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Starts the service in virtual printer mode for end-to-end tests. It runs
+// in a scratch directory, so saved printers, history and config files from
+// one test run never leak into the next. `files` are written into it
+// before the service starts, e.g. { 'auth.json': { keys: [...] } }; objects
+// are written as JSON.
+
+const SERVICE = fileURLToPath(new URL('../index.js', import.meta.url));
+const START_TIMEOUT = 10000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startService(env = {}, { files = {} } = {}) {
+  const port = await freePort();
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'printer-service-'));
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  const child = spawn(process.execPath, [SERVICE], {
+    cwd: dir,
+    env: { ...process.env, PRINTER_MODE: 'virtual', PORT: String(port), HOST: '127.0.0.1', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let log = '';
+  child.stdout.on('data', data => { log += data; });
+  child.stderr.on('data', data => { log += data; });
+
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Service didn't start:\n${log}`)), START_TIMEOUT);
+    child.stdout.on('data', () => {
+      if (log.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Service exited with code ${code}:\n${log}`));
+    });
+  });
+  try {
+    await started;
+  } catch (error) {
+    child.kill();
+    await rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const url = `http://127.0.0.1:${port}`;
+
+  // Returns [status, parsed JSON body]. `headers` are sent along, e.g. an
+  // X-API-Key.
+  async function api(route, body, method = body === undefined ? 'GET' : 'POST', headers = {}) {
+    const response = await fetch(url + route, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return [response.status, text ? JSON.parse(text) : null];
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  return { url, dir, api, stop, log: () => log };
+}
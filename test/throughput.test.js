@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { after, before, describe, test } from 'node:test';
+import { BleTransport } from '../transports.js';
+import { startService } from './service.js';
+
+// BLE write throughput against a mock characteristic, and a whole job over
+// TCP to a fake network printer. Both used to crawl: 20 byte packets with a
+// 50ms pause after each, and fixed sleeps between receipt lines.
+
+const BYTES = 8192;
+const INTERVAL = 7.5; // BLE connection interval in ms
+const PRINTER_BUFFER = 4096;
+const PRINTER_SPEED = 8192; // Bytes per second the printer prints
+
+// 20 byte packets, each acknowledged and followed by a 50ms pause
+const LEGACY_BYTES_PER_SECOND = 20 * 1000 / (50 + INTERVAL);
+
+// Acknowledges a write with response after one connection interval, and
+// models the printer's receive buffer, which fills with every packet and
+// drains at the printer's speed. Overflowing it loses data on a real printer.
+function mockCharacteristic(properties) {
+  const printer = { received: 0, packets: [], buffered: 0, overflow: 0, drainedAt: Date.now() };
+  return {
+    uuid: 'mock',
+    properties,
+    printer,
+    async writeAsync(data, withoutResponse) {
+      printer.packets.push({ length: data.length, withoutResponse });
+      if (!withoutResponse) {
+        await new Promise(resolve => setTimeout(resolve, INTERVAL));
+      }
+
+      const now = Date.now();
+      printer.buffered = Math.max(0, printer.buffered - (now - printer.drainedAt) * PRINTER_SPEED / 1000);
+      printer.drainedAt = now;
+      printer.buffered += data.length;
+      if (printer.buffered > PRINTER_BUFFER) {
+        printer.overflow += printer.buffered - PRINTER_BUFFER;
+        printer.buffered = PRINTER_BUFFER;
+      }
+      printer.received += data.length;
+    }
+  };
+}
+
+function mockTransport({ mtu, properties }) {
+  const transport = new BleTransport({ deviceId: 'mock', services: [] });
+  const characteristic = mockCharacteristic(properties);
+  transport.configureWrites(characteristic, mtu);
+  transport.isOpen = true;
+  return { transport, printer: characteristic.printer };
+}
+
+describe('BLE writes', () => {
+  test('use 20 byte packets with response when the MTU is unknown', () => {
+    const { transport } = mockTransport({ mtu: null, properties: ['write'] });
+    assert.equal(transport.packetSize, 20);
+    assert.equal(transport.withoutResponse, false);
+  });
+
+  test('size packets from the MTU, up to 512 bytes', () => {
+    assert.equal(mockTransport({ mtu: 185, properties: ['write'] }).transport.packetSize, 182);
+    assert.equal(mockTransport({ mtu: 517, properties: ['write'] }).transport.packetSize, 512);
+  });
+
+  for (const [label, options, packetSize] of [
+    ['MTU 185, with response', { mtu: 185, properties: ['write'] }, 182],
+    ['MTU 185, without response', { mtu: 185, properties: ['write', 'writeWithoutResponse'] }, 182],
+    ['MTU 517, without response', { mtu: 517, properties: ['writeWithoutResponse'] }, 512]
+  ]) {
+    test(`${label}: paced without overflowing the printer`, async () => {
+      const { transport, printer } = mockTransport(options);
+      await transport.write(Buffer.alloc(BYTES, 0xaa));
+
+      const { packets, bytesPerSecond } = transport.lastWrite;
+      assert.equal(printer.received, BYTES);
+      assert.equal(packets, Math.ceil(BYTES / packetSize));
+      assert.ok(printer.packets.every(packet => packet.length <= packetSize));
+      assert.ok(printer.packets.every(packet => packet.withoutResponse === transport.withoutResponse));
+      assert.equal(Math.round(printer.overflow), 0, 'printer buffer overflowed');
+      assert.ok(bytesPerSecond > LEGACY_BYTES_PER_SECOND * 10,
+        `${bytesPerSecond} B/s is not much faster than the old ${Math.round(LEGACY_BYTES_PER_SECOND)} B/s`);
+    });
+  }
+
+  test('follow the printer\'s flow control instead of pacing', async () => {
+    const { transport, printer } = mockTransport({ mtu: 517, properties: ['writeWithoutResponse'] });
+    let waits = 0;
+    transport.flowControl = async () => { waits++; };
+
+    const startedAt = Date.now();
+    await transport.write(Buffer.alloc(BYTES * 4));
+    assert.equal(printer.received, BYTES * 4);
+    assert.equal(waits, Math.ceil(BYTES * 4 / 512));
+    // Pacing would take several seconds for this much data
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
+
+describe('TCP printing', () => {
+  let service;
+  let printer;
+  let received = [];
+
+  before(async () => {
+    // Answers status queries (DLE EOT n) as a ready printer and keeps
+    // everything else
+    printer = net.createServer(socket => socket.on('data', (data) => {
+      if (data.length === 3 && data[0] === 0x10 && data[1] === 0x04) {
+        socket.write(Buffer.from([data[2] === 1 ? 0x16 : 0x12]));
+      } else {
+        received.push({ at: Date.now(), data });
+      }
+    }));
+    await new Promise(resolve => printer.listen(0, '127.0.0.1', resolve));
+    service = await startService({ PRINTER_MODE: 'hardware' });
+
+    const [status] = await service.api('/connect', { transport: 'tcp', host: '127.0.0.1', port: printer.address().port });
+    assert.equal(status, 200);
+  });
+
+  after(async () => {
+    await service.stop();
+    printer.close();
+  });
+
+  test('sends a whole receipt at once', async () => {
+    received = [];
+    const deviceId = `127.0.0.1:${printer.address().port}`;
+    const items = Array.from({ length: 40 }, (_, i) => ({ name: `Item ${i + 1}`, price: 1 }));
+
+    const startedAt = Date.now();
+    const [status, body] = await service.api('/print/receipt', { deviceId, title: 'Shop', items, total: 40 });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const [, entry] = await service.api(`/history/${body.jobId}`);
+    assert.equal(received.reduce((sum, { data }) => sum + data.length, 0), entry.bytes);
+    // Fixed sleeps between 40 lines would take seconds
+    const ms = received[received.length - 1].at - startedAt;
+    assert.ok(ms < 1000, `took ${ms}ms`);
+  });
+});
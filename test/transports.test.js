@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import net from 'node:net';
+import { describe, test } from 'node:test';
+import { BleTransport, TcpTransport } from '../transports.js';
+
+// A noble peripheral whose disconnectAsync() only settles when told to, as
+// after the link has dropped: noble waits for a 'disconnect' event that has
+// already been sent
+function stubPeripheral(state) {
+  const peripheral = new EventEmitter();
+  peripheral.state = state;
+  peripheral.disconnects = 0;
+  peripheral.disconnectAsync = () => {
+    peripheral.disconnects++;
+    return new Promise(() => {});
+  };
+  return peripheral;
+}
+
+// A BLE transport attached to `peripheral` as connect() leaves it
+function openBleTransport(peripheral, options = {}) {
+  const transport = new BleTransport({ deviceId: 'ble-printer', services: [], ...options });
+  transport.peripheral = peripheral;
+  transport.writeCharacteristic = { uuid: 'stub', properties: ['write'] };
+  transport.isOpen = true;
+  peripheral.once('disconnect', () => {
+    transport.isOpen = false;
+    transport.emit('close');
+  });
+  return transport;
+}
+
+describe('BleTransport.disconnect', () => {
+  test('doesn\'t wait on a peripheral that already disconnected', async () => {
+    const peripheral = stubPeripheral('connected');
+    const transport = openBleTransport(peripheral);
+    let closed = false;
+    transport.on('close', () => { closed = true; });
+
+    peripheral.state = 'disconnected';
+    peripheral.emit('disconnect');
+    assert.equal(closed, true);
+
+    await transport.disconnect();
+    assert.equal(peripheral.disconnects, 0);
+    assert.equal(transport.peripheral, null);
+    assert.equal(transport.isOpen, false);
+  });
+
+  test('doesn\'t wait on a peripheral noble reports as disconnected', async () => {
+    const peripheral = stubPeripheral('disconnected');
+    await openBleTransport(peripheral).disconnect();
+    assert.equal(peripheral.disconnects, 0);
+  });
+
+  test('gives up on a disconnect that never finishes', async () => {
+    const peripheral = stubPeripheral('connected');
+    const transport = openBleTransport(peripheral, { disconnectTimeout: 50 });
+
+    const startedAt = Date.now();
+    await transport.disconnect();
+    assert.equal(peripheral.disconnects, 1);
+    assert.ok(Date.now() - startedAt >= 45);
+    assert.equal(transport.isOpen, false);
+    await assert.rejects(transport.write(Buffer.from('x')), { code: 'NOT_CONNECTED' });
+  });
+});
+
+// A network printer on a free local port. `sockets` collects the
+// connections it accepts and `received` the bytes sent to it.
+async function startTcpPrinter() {
+  const printer = { sockets: [], received: [] };
+  printer.server = net.createServer((socket) => {
+    printer.sockets.push(socket);
+    socket.on('data', (data) => printer.received.push(data));
+  });
+  printer.server.listen(0, '127.0.0.1');
+  await once(printer.server, 'listening');
+  printer.port = printer.server.address().port;
+  printer.close = () => {
+    printer.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => printer.server.close(resolve));
+  };
+  return printer;
+}
+
+describe('TcpTransport', () => {
+  test('writes to the printer', async () => {
+    const printer = await startTcpPrinter();
+    const transport = new TcpTransport({ host: '127.0.0.1', port: printer.port });
+    try {
+      await transport.connect();
+      assert.equal(transport.isOpen, true);
+
+      let written = 0;
+      await transport.write(Buffer.from('\x1b@Hello\n'), (bytes) => { written += bytes; });
+      assert.equal(written, 8);
+
+      await transport.disconnect();
+      assert.equal(transport.isOpen, false);
+      while (Buffer.concat(printer.received).length < 8) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      assert.equal(Buffer.concat(printer.received).toString(), '\x1b@Hello\n');
+    } finally {
+      await printer.close();
+    }
+  });
+
+  test('a refused connection means there is no printer', async () => {
+    const printer = await startTcpPrinter();
+    await printer.close();
+
+    const transport = new TcpTransport({ host: '127.0.0.1', port: printer.port });
+    await assert.rejects(transport.connect(), {
+      name: 'DeviceNotFoundError',
+      code: 'DEVICE_NOT_FOUND',
+      message: `No printer at 127.0.0.1:${printer.port} (ECONNREFUSED)`
+    });
+    assert.equal(transport.isOpen, false);
+    await assert.rejects(transport.write(Buffer.from('x')), { code: 'NOT_CONNECTED' });
+  });
+
+  test('closes when the printer hangs up', async () => {
+    const printer = await startTcpPrinter();
+    const transport = new TcpTransport({ host: '127.0.0.1', port: printer.port });
+    try {
+      await transport.connect();
+      while (printer.sockets.length === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      const closed = once(transport, 'close');
+      printer.sockets[0].destroy();
+      await closed;
+      assert.equal(transport.isOpen, false);
+      await assert.rejects(transport.write(Buffer.from('x')), { code: 'NOT_CONNECTED' });
+    } finally {
+      await printer.close();
+    }
+  });
+});
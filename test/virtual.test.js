@@ -0,0 +1,308 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { startService } from './service.js';
+
+// End-to-end tests: every print route goes through the service to a virtual
+// printer, and the test reads back what it printed from GET /virtual/output.
+
+const DEVICE = 'virtual-printer';
+
+describe('virtual printer', () => {
+  let service;
+  let api;
+
+  async function transcript(deviceId = DEVICE) {
+    const [status, output] = await api(`/virtual/output?deviceId=${encodeURIComponent(deviceId)}`);
+    assert.equal(status, 200);
+    return output.transcript;
+  }
+
+  before(async () => {
+    service = await startService();
+    api = service.api;
+  });
+
+  after(async () => {
+    await service.stop();
+  });
+
+  beforeEach(async () => {
+    await api(`/virtual/output?deviceId=${DEVICE}`, undefined, 'DELETE');
+  });
+
+  test('scans find the virtual devices', async () => {
+    const [status, devices] = await api('/devices?printersOnly=true');
+    assert.equal(status, 200);
+    assert.deepEqual(devices.map(device => device.id), [DEVICE]);
+  });
+
+  test('scans filter by name, taking the name literally', async () => {
+    assert.deepEqual((await api('/devices?name=VIRTUAL*printer'))[1].map(device => device.id), [DEVICE]);
+    const [status, devices] = await api(`/devices?name=${encodeURIComponent('(a+)+$')}`);
+    assert.equal(status, 200);
+    assert.deepEqual(devices, []);
+  });
+
+  test('connects to a virtual printer', async () => {
+    const [status, body] = await api('/connect', { deviceId: DEVICE });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const [, printers] = await api('/printers');
+    assert.equal(printers.find(printer => printer.deviceId === DEVICE).connection, 'connected');
+  });
+
+  test('rejects devices that are not virtual', async () => {
+    const [status, body] = await api('/connect', { deviceId: 'nope' });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'DEVICE_NOT_FOUND');
+  });
+
+  test('POST /print/text', async () => {
+    const [status, body] = await api('/print/text', { deviceId: DEVICE, text: 'Hello virtual\nSecond line' });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const lines = await transcript();
+    assert.deepEqual(lines.slice(0, 2), ['Hello virtual', 'Second line']);
+  });
+
+  test('POST /print/receipt', async () => {
+    const [status] = await api('/print/receipt', {
+      deviceId: DEVICE,
+      title: 'Shop',
+      items: [{ name: 'Tea', price: 2 }, { name: 'Scone', price: 3.5, qty: 2 }],
+      total: 9,
+      qr: 'https://example.com'
+    });
+    assert.equal(status, 200);
+
+    const lines = await transcript();
+    assert.ok(lines.includes('Shop'));
+    assert.ok(lines.includes(`Tea${' '.repeat(25)}2,00`), lines.join('\n'));
+    assert.ok(lines.includes('  2 x 3,50'), lines.join('\n'));
+    assert.ok(lines.includes(`TOTAL${' '.repeat(21)}R 9,00`), lines.join('\n'));
+    assert.ok(lines.includes('[QR code https://example.com]'));
+    assert.ok(lines.every(line => line.length <= 32), lines.join('\n'));
+  });
+
+  test('POST /print/document with a template', async () => {
+    const [status] = await api('/print/document', {
+      deviceId: DEVICE,
+      template: 'receipt',
+      data: { title: 'Café', items: [{ name: 'Crème brûlée', price: 4 }] }
+    });
+    assert.equal(status, 200);
+
+    const lines = await transcript();
+    assert.ok(lines.includes('Café'), lines.join('\n'));
+    assert.ok(lines.every(line => line.length <= 32), lines.join('\n'));
+  });
+
+  test('POST /print/barcode and /print/qr', async () => {
+    assert.equal((await api('/print/barcode', { deviceId: DEVICE, type: 'EAN13', data: '4006381333931' }))[0], 200);
+    assert.equal((await api('/print/qr', { deviceId: DEVICE, data: 'hello' }))[0], 200);
+
+    const lines = await transcript();
+    assert.ok(lines.some(line => line === '[Barcode 4006381333931]'), lines.join('\n'));
+    assert.ok(lines.includes('[QR code hello]'), lines.join('\n'));
+  });
+
+  test('POST /print/raw', async () => {
+    const data = Buffer.from('raw line\n').toString('base64');
+    const [status] = await api('/print/raw', { deviceId: DEVICE, data });
+    assert.equal(status, 200);
+    assert.deepEqual(await transcript(), ['raw line']);
+  });
+
+  test('POST /print/batch prints every item', async () => {
+    const [status, body] = await api('/print/batch', {
+      deviceId: DEVICE,
+      items: [{ type: 'text', text: 'First' }, { type: 'text', text: 'Second' }]
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+
+    const lines = await transcript();
+    assert.ok(lines.indexOf('First') < lines.indexOf('Second'), lines.join('\n'));
+  });
+
+  test('POST /drawer/open and /beep', async () => {
+    assert.equal((await api('/drawer/open', { deviceId: DEVICE }))[0], 200);
+    assert.equal((await api('/beep', { deviceId: DEVICE }))[0], 200);
+
+    const lines = await transcript();
+    assert.ok(lines.some(line => line.startsWith('[Pulse drawer pin 2')), lines.join('\n'));
+    assert.ok(lines.some(line => line.startsWith('[Beep')), lines.join('\n'));
+  });
+
+  test('reprints from the history', async () => {
+    await api('/print/text', { deviceId: DEVICE, text: 'Again' });
+    const [, history] = await api('/history');
+    const [status] = await api(`/history/${history[0].id}/reprint`, {});
+    assert.equal(status, 200);
+
+    assert.equal((await transcript()).filter(line => line === 'Again').length, 2);
+  });
+
+  test('reports validation errors without printing', async () => {
+    const [status, body] = await api('/print/receipt', { deviceId: DEVICE, title: 'Shop', items: [{ name: 'Tea' }] });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION');
+    assert.ok(body.details.some(detail => detail.path.startsWith('items[0]')), JSON.stringify(body.details));
+    assert.deepEqual(await transcript(), []);
+  });
+
+  test('refuses to print while out of paper, and resumes', async () => {
+    await api('/virtual/simulate', { deviceId: DEVICE, paperOut: true });
+    const [status, body] = await api('/print/text', { deviceId: DEVICE, text: 'No paper' });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'PAPER_OUT');
+
+    const [, printerStatus] = await api(`/status?deviceId=${DEVICE}`);
+    assert.equal(printerStatus.paperOut, true);
+
+    await api('/virtual/simulate', { deviceId: DEVICE, paperOut: false });
+    assert.equal((await api('/jobs/resume', { deviceId: DEVICE }))[0], 200);
+    assert.equal((await api('/print/text', { deviceId: DEVICE, text: 'Paper' }))[0], 200);
+    assert.ok((await transcript()).includes('Paper'));
+  });
+
+  test('reports failed writes', async () => {
+    await api('/virtual/simulate', { deviceId: DEVICE, failWrites: true });
+    const [status, body] = await api('/print/text', { deviceId: DEVICE, text: 'Lost' });
+    await api('/virtual/simulate', { deviceId: DEVICE, failWrites: false });
+    await api('/jobs/resume', { deviceId: DEVICE });
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'WRITE_FAILED');
+  });
+
+  test('doesn\'t query the status in the middle of a job', async () => {
+    const statusQueries = async () =>
+      (await api(`/virtual/output?deviceId=${DEVICE}&format=commands`))[1].filter(entry => entry.name === 'DLE EOT').length;
+    const text = 'Slow\n'.repeat(100);
+
+    // The queries the job's own status check sends
+    assert.equal((await api('/print/text', { deviceId: DEVICE, text }))[0], 200);
+    const perJob = await statusQueries();
+    await api(`/virtual/output?deviceId=${DEVICE}`, undefined, 'DELETE');
+
+    await api('/virtual/simulate', { deviceId: DEVICE, writeRate: 1000 });
+    const [, job] = await api('/print/text?async=true', { deviceId: DEVICE, text });
+    let current;
+    for (let i = 0; i < 100; i++) {
+      [, current] = await api(`/jobs/${job.jobId}`);
+      if (current.status !== 'queued') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(current.status, 'printing');
+
+    const [, status] = await api(`/status?deviceId=${DEVICE}`);
+    await api('/virtual/simulate', { deviceId: DEVICE, writeRate: null });
+    assert.equal(status.cached, true);
+    assert.equal(status.paperOut, false);
+
+    for (let i = 0; i < 50 && current.status === 'printing'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      [, current] = await api(`/jobs/${job.jobId}`);
+    }
+    assert.equal(current.status, 'done');
+    assert.equal(await statusQueries(), perJob);
+  });
+
+  test('reports the status as unknown mid-job when none is known yet', async () => {
+    // A new connection knows no status, and a drawer kick doesn't check it
+    await api('/disconnect', { deviceId: DEVICE });
+    await api('/connect', { deviceId: DEVICE });
+    await api(`/virtual/output?deviceId=${DEVICE}`, undefined, 'DELETE');
+    await api('/virtual/simulate', { deviceId: DEVICE, writeRate: 5 });
+
+    const [queued, job] = await api('/drawer/open?async=true', { deviceId: DEVICE });
+    assert.equal(queued, 202);
+    let current;
+    for (let i = 0; i < 100; i++) {
+      [, current] = await api(`/jobs/${job.jobId}`);
+      if (current.status !== 'queued') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(current.status, 'printing');
+
+    const [status, body] = await api(`/status?deviceId=${DEVICE}`);
+    await api('/virtual/simulate', { deviceId: DEVICE, writeRate: null });
+    assert.equal(status, 200);
+    assert.equal(body.supported, false);
+    assert.equal(body.checkedAt, null);
+
+    for (let i = 0; i < 50 && current.status === 'printing'; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      [, current] = await api(`/jobs/${job.jobId}`);
+    }
+    assert.equal(current.status, 'done');
+    const [, commands] = await api(`/virtual/output?deviceId=${DEVICE}&format=commands`);
+    assert.deepEqual(commands.map(entry => entry.name), ['ESC p']);
+  });
+
+  test('reconnects after a disconnect', async () => {
+    await api('/virtual/simulate', { deviceId: DEVICE, disconnect: true });
+    const [status] = await api('/print/text', { deviceId: DEVICE, text: 'Back again' });
+    assert.equal(status, 200);
+    assert.ok((await transcript()).includes('Back again'));
+  });
+
+  test('keeps jobs queued for a reconnecting printer when resumed', async () => {
+    await api('/virtual/simulate', { deviceId: DEVICE, unreachable: true, disconnect: true });
+    const [queued, job] = await api('/print/text?async=true', { deviceId: DEVICE, text: 'Waited' });
+    assert.equal(queued, 202);
+
+    const [status, body] = await api('/jobs/resume', { deviceId: DEVICE });
+    assert.equal(status, 503);
+    assert.equal(body.code, 'NOT_CONNECTED');
+    assert.equal((await api(`/jobs/${job.jobId}`))[1].status, 'queued');
+
+    await api('/virtual/simulate', { deviceId: DEVICE, unreachable: false });
+    let current;
+    for (let i = 0; i < 50; i++) {
+      [, current] = await api(`/jobs/${job.jobId}`);
+      if (current.status !== 'queued' && current.status !== 'printing') {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(current.status, 'done');
+    assert.ok((await transcript()).includes('Waited'));
+  });
+
+  test('prints to virtual TCP printers', async () => {
+    const [status, body] = await api('/connect', { transport: 'tcp', host: '10.0.0.9' });
+    assert.equal(status, 200);
+
+    await api('/print/text', { deviceId: body.deviceId, text: 'Over TCP' });
+    assert.deepEqual((await transcript(body.deviceId)).slice(0, 1), ['Over TCP']);
+  });
+
+  test('POST /preview returns a PNG', async () => {
+    const response = await fetch(`${service.url}/preview`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ text: 'Preview' })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    const png = Buffer.from(await response.arrayBuffer());
+    assert.deepEqual([...png.subarray(1, 4)], [...Buffer.from('PNG')]);
+    assert.deepEqual(await transcript(), []);
+  });
+
+  test('POST /disconnect', async () => {
+    const [status] = await api('/disconnect', { deviceId: DEVICE });
+    assert.equal(status, 200);
+
+    const [, outputs] = await api('/virtual/output');
+    assert.equal(outputs.find(output => output.deviceId === DEVICE).connected, false);
+  });
+});
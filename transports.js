@@ -0,0 +1,447 @@
+import { EventEmitter } from 'events';
+import net from 'net';
+import {
+  ValidationError, NotConnectedError, DeviceNotFoundError, ServiceNotFoundError, TimeoutError
+} from './errors.js';
+
+// A transport is the byte pipe between PrinterService and a printer. Every
+// transport exposes the same interface:
+//   connect()       open the connection
+//   write(buffer, onProgress)
+//                   send raw bytes to the printer, calling onProgress(bytes)
+//                   as each piece is written
+//   disconnect()    close the connection
+//   isOpen          whether bytes can currently be written
+// and emits 'data' for bytes coming back from the printer and 'close' when
+// the connection is lost. A transport may also call `flowControl()`, when
+// set, before each piece it sends and wait for it: printers that report a
+// full buffer use it to hold writes back.
+
+export const TRANSPORT_TYPES = ['ble', 'serial', 'tcp'];
+
+// Every BLE packet carries a 3 byte ATT header, and a characteristic value
+// can't be longer than 512 bytes
+const ATT_HEADER = 3;
+const MAX_ATTRIBUTE_LENGTH = 512;
+
+const normalizeUuid = (uuid) => uuid.replace(/-/g, '').toLowerCase();
+
+// Credit-based pacing for BLE writes. An acknowledged write only means the
+// printer's Bluetooth module got the packet, not that there is room for it,
+// so both kinds of write are paced. Credits stand for free space in the
+// printer's buffer: `burst` bytes to start
+// with, refilled at `bytesPerSecond` as the printer prints. A write waits
+// until there are enough credits for it.
+export class WritePacer {
+  constructor({ bytesPerSecond, burst }) {
+    this.bytesPerSecond = bytesPerSecond;
+    this.burst = burst;
+    this.credits = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.credits = Math.min(this.burst, this.credits + (now - this.updatedAt) * this.bytesPerSecond / 1000);
+    this.updatedAt = now;
+  }
+
+  async take(bytes) {
+    this.refill();
+    // A packet bigger than the whole buffer only has to wait for an empty one
+    const needed = Math.min(bytes, this.burst);
+    if (this.credits < needed) {
+      const wait = Math.ceil((needed - this.credits) * 1000 / this.bytesPerSecond);
+      await new Promise(resolve => setTimeout(resolve, wait));
+      this.refill();
+    }
+    this.credits -= bytes;
+  }
+}
+
+export class BleTransport extends EventEmitter {
+  // `services` lists the { serviceUuid, characteristicUuid } pairs to look
+  // for, in order of preference. Packets are as big as the negotiated MTU
+  // allows, up to `maxChunkSize`; `chunkSize` is used when the MTU isn't
+  // known. Writes are paced to `bytesPerSecond` with a `burst` sized
+  // printer buffer.
+  constructor({
+    deviceId, services, chunkSize = 20, maxChunkSize = MAX_ATTRIBUTE_LENGTH,
+    bytesPerSecond = 8192, burst = 2048, scanTimeout = 15000, disconnectTimeout = 5000
+  }) {
+    super();
+    this.type = 'ble';
+    this.deviceId = deviceId;
+    this.services = services;
+    // The matched service and the advertised name, known once connected
+    this.serviceUuid = null;
+    this.name = null;
+    this.chunkSize = chunkSize;
+    this.maxChunkSize = maxChunkSize;
+    this.bytesPerSecond = bytesPerSecond;
+    this.burst = burst;
+    this.scanTimeout = scanTimeout;
+    this.disconnectTimeout = disconnectTimeout;
+    this.peripheral = null;
+    this.writeCharacteristic = null;
+    this.readCharacteristic = null;
+    // Known once the write characteristic is found
+    this.mtu = null;
+    this.packetSize = chunkSize;
+    this.withoutResponse = false;
+    this.pacer = null;
+    this.flowControl = null;
+    // { bytes, packets, ms, bytesPerSecond } of the last write
+    this.lastWrite = null;
+    this.isOpen = false;
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      deviceId: this.deviceId,
+      name: this.name,
+      serviceUuid: this.serviceUuid,
+      mtu: this.mtu,
+      packetSize: this.packetSize,
+      withoutResponse: this.withoutResponse,
+      lastWrite: this.lastWrite
+    };
+  }
+
+  async connect() {
+    // Loaded lazily so wired-only machines don't need a working Bluetooth adapter
+    const { default: noble } = await import('@abandonware/noble');
+
+    console.log('Starting printer discovery...');
+    await noble.startScanningAsync([], false);
+
+    const peripheral = await new Promise((resolve, reject) => {
+      const onDiscover = (p) => {
+        if (p.id === this.deviceId) {
+          clearTimeout(timeout);
+          noble.removeListener('discover', onDiscover);
+          noble.stopScanning();
+          resolve(p);
+        }
+      };
+
+      const timeout = setTimeout(() => {
+        noble.removeListener('discover', onDiscover);
+        noble.stopScanning();
+        reject(new DeviceNotFoundError('Printer not found within timeout period'));
+      }, this.scanTimeout);
+
+      noble.on('discover', onDiscover);
+    });
+
+    console.log('Connecting to printer...');
+    await peripheral.connectAsync();
+    this.peripheral = peripheral;
+    this.name = peripheral.advertisement.localName || null;
+
+    const services = await peripheral.discoverServicesAsync([]);
+    console.log('Available services:', services.map(s => s.uuid));
+
+    // Use the first known service the printer has
+    let service;
+    let characteristicUuid;
+    for (const known of this.services) {
+      service = services.find(s => normalizeUuid(s.uuid) === normalizeUuid(known.serviceUuid));
+      if (service) {
+        characteristicUuid = known.characteristicUuid;
+        break;
+      }
+    }
+
+    if (!service) {
+      console.error('Available services:', services.map(s => s.uuid));
+      throw new ServiceNotFoundError('Printer service not found. Available services: ' + services.map(s => s.uuid).join(', '));
+    }
+
+    console.log('Found service:', service.uuid);
+    this.serviceUuid = service.uuid;
+    const characteristics = await service.discoverCharacteristicsAsync([]);
+    console.log('Available characteristics:', characteristics.map(c => ({
+      uuid: c.uuid,
+      properties: c.properties
+    })));
+
+    // Prefer the known characteristic, otherwise fall back to anything writable
+    this.writeCharacteristic = characteristics.find(c =>
+      normalizeUuid(c.uuid) === normalizeUuid(characteristicUuid) ||
+      (c.properties.includes('write') || c.properties.includes('writeWithoutResponse'))
+    );
+
+    if (!this.writeCharacteristic) {
+      throw new ServiceNotFoundError('Write characteristic not found');
+    }
+
+    console.log('Found write characteristic:', this.writeCharacteristic.uuid);
+    // Noble exchanges the MTU while connecting
+    this.configureWrites(this.writeCharacteristic, peripheral.mtu);
+
+    // Look for read characteristic, but don't fail if not found
+    this.readCharacteristic = characteristics.find(c =>
+      c.properties.includes('read') ||
+      c.properties.includes('notify')
+    );
+
+    if (this.readCharacteristic) {
+      console.log('Found read characteristic:', this.readCharacteristic.uuid);
+      // Enable notifications if available
+      if (this.readCharacteristic.properties.includes('notify')) {
+        this.readCharacteristic.on('data', (data) => this.emit('data', data));
+        await this.readCharacteristic.subscribeAsync();
+      }
+    } else {
+      console.log('No read characteristic found - status checking will be limited');
+    }
+
+    peripheral.once('disconnect', () => {
+      this.isOpen = false;
+      this.emit('close');
+    });
+
+    this.isOpen = true;
+  }
+
+  // Pick the packet size and write type for a characteristic. Writes without
+  // response are preferred when the characteristic has them, so packets
+  // don't wait a connection interval for their acknowledgement.
+  configureWrites(characteristic, mtu) {
+    this.writeCharacteristic = characteristic;
+    this.mtu = mtu || null;
+    this.packetSize = this.mtu
+      ? Math.max(this.chunkSize, Math.min(this.maxChunkSize, this.mtu - ATT_HEADER))
+      : this.chunkSize;
+    this.withoutResponse = characteristic.properties.includes('writeWithoutResponse');
+    this.pacer = new WritePacer({ bytesPerSecond: this.bytesPerSecond, burst: this.burst });
+    console.log(`Writing ${this.packetSize} byte packets ${this.withoutResponse ? 'without' : 'with'} response (MTU ${this.mtu || 'unknown'})`);
+  }
+
+  // Helper function to chunk a buffer
+  chunkBuffer(buffer) {
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += this.packetSize) {
+      chunks.push(buffer.subarray(i, i + this.packetSize));
+    }
+    return chunks;
+  }
+
+  async write(buffer, onProgress) {
+    if (!this.writeCharacteristic || !this.isOpen) {
+      throw new NotConnectedError();
+    }
+
+    const chunks = this.chunkBuffer(buffer);
+    const startedAt = Date.now();
+    for (const chunk of chunks) {
+      // A printer reporting a full buffer says when to carry on; otherwise
+      // writes are paced
+      if (this.flowControl) {
+        await this.flowControl();
+      } else {
+        await this.pacer.take(chunk.length);
+      }
+      await this.writeCharacteristic.writeAsync(chunk, this.withoutResponse);
+      if (onProgress) {
+        onProgress(chunk.length);
+      }
+    }
+
+    const ms = Date.now() - startedAt;
+    this.lastWrite = {
+      bytes: buffer.length,
+      packets: chunks.length,
+      ms,
+      bytesPerSecond: ms > 0 ? Math.round(buffer.length * 1000 / ms) : null
+    };
+    if (chunks.length > 1) {
+      console.log(`Wrote ${buffer.length} bytes in ${chunks.length} packets in ${ms}ms`);
+    }
+  }
+
+  // A peripheral that already dropped the link never reports another
+  // 'disconnect', so noble's disconnectAsync() would wait forever for it.
+  // It is only asked while the link is up, and given `disconnectTimeout` ms.
+  async disconnect() {
+    const peripheral = this.peripheral;
+    if (peripheral) {
+      peripheral.removeAllListeners('disconnect');
+      if (this.isOpen && peripheral.state !== 'disconnected') {
+        let timer;
+        await Promise.race([
+          peripheral.disconnectAsync(),
+          new Promise(resolve => { timer = setTimeout(resolve, this.disconnectTimeout); })
+        ]);
+        clearTimeout(timer);
+      }
+    }
+    this.peripheral = null;
+    this.writeCharacteristic = null;
+    this.readCharacteristic = null;
+    this.pacer = null;
+    this.isOpen = false;
+  }
+}
+
+export class SerialTransport extends EventEmitter {
+  constructor({ path, baudRate = 9600 }) {
+    super();
+    this.type = 'serial';
+    this.path = path;
+    this.baudRate = baudRate;
+    this.port = null;
+    this.isOpen = false;
+  }
+
+  describe() {
+    return { type: this.type, path: this.path, baudRate: this.baudRate };
+  }
+
+  async connect() {
+    // Loaded lazily so BLE-only machines don't need the native serial bindings
+    const { SerialPort } = await import('serialport');
+
+    console.log(`Opening serial port ${this.path} at ${this.baudRate} baud...`);
+    this.port = new SerialPort({ path: this.path, baudRate: this.baudRate, autoOpen: false });
+
+    await new Promise((resolve, reject) => {
+      this.port.open((error) => {
+        if (!error) {
+          return resolve();
+        }
+        reject(/ENOENT|No such file/.test(error.message)
+          ? new DeviceNotFoundError(`Serial port ${this.path} not found`)
+          : new NotConnectedError(`Could not open ${this.path}: ${error.message}`));
+      });
+    });
+
+    this.port.on('data', (data) => this.emit('data', data));
+    this.port.on('close', () => {
+      this.isOpen = false;
+      this.emit('close');
+    });
+
+    this.isOpen = true;
+  }
+
+  async write(buffer, onProgress) {
+    if (!this.port || !this.isOpen) {
+      throw new NotConnectedError();
+    }
+
+    await new Promise((resolve, reject) => {
+      this.port.write(buffer, (error) => {
+        if (error) {
+          return reject(error);
+        }
+        this.port.drain((drainError) => (drainError ? reject(drainError) : resolve()));
+      });
+    });
+    if (onProgress) {
+      onProgress(buffer.length);
+    }
+  }
+
+  async disconnect() {
+    if (this.port && this.port.isOpen) {
+      this.port.removeAllListeners('close');
+      await new Promise((resolve) => this.port.close(() => resolve()));
+    }
+    this.port = null;
+    this.isOpen = false;
+  }
+}
+
+export class TcpTransport extends EventEmitter {
+  constructor({ host, port = 9100, connectTimeout = 5000 }) {
+    super();
+    this.type = 'tcp';
+    this.host = host;
+    this.port = port;
+    this.connectTimeout = connectTimeout;
+    this.socket = null;
+    this.isOpen = false;
+  }
+
+  describe() {
+    return { type: this.type, host: this.host, port: this.port };
+  }
+
+  async connect() {
+    console.log(`Connecting to network printer ${this.host}:${this.port}...`);
+
+    this.socket = await new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      socket.setTimeout(this.connectTimeout, () => {
+        socket.destroy();
+        reject(new TimeoutError(`Printer at ${this.host}:${this.port} did not answer within ${this.connectTimeout}ms`));
+      });
+
+      // Nothing listening, or no route to the host
+      const onError = (error) => {
+        reject(['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND', 'ENETUNREACH'].includes(error.code)
+          ? new DeviceNotFoundError(`No printer at ${this.host}:${this.port} (${error.code})`)
+          : new NotConnectedError(`Could not connect to ${this.host}:${this.port}: ${error.message}`));
+      };
+      socket.once('error', onError);
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        socket.removeListener('error', onError);
+        resolve(socket);
+      });
+    });
+
+    this.socket.setNoDelay(true);
+    this.socket.on('data', (data) => this.emit('data', data));
+    this.socket.on('error', (error) => console.error('Network printer error:', error));
+    this.socket.on('close', () => {
+      this.isOpen = false;
+      this.emit('close');
+    });
+
+    this.isOpen = true;
+  }
+
+  async write(buffer, onProgress) {
+    if (!this.socket || !this.isOpen) {
+      throw new NotConnectedError();
+    }
+
+    await new Promise((resolve, reject) => {
+      this.socket.write(buffer, (error) => (error ? reject(error) : resolve()));
+    });
+    if (onProgress) {
+      onProgress(buffer.length);
+    }
+  }
+
+  async disconnect() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      await new Promise((resolve) => this.socket.end(resolve));
+      this.socket.destroy();
+    }
+    this.socket = null;
+    this.isOpen = false;
+  }
+}
+
+// Build a transport from the options passed to /connect
+export function createTransport({ type = 'ble', ...options }) {
+  switch (type) {
+    case 'ble':
+      return new BleTransport(options);
+    case 'serial':
+      return new SerialTransport(options);
+    case 'tcp':
+      return new TcpTransport(options);
+    default:
+      throw new ValidationError(`Invalid transport: ${type}. Use one of ${TRANSPORT_TYPES.join(', ')}`, [
+        { path: 'transport', message: `must be one of ${TRANSPORT_TYPES.join(', ')}` }
+      ]);
+  }
+}
@@ -0,0 +1,206 @@
+import { EventEmitter } from 'events';
+import { parseEscPos, describeEscPos, transcribeEscPos } from './escpos-parser.js';
+import { ValidationError, NotConnectedError, DeviceNotFoundError } from './errors.js';
+
+// In-process printers for PRINTER_MODE=virtual, so the service can run
+// without hardware. A virtual printer keeps every byte it is sent, answers
+// DLE EOT status queries, and can be told to run out of paper, open its
+// cover, drop the connection or write slowly.
+
+// What can be simulated, with the defaults of a healthy printer:
+//   paperOut, paperNearEnd, coverOpen, cutterError, offline
+//                  reported by the status queries
+//   answerStatus   false for printers that ignore status queries
+//   writeRate      bytes per second the printer accepts, null for no limit
+//   failWrites     writes fail as if the link broke
+//   unreachable    connecting fails, so reconnects keep failing
+export const DEFAULT_SIMULATION = {
+  paperOut: false,
+  paperNearEnd: false,
+  coverOpen: false,
+  cutterError: false,
+  offline: false,
+  answerStatus: true,
+  writeRate: null,
+  failWrites: false,
+  unreachable: false
+};
+
+// Slow writes are reported piece by piece, like BLE packets
+const WRITE_PIECE = 256;
+
+// Fake BLE devices found by scans, from a JSON array of
+// { id, name, rssi, services }. Throws an "Invalid virtual devices" error
+// for anything else.
+export function parseVirtualDevices(value, defaults) {
+  if (!value) {
+    return defaults;
+  }
+
+  let devices;
+  try {
+    devices = JSON.parse(value);
+  } catch (error) {
+    throw new ValidationError(`Invalid virtual devices: not valid JSON (${error.message})`, [
+      { path: 'VIRTUAL_DEVICES', message: `not valid JSON (${error.message})` }
+    ]);
+  }
+  if (!Array.isArray(devices) || !devices.every(device => device && typeof device.id === 'string' && device.id)) {
+    throw new ValidationError('Invalid virtual devices: expected an array of devices with an id', [
+      { path: 'VIRTUAL_DEVICES', message: 'expected an array of devices with an id' }
+    ]);
+  }
+  return devices.map(({ id, name = null, rssi = -50, services = [] }) => ({ id, name, rssi, services }));
+}
+
+// The simulated hardware. It outlives its connections, so the output and
+// simulation settings are kept across disconnects and reconnects.
+export class VirtualPrinter {
+  constructor(deviceId, { name = null, serviceUuid = null } = {}) {
+    this.deviceId = deviceId;
+    this.name = name;
+    this.serviceUuid = serviceUuid;
+    this.simulation = { ...DEFAULT_SIMULATION };
+    this.received = [];
+    this.transport = null;
+  }
+
+  // Change what is simulated. `disconnect` drops the current connection.
+  simulate({ disconnect = false, ...changes }) {
+    Object.assign(this.simulation, changes);
+    if (disconnect && this.transport) {
+      this.transport.drop();
+    }
+    return this.simulation;
+  }
+
+  // The DLE EOT n response for the simulated state
+  statusByte(n) {
+    const { paperOut, paperNearEnd, coverOpen, cutterError, offline } = this.simulation;
+    switch (n) {
+      case 1:
+        return 0x12 | (offline || paperOut || coverOpen ? 0x08 : 0);
+      case 2:
+        return 0x12 | (coverOpen ? 0x04 : 0) | (paperOut ? 0x20 : 0) | (cutterError ? 0x40 : 0);
+      case 3:
+        return 0x12 | (cutterError ? 0x08 : 0);
+      case 4:
+        return 0x12 | (paperNearEnd ? 0x0C : 0) | (paperOut ? 0x60 : 0);
+      default:
+        return null;
+    }
+  }
+
+  clear() {
+    this.received = [];
+  }
+
+  output() {
+    return Buffer.concat(this.received);
+  }
+
+  describe() {
+    const data = this.output();
+    return {
+      deviceId: this.deviceId,
+      connected: Boolean(this.transport),
+      bytes: data.length,
+      transcript: transcribeEscPos(data),
+      simulation: this.simulation
+    };
+  }
+
+  // Every command and run of text received, as listed by dry runs
+  commands() {
+    return describeEscPos(this.output());
+  }
+}
+
+// The transport to a VirtualPrinter, with the same interface as the real
+// ones (see transports.js)
+export class VirtualTransport extends EventEmitter {
+  constructor(printer) {
+    super();
+    this.type = 'virtual';
+    this.printer = printer;
+    this.name = printer.name;
+    this.serviceUuid = printer.serviceUuid;
+    this.isOpen = false;
+  }
+
+  describe() {
+    return { type: this.type, deviceId: this.printer.deviceId, name: this.name };
+  }
+
+  async connect() {
+    if (this.printer.simulation.unreachable) {
+      throw new DeviceNotFoundError(`Virtual printer ${this.printer.deviceId} is unreachable`);
+    }
+    // One connection at a time, like a BLE peripheral
+    if (this.printer.transport && this.printer.transport !== this) {
+      this.printer.transport.drop();
+    }
+    this.printer.transport = this;
+    this.isOpen = true;
+  }
+
+  async write(buffer, onProgress) {
+    if (!this.isOpen) {
+      throw new NotConnectedError();
+    }
+
+    const { writeRate } = this.printer.simulation;
+    const pieceSize = writeRate ? WRITE_PIECE : buffer.length;
+    for (let i = 0; i < buffer.length; i += pieceSize) {
+      if (this.printer.simulation.failWrites) {
+        throw new Error('Simulated write failure');
+      }
+      const piece = buffer.subarray(i, i + pieceSize);
+      if (writeRate) {
+        await new Promise(resolve => setTimeout(resolve, piece.length * 1000 / writeRate));
+        // The connection may have dropped while we waited
+        if (!this.isOpen) {
+          throw new NotConnectedError();
+        }
+      }
+      this.printer.received.push(Buffer.from(piece));
+      if (onProgress) {
+        onProgress(piece.length);
+      }
+    }
+
+    this.answerStatusQueries(buffer);
+  }
+
+  // Reply to DLE EOT queries the way a printer would, after the write
+  answerStatusQueries(buffer) {
+    if (!this.printer.simulation.answerStatus) {
+      return;
+    }
+    const replies = parseEscPos(buffer)
+      .filter(token => token.name === 'DLE EOT' && !token.truncated)
+      .map(token => this.printer.statusByte(token.bytes[2]))
+      .filter(byte => byte !== null);
+    if (replies.length > 0) {
+      setImmediate(() => this.emit('data', Buffer.from(replies)));
+    }
+  }
+
+  // Lose the connection, as when a printer is switched off
+  drop() {
+    if (!this.isOpen) {
+      return;
+    }
+    this.isOpen = false;
+    this.printer.transport = null;
+    this.emit('close');
+  }
+
+  async disconnect() {
+    this.removeAllListeners('close');
+    this.isOpen = false;
+    if (this.printer.transport === this) {
+      this.printer.transport = null;
+    }
+  }
+}